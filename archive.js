@@ -0,0 +1,166 @@
+// Reads and writes notebook archives: (optionally gzipped) tar files in the POSIX ustar format
+
+const zlib = require('zlib');
+const { once } = require('events');
+
+const BLOCK_SIZE = 512;
+const MAX_UNPACKED_SIZE = 512 * 1024 * 1024; // Guards imports against gzip bombs
+
+function archiveError(message) {
+    return new Error(`Invalid archive: ${message}`);
+}
+
+// Writes a number as a NUL-terminated, zero-padded octal field
+function writeOctal(header, value, offset, length) {
+    header.write(value.toString(8).padStart(length - 1, '0'), offset, length - 1, 'ascii');
+}
+
+function buildHeader(name, size, mtime, typeflag) {
+    const header = Buffer.alloc(BLOCK_SIZE);
+    header.write(name, 0, 100, 'utf8');
+    writeOctal(header, 0o644, 100, 8); // mode
+    writeOctal(header, 0, 108, 8); // uid
+    writeOctal(header, 0, 116, 8); // gid
+    writeOctal(header, size, 124, 12);
+    writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+    header.write(typeflag, 156, 1, 'ascii');
+    header.write('ustar\u000000', 257, 8, 'ascii'); // magic + version
+
+    // The checksum is computed with its own field filled with spaces
+    header.fill(' ', 148, 156);
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    header.write(`${checksum.toString(8).padStart(6, '0')}\u0000 `, 148, 8, 'ascii');
+    return header;
+}
+
+function padding(size) {
+    return Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+}
+
+// Names that don't fit the 100-byte name field go into a PAX extended header instead.
+// Each record is "<length> <key>=<value>\n", where the length counts its own digits too.
+function buildPaxRecord(key, value) {
+    const body = ` ${key}=${value}\n`;
+    const bodyLength = Buffer.byteLength(body);
+    let length = bodyLength + String(bodyLength).length;
+    length = bodyLength + String(length).length;
+    return `${length}${body}`;
+}
+
+/**
+ * Encodes one file as tar blocks (header, data and padding).
+ * @param {string} name - The path inside the archive, using "/" as separator.
+ * @param {Buffer | string} data - The file contents.
+ * @param {Date} [mtime] - The modification time to record.
+ * @returns {Buffer[]} - The blocks to write, in order.
+ */
+function encodeEntry(name, data, mtime = new Date()) {
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+    const blocks = [];
+    if (Buffer.byteLength(name) > 100) {
+        const pax = Buffer.from(buildPaxRecord('path', name), 'utf8');
+        blocks.push(buildHeader(`PaxHeader/${name.slice(-80)}`.slice(0, 100), pax.length, mtime, 'x'), pax, padding(pax.length));
+    }
+    blocks.push(buildHeader(name, content.length, mtime, '0'), content, padding(content.length));
+    return blocks;
+}
+
+/**
+ * Streams a tar archive into a writable stream, waiting for it to drain as needed.
+ * @param {import('stream').Writable} stream - Where the archive goes (e.g. a gzip stream or the response).
+ * @returns {{ addFile: (name: string, data: Buffer | string, mtime?: Date) => Promise<void>, finish: () => Promise<void> }}
+ */
+function createTarWriter(stream) {
+    const write = async (chunk) => {
+        if (!stream.write(chunk)) await once(stream, 'drain');
+    };
+    return {
+        async addFile(name, data, mtime) {
+            for (const block of encodeEntry(name, data, mtime)) {
+                if (block.length > 0) await write(block);
+            }
+        },
+        async finish() {
+            await write(Buffer.alloc(BLOCK_SIZE * 2)); // End-of-archive marker
+            stream.end();
+        }
+    };
+}
+
+function readString(block, offset, length) {
+    const field = block.subarray(offset, offset + length);
+    const end = field.indexOf(0);
+    return field.subarray(0, end === -1 ? field.length : end).toString('utf8');
+}
+
+function readOctal(block, offset, length) {
+    const text = readString(block, offset, length).trim();
+    const value = text === '' ? 0 : parseInt(text, 8);
+    if (Number.isNaN(value)) throw archiveError(`bad number field "${text}".`);
+    return value;
+}
+
+function parsePaxRecords(data) {
+    const records = {};
+    let offset = 0;
+    while (offset < data.length) {
+        const space = data.indexOf(0x20, offset);
+        const length = parseInt(data.subarray(offset, space).toString('ascii'), 10);
+        if (space === -1 || !(length > 0)) throw archiveError('bad extended header.');
+        const record = data.subarray(space + 1, offset + length - 1).toString('utf8');
+        const separator = record.indexOf('=');
+        records[record.slice(0, separator)] = record.slice(separator + 1);
+        offset += length;
+    }
+    return records;
+}
+
+/**
+ * Reads the regular files out of a tar or gzipped tar archive. Directories, links and other entry types are ignored.
+ * @param {Buffer} buffer - The archive as uploaded.
+ * @returns {{ name: string, data: Buffer }[]} - The files in archive order.
+ */
+function parseArchive(buffer) {
+    let tar = buffer;
+    if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        try {
+            tar = zlib.gunzipSync(buffer, { maxOutputLength: MAX_UNPACKED_SIZE });
+        } catch (error) {
+            throw archiveError(`could not decompress it (${error.message}).`);
+        }
+    }
+
+    const files = [];
+    let pax = {};
+    for (let offset = 0; offset + BLOCK_SIZE <= tar.length;) {
+        const header = tar.subarray(offset, offset + BLOCK_SIZE);
+        if (header.every(byte => byte === 0)) break; // End-of-archive marker
+
+        const storedChecksum = readOctal(header, 148, 8);
+        let checksum = 0;
+        header.forEach((byte, index) => { checksum += index >= 148 && index < 156 ? 0x20 : byte; });
+        if (checksum !== storedChecksum) throw archiveError('not a tar file or checksum mismatch.');
+
+        const size = readOctal(header, 124, 12);
+        const typeflag = String.fromCharCode(header[156]);
+        const dataStart = offset + BLOCK_SIZE;
+        if (dataStart + size > tar.length) throw archiveError('unexpected end of archive.');
+        const data = tar.subarray(dataStart, dataStart + size);
+        offset = dataStart + size + padding(size).length;
+
+        if (typeflag === 'x') {
+            pax = parsePaxRecords(data);
+            continue;
+        }
+        if (typeflag === '0' || typeflag === '\u0000') {
+            const prefix = readString(header, 345, 155);
+            const name = pax.path || (prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100));
+            files.push({ name, data });
+        }
+        pax = {};
+    }
+    return files;
+}
+
+module.exports = { encodeEntry, createTarWriter, parseArchive };
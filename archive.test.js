@@ -0,0 +1,50 @@
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const { encodeEntry, createTarWriter, parseArchive } = require('./archive');
+
+// Collects everything a tar writer produces into one buffer
+async function writeArchive(files) {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  const tar = createTarWriter(stream);
+  for (const { name, data } of files) {
+    await tar.addFile(name, data, new Date('2026-01-01T00:00:00Z'));
+  }
+  await tar.finish();
+  return Buffer.concat(chunks);
+}
+
+describe('createTarWriter and parseArchive', () => {
+  const files = [
+    { name: 'manifest.json', data: '{"format":"geepnotes-archive"}' },
+    { name: 'notes/Work/Plan.json', data: '{"title":"Plan"}' },
+    { name: `notes/${'Ünïcode group/'.repeat(8)}Long title.json`, data: '{}' },
+  ];
+
+  test('should round-trip files, including names longer than the ustar name field', async () => {
+    const archive = await writeArchive(files);
+    expect(archive.length % 512).toBe(0);
+    expect(parseArchive(archive).map(({ name, data }) => ({ name, data: data.toString() }))).toEqual(files);
+  });
+
+  test('should read gzipped archives', async () => {
+    const archive = zlib.gzipSync(await writeArchive(files));
+    expect(parseArchive(archive).map(file => file.name)).toEqual(files.map(file => file.name));
+  });
+
+  test('should pad entries to whole blocks', () => {
+    const blocks = encodeEntry('a.json', 'x'.repeat(513));
+    expect(Buffer.concat(blocks).length).toBe(512 + 1024);
+  });
+
+  test('should reject data that is not a tar archive', () => {
+    expect(() => parseArchive(Buffer.alloc(1024, 'a'))).toThrow('Invalid archive');
+    expect(() => parseArchive(Buffer.from([0x1f, 0x8b, 0, 0]))).toThrow('Invalid archive: could not decompress it');
+  });
+
+  test('should reject truncated archives', async () => {
+    const archive = await writeArchive([{ name: 'notes/A.json', data: 'x'.repeat(2000) }]);
+    expect(() => parseArchive(archive.subarray(0, 1024))).toThrow('Invalid archive: unexpected end of archive.');
+  });
+});
@@ -0,0 +1,59 @@
+// Express middleware for API-key authentication (see keys.js) and per-user note spaces (see spaces.js)
+
+const { loadKeys, verifyKey } = require('./keys');
+const { runInSpace } = require('./spaces');
+const { openSpace } = require('./model');
+
+// Keys are sent as "Authorization: Bearer <key>" or in an X-API-Key header
+function readKey(req) {
+    const header = req.get('Authorization');
+    const match = header ? header.match(/^Bearer\s+(\S+)\s*$/i) : null;
+    return match ? match[1] : req.get('X-API-Key') || null;
+}
+
+/**
+ * Checks the request's API key and runs the rest of the request in its user's space.
+ * Without a key file, authentication is off and every request uses the top-level notes and trash.
+ */
+async function authenticate(req, res, next) {
+    let keys;
+    try {
+        keys = await loadKeys();
+    } catch (error) {
+        console.error('Error reading API keys:', error);
+        return res.status(500).json({ message: 'Error checking API key' });
+    }
+    if (keys === null) {
+        return next();
+    }
+
+    const key = readKey(req);
+    const owner = key ? await verifyKey(key) : null;
+    if (!owner) {
+        res.set('WWW-Authenticate', 'Bearer realm="geepnotes"');
+        return res.status(401).json({
+            message: key ? 'Invalid or revoked API key.' : 'Authentication required: send an API key as "Authorization: Bearer <key>" or "X-API-Key: <key>".'
+        });
+    }
+
+    req.apiKey = owner;
+    return runInSpace(owner.user, async () => {
+        try {
+            await openSpace();
+        } catch (error) {
+            console.error(`Error opening the notes of user "${owner.user}":`, error);
+            return res.status(500).json({ message: 'Error opening notes' });
+        }
+        next();
+    });
+}
+
+// Only admin keys may manage keys; with authentication off there is no admin, so keys are issued with keys.js
+function requireAdmin(req, res, next) {
+    if (!req.apiKey || !req.apiKey.admin) {
+        return res.status(403).json({ message: 'Forbidden: managing API keys requires an admin key.' });
+    }
+    next();
+}
+
+module.exports = { authenticate, requireAdmin };
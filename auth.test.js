@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { authenticate, requireAdmin } = require('./auth');
+const { issueKey, revokeKey } = require('./keys');
+const { createMemoryStorage, useStorage } = require('./storage');
+const { currentUser } = require('./spaces');
+const { getAllNotes, createNotes, deleteNote, emptyTrash } = require('./model');
+const { getStats } = require('./stats');
+
+// Runs a request with the given headers through authenticate (and optionally requireAdmin). Resolves with the
+// response sent, or, once every middleware let the request through, with what handler returns in the request's space.
+function request(headers, { admin = false, handler = async () => currentUser() } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = { get: (name) => headers[name.toLowerCase()] };
+    const res = {
+      headers: {},
+      set(name, value) { this.headers[name] = value; return this; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ status: this.statusCode, headers: this.headers, body }); return this; }
+    };
+    const run = () => handler().then(result => resolve({ status: 200, result }), reject);
+    authenticate(req, res, admin ? () => requireAdmin(req, res, run) : run).catch(reject);
+  });
+}
+
+const bearer = (key) => ({ authorization: `Bearer ${key}` });
+
+describe('authenticate', () => {
+  let dir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geepnotes-auth-'));
+    process.env.API_KEYS_FILE = path.join(dir, 'keys.json');
+    useStorage(createMemoryStorage(dir));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.API_KEYS_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should let every request through to the top-level space without a key file', async () => {
+    expect(await request({})).toEqual({ status: 200, result: null });
+    expect(await request({ 'x-api-key': 'gnk_000000000000_unknown' })).toEqual({ status: 200, result: null });
+  });
+
+  test('should refuse requests without a valid key once keys exist', async () => {
+    const { key, id } = await issueKey({ user: 'alice' });
+
+    const missing = await request({});
+    expect(missing.status).toBe(401);
+    expect(missing.headers['WWW-Authenticate']).toBe('Bearer realm="geepnotes"');
+    expect(missing.body.message).toContain('Authentication required');
+    expect(await request({ 'x-api-key': key })).toEqual({ status: 200, result: 'alice' });
+
+    await revokeKey(id);
+    expect(await request(bearer(key))).toMatchObject({ status: 401, body: { message: 'Invalid or revoked API key.' } });
+  });
+
+  test('should only let admin keys manage keys', async () => {
+    const user = await issueKey({ user: 'alice' });
+    const admin = await issueKey({ user: 'root', admin: true });
+
+    expect(await request(bearer(user.key), { admin: true })).toEqual({
+      status: 403, headers: {}, body: { message: 'Forbidden: managing API keys requires an admin key.' }
+    });
+    expect(await request(bearer(admin.key), { admin: true })).toEqual({ status: 200, result: 'root' });
+  });
+
+  test('should keep the notes, trash and statistics of each user separate', async () => {
+    const alice = bearer((await issueKey({ user: 'alice' })).key);
+    const bob = bearer((await issueKey({ user: 'bob' })).key);
+    const as = async (headers, handler) => (await request(headers, { handler })).result;
+
+    await as(alice, () => createNotes([{ title: 'Plan', group: 'Work', content: 'alice plan' }, { title: 'Diary', content: 'alice diary' }]));
+    await as(bob, () => createNotes([{ title: 'Plan', group: 'Work', content: 'bob plan' }]));
+
+    expect((await as(alice, () => getAllNotes())).map(note => note.content).sort()).toEqual(['alice diary', 'alice plan']);
+    expect((await as(bob, () => getAllNotes())).map(note => note.content)).toEqual(['bob plan']);
+
+    // Trashing and emptying the trash only touch the caller's own notes
+    await as(alice, () => deleteNote('Plan', 'Work'));
+    expect((await as(bob, () => getAllNotes())).map(note => note.title)).toEqual(['Plan']);
+    await as(bob, () => deleteNote('Plan', 'Work'));
+    expect((await as(alice, () => emptyTrash())).deletedCount).toBe(1);
+    expect((await as(bob, () => getAllNotes(null, true))).map(note => note.content)).toEqual(['bob plan']);
+
+    expect(await as(alice, () => getStats())).toMatchObject({ noteCount: 1, trashCount: 0 });
+    expect(await as(bob, () => getStats())).toMatchObject({ noteCount: 0, trashCount: 1 });
+  });
+});
@@ -0,0 +1,348 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+const { measureHistory } = require('./history');
+const storage = require('./storage');
+
+// Watcher events for the same path are coalesced for this long before the disk is re-read
+const WATCH_DEBOUNCE_MS = 100;
+// Used when recursive watching is unavailable on the platform
+const FALLBACK_RESCAN_INTERVAL_MS = 30000;
+
+const catalogEvents = new EventEmitter();
+
+let roots = null; // area -> dir, e.g. { notes: dir, trash: dir }, null until initCatalog() runs
+const areas = {};
+const watchers = {};
+const pendingPaths = {};
+let flushTimer = null;
+let rescanTimer = null;
+
+function createArea() {
+    return {
+        exists: false,
+        files: new Map(), // relative path -> { size, note, history } (note and history are null for non-JSON or unreadable files)
+        dirs: new Set() // relative paths of every directory below the area root
+    };
+}
+
+// Whether the catalog is running and, if an area is given, knows that area
+function isReady(area) {
+    return roots !== null && (area === undefined || area in roots);
+}
+
+// Parses a note file into the same shape getAllNotes returns plus how much space its history takes,
+// or null if it isn't a valid note
+async function readNoteEntry(filePath, relativePath) {
+    if (path.extname(filePath).toLowerCase() !== '.json') return null;
+    try {
+        const jsonData = JSON.parse(await storage.read(filePath));
+        const latestVersion = jsonData.versions && jsonData.versions.length > 0 ? jsonData.versions[0] : {};
+        const relativeDirPath = path.dirname(relativePath);
+        const note = {
+            title: jsonData.title,
+            content: latestVersion.content || '',
+            group: relativeDirPath === '.' ? '' : relativeDirPath,
+            createdDate: jsonData.createdDate,
+            modifiedDate: latestVersion.createdDate,
+            relativePath: jsonData.relativePath,
+            tags: Array.isArray(jsonData.tags) ? jsonData.tags : [],
+            metadata: jsonData.metadata || {},
+            deletedDate: jsonData.deletedDate, // Only set for trashed notes
+            originalGroup: jsonData.originalGroup
+        };
+        return { note, history: measureHistory(jsonData.versions) };
+    } catch (error) {
+        console.error(`Error processing note file ${filePath}:`, error);
+        return null;
+    }
+}
+
+function addAncestorDirs(area, relativePath) {
+    let dir = path.dirname(relativePath);
+    while (dir !== '.' && dir !== '') {
+        areas[area].dirs.add(dir);
+        dir = path.dirname(dir);
+    }
+}
+
+function removeSubtree(area, relativePath) {
+    const { files, dirs } = areas[area];
+    if (relativePath === '') {
+        files.clear();
+        dirs.clear();
+        return;
+    }
+    const prefix = relativePath + path.sep;
+    for (const key of files.keys()) {
+        if (key === relativePath || key.startsWith(prefix)) files.delete(key);
+    }
+    for (const key of [...dirs]) {
+        if (key === relativePath || key.startsWith(prefix)) dirs.delete(key);
+    }
+}
+
+// Adds everything below an existing directory to the catalog
+async function scanDirectory(area, dirPath) {
+    const entries = await storage.list(dirPath);
+    for (const entry of entries) {
+        const fullPath = path.join(dirPath, entry.name);
+        const relativePath = path.relative(roots[area], fullPath);
+        if (entry.isDirectory()) {
+            areas[area].dirs.add(relativePath);
+            await scanDirectory(area, fullPath);
+        } else if (entry.isFile()) {
+            await refreshFile(area, fullPath, relativePath);
+        }
+    }
+}
+
+async function refreshFile(area, fullPath, relativePath, stats = null) {
+    try {
+        stats = stats || await storage.stat(fullPath);
+        const entry = await readNoteEntry(fullPath, relativePath);
+        const note = entry ? entry.note : null;
+        areas[area].files.set(relativePath, { size: stats.size, note, history: entry ? entry.history : null });
+        addAncestorDirs(area, relativePath);
+        return note;
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        areas[area].files.delete(relativePath);
+        return null;
+    }
+}
+
+/**
+ * Re-reads one path (file or directory) of an area from storage and updates the catalog.
+ * Called by the model after each write and by the watcher for outside changes.
+ * @param {'notes' | 'trash'} area - Which directory the path belongs to.
+ * @param {string} relativePath - The path relative to the area root ('' for the root itself).
+ * @param {string} [source='model'] - Who triggered the refresh; watcher refreshes emit 'change' events.
+ */
+async function refreshPath(area, relativePath, source = 'model') {
+    if (!isReady(area)) return;
+    const fullPath = path.join(roots[area], relativePath);
+
+    let stats;
+    try {
+        stats = await storage.stat(fullPath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        const removedNotes = [...areas[area].files.keys()].filter(key =>
+            relativePath === '' || key === relativePath || key.startsWith(relativePath + path.sep));
+        removeSubtree(area, relativePath);
+        if (relativePath === '') {
+            areas[area].exists = false;
+            closeWatcher(area);
+        } else {
+            await pruneMissingAncestors(area, relativePath);
+        }
+        if (source === 'watcher') {
+            removedNotes.forEach(key => catalogEvents.emit('change', area, key, null));
+        }
+        return;
+    }
+
+    if (!areas[area].exists) {
+        // The area directory was (re)created, e.g. the first note moved to an emptied trash
+        areas[area].exists = true;
+        ensureWatcher(area);
+    }
+
+    if (stats.isDirectory()) {
+        // Rescan the whole subtree so renamed or deleted children don't linger
+        const inSubtree = (key) => relativePath === '' || key.startsWith(relativePath + path.sep);
+        const before = new Set([...areas[area].files.keys()].filter(inSubtree));
+        removeSubtree(area, relativePath);
+        if (relativePath !== '') {
+            areas[area].dirs.add(relativePath);
+            addAncestorDirs(area, relativePath);
+        }
+        await scanDirectory(area, fullPath);
+        if (source === 'watcher') {
+            for (const [key, entry] of areas[area].files) {
+                if (!inSubtree(key)) continue;
+                before.delete(key);
+                catalogEvents.emit('change', area, key, entry.note);
+            }
+            before.forEach(key => catalogEvents.emit('change', area, key, null));
+        }
+    } else if (stats.isFile()) {
+        const note = await refreshFile(area, fullPath, relativePath, stats);
+        if (source === 'watcher') catalogEvents.emit('change', area, relativePath, note);
+    }
+}
+
+// Drops parent directories that were removed together with a path (e.g. pruned empty groups)
+async function pruneMissingAncestors(area, relativePath) {
+    let dir = path.dirname(relativePath);
+    while (dir !== '.' && dir !== '') {
+        if (await storage.exists(path.join(roots[area], dir))) return;
+        areas[area].dirs.delete(dir);
+        dir = path.dirname(dir);
+    }
+}
+
+// Coalesces watcher events and re-reads each changed path once
+function queueWatchedPath(area, relativePath) {
+    pendingPaths[area].add(relativePath);
+    if (flushTimer) return;
+    flushTimer = setTimeout(async () => {
+        flushTimer = null;
+        for (const [pendingArea, paths] of Object.entries(pendingPaths)) {
+            const batch = [...paths];
+            paths.clear();
+            for (const pendingPath of batch) {
+                try {
+                    await refreshPath(pendingArea, pendingPath, 'watcher');
+                } catch (error) {
+                    console.error(`Error refreshing catalog entry ${pendingPath} in '${pendingArea}':`, error);
+                }
+            }
+        }
+    }, WATCH_DEBOUNCE_MS);
+    flushTimer.unref?.();
+}
+
+function ensureWatcher(area) {
+    if (watchers[area] || rescanTimer) return;
+    try {
+        const watcher = storage.watch(roots[area], (eventType, filename) => {
+            // Without a filename we can't tell what changed, so rescan the whole area
+            queueWatchedPath(area, filename ? filename.toString() : '');
+        });
+        if (!watcher) return; // Nothing but the model can change this backend's data
+        watcher.on('error', (error) => {
+            console.warn(`Catalog watcher for '${area}' stopped: ${error.message}`);
+            closeWatcher(area);
+            queueWatchedPath(area, '');
+        });
+        watcher.unref?.();
+        watchers[area] = watcher;
+    } catch (error) {
+        if (error.code === 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+            console.warn(`Recursive file watching is unavailable, rescanning every ${FALLBACK_RESCAN_INTERVAL_MS / 1000}s instead.`);
+            rescanTimer = setInterval(() => Object.keys(roots).forEach(name => queueWatchedPath(name, '')), FALLBACK_RESCAN_INTERVAL_MS);
+            rescanTimer.unref?.();
+        } else if (error.code !== 'ENOENT') {
+            console.warn(`Could not watch '${roots[area]}': ${error.message}`);
+        }
+    }
+}
+
+function closeWatcher(area) {
+    if (watchers[area]) {
+        watchers[area].close();
+        delete watchers[area];
+    }
+}
+
+/**
+ * Builds the catalog by scanning the notes and trash directories once and starts watching them.
+ * @param {{ notes: string, trash: string }} areaRoots - Absolute paths of the notes and trash directories.
+ */
+async function initCatalog(areaRoots) {
+    roots = {};
+    await addAreas(areaRoots);
+}
+
+/**
+ * Scans and starts watching more areas once the catalog is running, e.g. a user's notes and trash.
+ * Areas the catalog already knows are left as they are.
+ * @param {{ [area: string]: string }} areaRoots - Area names (whose last segment is 'notes' or 'trash') and their directories.
+ */
+async function addAreas(areaRoots) {
+    if (!roots) return;
+    for (const [area, dir] of Object.entries(areaRoots)) {
+        if (area in roots) continue;
+        roots[area] = dir;
+        areas[area] = createArea();
+        pendingPaths[area] = new Set();
+        await refreshPath(area, '');
+        console.log(`Catalog for '${area}': ${areas[area].files.size} file(s), ${areas[area].dirs.size} folder(s).`);
+    }
+}
+
+// Notes directly under a top-level 'trash' folder inside a notes area are not notes (mirrors findJsonFiles)
+function isExcluded(area, relativePath) {
+    return path.basename(area) === 'notes' && (relativePath === 'trash' || relativePath.startsWith('trash' + path.sep));
+}
+
+/**
+ * Lists the notes of an area in the same shape getAllNotes returns.
+ * @param {'notes' | 'trash'} area - Which directory to list.
+ * @returns {object[]} - The notes; throws an ENOENT error if the directory doesn't exist.
+ */
+function listNotes(area) {
+    if (!areas[area].exists) {
+        const error = new Error(`Directory '${path.basename(area)}' not found.`);
+        error.code = 'ENOENT';
+        throw error;
+    }
+    const notes = [];
+    for (const [relativePath, entry] of areas[area].files) {
+        if (entry.note && !isExcluded(area, relativePath)) notes.push({ ...entry.note });
+    }
+    return notes;
+}
+
+/**
+ * Lists the notes of an area with the files they were read from, their sizes and version history measures.
+ * @param {'notes' | 'trash'} area - Which directory to list.
+ * @returns {{ relativePath: string, size: number, note: object, history: object }[]} - The notes (see readNoteEntry);
+ *   throws an ENOENT error if the directory doesn't exist.
+ */
+function listNoteEntries(area) {
+    if (!areas[area].exists) {
+        const error = new Error(`Directory '${path.basename(area)}' not found.`);
+        error.code = 'ENOENT';
+        throw error;
+    }
+    const entries = [];
+    for (const [relativePath, entry] of areas[area].files) {
+        if (entry.note && !isExcluded(area, relativePath)) {
+            entries.push({ relativePath, size: entry.size, note: { ...entry.note }, history: entry.history });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Summarises the catalog into the counts and sizes reported by /stats.
+ * @param {string} [notesArea='notes'] - The notes area to summarise.
+ * @param {string} [trashArea='trash'] - The trash area that goes with it.
+ */
+function getCatalogStats(notesArea = 'notes', trashArea = 'trash') {
+    const summarise = (area) => {
+        const { files, dirs } = areas[area];
+        const jsonFiles = [...files.keys()].filter(key =>
+            path.extname(key).toLowerCase() === '.json' && !isExcluded(area, key));
+        const size = [...files.values()].reduce((total, entry) => total + entry.size, 0);
+        const history = { contentSize: 0, historySize: 0, versionCount: 0 };
+        for (const key of jsonFiles) {
+            const entry = files.get(key);
+            if (!entry.history) continue;
+            Object.keys(history).forEach(field => { history[field] += entry.history[field]; });
+        }
+
+        // A directory is empty when no file or directory lives directly inside it
+        const parents = new Set([...files.keys(), ...dirs].map(key => path.dirname(key)));
+        const groups = [...dirs].filter(dir => !isExcluded(area, dir));
+        const emptyGroups = groups.filter(dir => !parents.has(dir));
+
+        return { count: jsonFiles.length, size, groups, emptyGroups, history };
+    };
+
+    const notes = summarise(notesArea);
+    const trash = summarise(trashArea);
+    return {
+        noteCount: notes.count,
+        groupCount: notes.groups.length,
+        emptyGroups: notes.emptyGroups,
+        trashCount: trash.count,
+        notesSize: notes.size,
+        trashSize: trash.size,
+        ...notes.history
+    };
+}
+
+module.exports = { catalogEvents, initCatalog, addAreas, isReady, refreshPath, readNoteEntry, listNotes, listNoteEntries, getCatalogStats };
@@ -0,0 +1,112 @@
+const path = require('path');
+const catalog = require('./catalog');
+const { createMemoryStorage, useStorage } = require('./storage');
+const { getAllNotes, createNotes, deleteNote, moveNote, renameGroup } = require('./model');
+
+const root = path.join(path.sep, 'data');
+const note = (title, group, content, extra = {}) => ({
+  title, group, createdDate: '2023-01-01T10:00:00Z', versions: [{ content, createdDate: '2023-01-01T10:00:00Z' }], ...extra
+});
+const trashed = note('Old', '', 'old');
+const byPath = (a, b) => `${a.group}/${a.title}`.localeCompare(`${b.group}/${b.title}`);
+
+let backend;
+const write = async (relativePath, content) => {
+  const filePath = path.join(root, relativePath);
+  await backend.makeDir(path.dirname(filePath));
+  await backend.write(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+};
+
+// What getAllNotes returns when it reads the disk: a fresh copy of the model, whose catalog was never started
+function readNotesFromDisk(viewTrash = false) {
+  let notes;
+  jest.isolateModules(() => {
+    require('./storage').useStorage(backend);
+    notes = require('./model').getAllNotes(null, viewTrash);
+  });
+  return notes;
+}
+
+async function expectCatalogToMatchDisk() {
+  for (const [area, viewTrash] of [['notes', false], ['trash', true]]) {
+    expect(catalog.listNotes(area).sort(byPath)).toEqual((await readNotesFromDisk(viewTrash)).sort(byPath));
+  }
+}
+
+describe('note catalog', () => {
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    backend = useStorage(createMemoryStorage(root));
+    await write('notes/Work/Plan.json', note('Plan', 'Work', 'plan'));
+    await write('notes/Work/Q4/Goals.json', note('Goals', 'Work/Q4', 'goals'));
+    await write('notes/Home/readme.txt', 'not a note');
+    await write('notes/Broken.json', '{ not json');
+    await write('notes/trash/Stray.json', note('Stray', 'trash', 'left behind')); // Not a note: mirrors findJsonFiles
+    await backend.makeDir(path.join(root, 'notes', 'Empty'));
+    await write('trash/Old.json', trashed);
+    await catalog.initCatalog({ notes: path.join(root, 'notes'), trash: path.join(root, 'trash') });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should scan both areas at startup into what getAllNotes reads from the disk', async () => {
+    expect(catalog.isReady()).toBe(true);
+    expect(catalog.isReady('notes')).toBe(true);
+    expect(catalog.isReady(path.join('users', 'alice', 'notes'))).toBe(false);
+
+    expect(catalog.listNotes('notes').map(entry => entry.title).sort()).toEqual(['Goals', 'Plan']);
+    expect(catalog.listNotes('trash')).toEqual([expect.objectContaining({ title: 'Old', content: 'old' })]);
+    await expectCatalogToMatchDisk();
+  });
+
+  test('should stay in step with the disk as the model changes notes', async () => {
+    await createNotes([{ title: 'Todo', group: 'Home', content: 'todo' }, { title: 'Plan', group: 'Work', content: 'new plan' }], { mode: 'upsert' });
+    await deleteNote('Goals', 'Work/Q4');
+    await moveNote('Todo', 'Home', { newTitle: 'Chores', newGroup: 'Home/Weekend' });
+    await renameGroup('Work', 'Archive');
+
+    expect((await getAllNotes()).map(entry => `${entry.group}/${entry.title}:${entry.content}`).sort()).toEqual([
+      'Archive/Plan:new plan', `${path.join('Home', 'Weekend')}/Chores:todo`
+    ]);
+    await expectCatalogToMatchDisk();
+  });
+
+  test('should pick up changes made behind its back when a path is refreshed', async () => {
+    await write('notes/Home/New.json', note('New', 'Home', 'new'));
+    expect(catalog.listNotes('notes').map(entry => entry.title)).not.toContain('New');
+
+    await catalog.refreshPath('notes', path.join('Home', 'New.json'));
+    expect(catalog.listNotes('notes')).toContainEqual(expect.objectContaining({ title: 'New', group: 'Home', content: 'new' }));
+
+    await backend.remove(path.join(root, 'notes', 'Work'), { recursive: true });
+    await catalog.refreshPath('notes', 'Work');
+    await expectCatalogToMatchDisk();
+
+    await backend.remove(path.join(root, 'trash'), { recursive: true });
+    await catalog.refreshPath('trash', '');
+    expect(() => catalog.listNotes('trash')).toThrow(expect.objectContaining({ code: 'ENOENT' }));
+  });
+
+  test('should list entries with their sizes and summarise the areas, leaving out the trash folder inside notes', () => {
+    const entries = catalog.listNoteEntries('notes');
+    expect(entries.map(entry => entry.relativePath).sort()).toEqual([path.join('Work', 'Plan.json'), path.join('Work', 'Q4', 'Goals.json')]);
+    expect(entries[0]).toEqual({ relativePath: expect.any(String), size: expect.any(Number), note: expect.any(Object), history: expect.objectContaining({ versionCount: 1 }) });
+
+    const stats = catalog.getCatalogStats();
+    expect(stats).toMatchObject({ noteCount: 3, trashCount: 1, versionCount: 2 }); // Broken.json is a note file, but has no history
+    expect(stats.groupCount).toBe(4); // Work, Work/Q4, Home and Empty; not trash
+    expect(stats.emptyGroups).toEqual(['Empty']);
+    expect(stats.notesSize).toBeGreaterThan(entries[0].size + entries[1].size); // Every file counts, notes or not
+    expect(stats.trashSize).toBe(JSON.stringify(trashed).length);
+  });
+
+  test('should read a note file into the shape getAllNotes returns, or null if it is not a note', async () => {
+    const entry = await catalog.readNoteEntry(path.join(root, 'notes', 'Work', 'Plan.json'), path.join('Work', 'Plan.json'));
+    expect(entry.note).toMatchObject({ title: 'Plan', group: 'Work', content: 'plan', modifiedDate: '2023-01-01T10:00:00Z', tags: [] });
+    expect(await catalog.readNoteEntry(path.join(root, 'notes', 'Broken.json'), 'Broken.json')).toBeNull();
+    expect(await catalog.readNoteEntry(path.join(root, 'notes', 'Home', 'readme.txt'), path.join('Home', 'readme.txt'))).toBeNull();
+  });
+});
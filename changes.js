@@ -0,0 +1,74 @@
+// Change events: the model announces each successful write here, GET /events streams them to clients (Server-Sent
+// Events) and webhooks.js posts them to registered URLs. Every event belongs to the space it happened in.
+
+const { EventEmitter } = require('events');
+const { currentUser } = require('./spaces');
+
+const EVENT_TYPES = [
+    'note.created', 'note.updated', 'note.moved', 'note.trashed', 'note.restored', 'note.deleted',
+    'group.moved', 'group.trashed', 'group.deleted', 'trash.emptied'
+];
+// Events kept for clients that reconnect with a Last-Event-ID
+const REPLAY_SIZE = 100;
+
+const changeEvents = new EventEmitter();
+changeEvents.setMaxListeners(0); // One listener per open event stream
+
+const recentEvents = [];
+let lastEventId = 0;
+
+/**
+ * Announces a change in the current space.
+ * @param {string} type - One of EVENT_TYPES.
+ * @param {object} data - What changed, e.g. { title, group, etag, versionCount } for a note.
+ * @returns {{ id: number, type: string, user: string | null, date: string, data: object }} - The event.
+ */
+function emitChange(type, data) {
+    const event = { id: ++lastEventId, type, user: currentUser(), date: new Date().toISOString(), data };
+    recentEvents.push(event);
+    if (recentEvents.length > REPLAY_SIZE) recentEvents.shift();
+    changeEvents.emit('change', event);
+    return event;
+}
+
+// An event as clients and webhooks see it: the space it belongs to is implied by who receives it
+function describeEvent({ id, type, date, data }) {
+    return { id, type, date, data };
+}
+
+/**
+ * Calls listener with every new event of a space, optionally only of some types.
+ * @param {{ user: string | null, types?: string[] | null, since?: number | null }} options - The space; the event
+ *   types (all without); and the id of the last event the subscriber saw, to first replay the recent ones after it.
+ * @param {(event: object) => void} listener - Called with each event.
+ * @returns {() => void} - Stops the subscription.
+ */
+function subscribe({ user, types = null, since = null }, listener) {
+    const wanted = (event) => event.user === user && (!types || types.includes(event.type));
+    if (since !== null) {
+        recentEvents.filter(event => event.id > since && wanted(event)).forEach(listener);
+    }
+    const onChange = (event) => {
+        if (wanted(event)) listener(event);
+    };
+    changeEvents.on('change', onChange);
+    return () => changeEvents.off('change', onChange);
+}
+
+/**
+ * Parses a comma-separated list of event types, e.g. from ?types=note.created,note.updated.
+ * @param {string | undefined} value - The list; empty or missing means every type.
+ * @returns {string[] | null} - The types, or null for all of them.
+ * @throws {TypeError} - If a type is unknown.
+ */
+function parseEventTypes(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const types = String(value).split(',').map(type => type.trim()).filter(Boolean);
+    const unknown = types.filter(type => !EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+        throw new TypeError(`Invalid event type(s): ${unknown.join(', ')}. Use: ${EVENT_TYPES.join(', ')}.`);
+    }
+    return types;
+}
+
+module.exports = { EVENT_TYPES, changeEvents, emitChange, describeEvent, subscribe, parseEventTypes };
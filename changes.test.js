@@ -0,0 +1,37 @@
+const { emitChange, subscribe, parseEventTypes } = require('./changes');
+const { runInSpace } = require('./spaces');
+
+describe('change events', () => {
+  test('should deliver each space\'s events to its own subscribers, filtered by type', () => {
+    const seen = { top: [], alice: [] };
+    const stopTop = subscribe({ user: null }, event => seen.top.push(event.type));
+    const stopAlice = subscribe({ user: 'alice', types: ['note.trashed'] }, event => seen.alice.push(event.type));
+
+    emitChange('note.created', { title: 'Plan', group: 'Work' });
+    runInSpace('alice', () => {
+      emitChange('note.created', { title: 'Plan', group: '' });
+      emitChange('note.trashed', { title: 'Plan', group: '' });
+    });
+    stopTop();
+    stopAlice();
+    emitChange('note.updated', { title: 'Plan', group: 'Work' });
+
+    expect(seen).toEqual({ top: ['note.created'], alice: ['note.trashed'] });
+  });
+
+  test('should replay the recent events after a given id', () => {
+    const first = emitChange('note.created', { title: 'A', group: '' });
+    const second = emitChange('trash.emptied', { deletedCount: 2 });
+
+    const replayed = [];
+    subscribe({ user: null, since: first.id }, event => replayed.push(event))();
+    expect(replayed).toEqual([second]);
+    expect(second).toMatchObject({ id: first.id + 1, type: 'trash.emptied', user: null, data: { deletedCount: 2 } });
+  });
+
+  test('should parse lists of event types', () => {
+    expect(parseEventTypes(undefined)).toBeNull();
+    expect(parseEventTypes(' note.created, group.deleted ')).toEqual(['note.created', 'group.deleted']);
+    expect(() => parseEventTypes('note.created,note.copied')).toThrow('Invalid event type(s): note.copied');
+  });
+});
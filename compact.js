@@ -0,0 +1,29 @@
+// Rewrites every note file, in every user's space, with the current version retention policy (VERSIONS_KEEP_* settings)
+// and delta storage. Run from the command line while the server is stopped, or use POST /notes/versions/compact while it runs:
+//   node compact.js [--dry-run]
+
+require('dotenv').config();
+
+const { compactNotes } = require('./model');
+const { versionPolicyFromEnv } = require('./history');
+const { forEachSpace } = require('./spaces');
+const { storageFromEnv, useStorage } = require('./storage');
+
+async function main(args) {
+    versionPolicyFromEnv(process.env); // Fail on a bad setting before touching any file
+    useStorage(storageFromEnv({ ...process.env, STORAGE_BACKEND: 'fs' })); // Only the files in DATA_DIR outlive a process
+    const results = {}; // Keyed by user, '.' for the top-level notes
+    await forEachSpace(async (user) => {
+        results[user || '.'] = await compactNotes({ dryRun: args.includes('--dry-run') });
+    });
+    return results;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(result => console.log(JSON.stringify(result, null, 2)))
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+}
@@ -0,0 +1,215 @@
+// Above this many edits the Myers search gets expensive, so the diff falls back to "replace everything"
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Computes the shortest edit script between two sequences (Myers' algorithm).
+ * @param {any[]} oldItems - The original sequence.
+ * @param {any[]} newItems - The changed sequence.
+ * @returns {{ type: 'equal' | 'delete' | 'insert', oldIndex?: number, newIndex?: number }[]} - The edit operations, in order.
+ */
+function diffSequences(oldItems, newItems) {
+    const n = oldItems.length;
+    const m = newItems.length;
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const trace = []; // trace[d] holds the furthest x reached on each diagonal k before step d
+    const v = { 1: 0 };
+
+    for (let d = 0; d <= max; d++) {
+        trace.push({ ...v });
+        for (let k = -d; k <= d; k += 2) {
+            // Step down (insert) from diagonal k + 1 or right (delete) from diagonal k - 1, whichever got further
+            let x = (k === -d || (k !== d && v[k - 1] < v[k + 1])) ? v[k + 1] : v[k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && oldItems[x] === newItems[y]) {
+                x++;
+                y++;
+            }
+            v[k] = x;
+            if (x >= n && y >= m) {
+                return backtrack(trace, n, m);
+            }
+        }
+    }
+
+    // Too many differences: report a full replacement instead
+    return [
+        ...oldItems.map((item, oldIndex) => ({ type: 'delete', oldIndex })),
+        ...newItems.map((item, newIndex) => ({ type: 'insert', newIndex }))
+    ];
+}
+
+// Walks the Myers trace backwards from (n, m) to (0, 0) to recover the edit script
+function backtrack(trace, n, m) {
+    const ops = [];
+    let x = n;
+    let y = m;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const v = trace[d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && v[k - 1] < v[k + 1])) ? k + 1 : k - 1;
+        const prevX = v[prevK];
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            x--;
+            y--;
+            ops.push({ type: 'equal', oldIndex: x, newIndex: y });
+        }
+        if (d > 0) {
+            if (x === prevX) {
+                ops.push({ type: 'insert', newIndex: y - 1 });
+            } else {
+                ops.push({ type: 'delete', oldIndex: x - 1 });
+            }
+        }
+        x = prevX;
+        y = prevY;
+    }
+
+    return ops.reverse();
+}
+
+function splitLines(text) {
+    return text ? text.split(/\r?\n/) : [];
+}
+
+// Splits a line into words and the whitespace between them, so joining the tokens gives the line back
+function splitWords(line) {
+    return line.split(/(\s+)/).filter(token => token !== '');
+}
+
+/**
+ * Computes a word-level diff between two lines, merging adjacent tokens of the same type.
+ * @param {string} oldLine - The original line.
+ * @param {string} newLine - The changed line.
+ * @returns {{ type: 'equal' | 'delete' | 'insert', value: string }[]} - The word-level changes.
+ */
+function diffWords(oldLine, newLine) {
+    const oldWords = splitWords(oldLine);
+    const newWords = splitWords(newLine);
+    const parts = [];
+
+    for (const op of diffSequences(oldWords, newWords)) {
+        const value = op.type === 'insert' ? newWords[op.newIndex] : oldWords[op.oldIndex];
+        const last = parts[parts.length - 1];
+        if (last && last.type === op.type) {
+            last.value += value;
+        } else {
+            parts.push({ type: op.type, value });
+        }
+    }
+    return parts;
+}
+
+// Pairs up each run of removed lines with the added lines that follow it and attaches word-level changes
+function attachWordDiffs(lines) {
+    let i = 0;
+    while (i < lines.length) {
+        if (lines[i].type !== 'remove') {
+            i++;
+            continue;
+        }
+        const removed = [];
+        while (i < lines.length && lines[i].type === 'remove') removed.push(lines[i++]);
+        const added = [];
+        while (i < lines.length && lines[i].type === 'add') added.push(lines[i++]);
+
+        for (let pair = 0; pair < Math.min(removed.length, added.length); pair++) {
+            const words = diffWords(removed[pair].content, added[pair].content);
+            removed[pair].words = words.filter(part => part.type !== 'insert');
+            added[pair].words = words.filter(part => part.type !== 'delete');
+        }
+    }
+}
+
+/**
+ * Computes a line-level diff between two texts, grouped into hunks with surrounding context.
+ * Changed lines that replace each other also carry a word-level diff in `words`.
+ * @param {string} oldText - The original text.
+ * @param {string} newText - The changed text.
+ * @param {number} [context=3] - Number of unchanged lines to keep around each change.
+ * @returns {{ hunks: object[], additions: number, deletions: number }} - The hunks and change counts.
+ */
+function diffLines(oldText, newText, context = 3) {
+    const oldLines = splitLines(oldText);
+    const newLines = splitLines(newText);
+
+    // Flatten the edit script into diff lines with 1-based line numbers
+    const lines = diffSequences(oldLines, newLines).map(op => {
+        if (op.type === 'equal') {
+            return { type: 'context', content: oldLines[op.oldIndex], oldLine: op.oldIndex + 1, newLine: op.newIndex + 1 };
+        }
+        if (op.type === 'delete') {
+            return { type: 'remove', content: oldLines[op.oldIndex], oldLine: op.oldIndex + 1 };
+        }
+        return { type: 'add', content: newLines[op.newIndex], newLine: op.newIndex + 1 };
+    });
+
+    // Group changes that are close to each other into hunks
+    const hunks = [];
+    let current = null;
+    lines.forEach((line, index) => {
+        if (line.type === 'context') return;
+        const start = Math.max(0, index - context);
+        if (current && start <= current.end + 1) {
+            current.end = Math.min(lines.length - 1, index + context);
+        } else {
+            if (current) hunks.push(current);
+            current = { start, end: Math.min(lines.length - 1, index + context) };
+        }
+    });
+    if (current) hunks.push(current);
+
+    let oldSeen = 0;
+    let newSeen = 0;
+    let cursor = 0;
+    const result = hunks.map(({ start, end }) => {
+        // Count the old/new lines that come before this hunk to find its starting line numbers
+        for (; cursor < start; cursor++) {
+            if (lines[cursor].type !== 'add') oldSeen++;
+            if (lines[cursor].type !== 'remove') newSeen++;
+        }
+        const hunkLines = lines.slice(start, end + 1).map(line => ({ ...line }));
+        attachWordDiffs(hunkLines);
+
+        const oldCount = hunkLines.filter(line => line.type !== 'add').length;
+        const newCount = hunkLines.filter(line => line.type !== 'remove').length;
+        return {
+            oldStart: oldCount > 0 ? oldSeen + 1 : oldSeen,
+            oldLines: oldCount,
+            newStart: newCount > 0 ? newSeen + 1 : newSeen,
+            newLines: newCount,
+            lines: hunkLines
+        };
+    });
+
+    return {
+        hunks: result,
+        additions: lines.filter(line => line.type === 'add').length,
+        deletions: lines.filter(line => line.type === 'remove').length
+    };
+}
+
+/**
+ * Formats hunks produced by diffLines as unified-diff text.
+ * @param {object[]} hunks - The hunks from diffLines.
+ * @param {string} oldLabel - Label for the "---" header line.
+ * @param {string} newLabel - Label for the "+++" header line.
+ * @returns {string} - The unified diff, or an empty string if there are no changes.
+ */
+function formatUnifiedDiff(hunks, oldLabel, newLabel) {
+    if (hunks.length === 0) return '';
+
+    const prefixes = { context: ' ', remove: '-', add: '+' };
+    const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+    for (const hunk of hunks) {
+        output.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+        for (const line of hunk.lines) {
+            output.push(`${prefixes[line.type]}${line.content}`);
+        }
+    }
+    return output.join('\n') + '\n';
+}
+
+module.exports = { diffSequences, diffWords, diffLines, formatUnifiedDiff };
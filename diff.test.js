@@ -0,0 +1,60 @@
+const { diffSequences, diffWords, diffLines, formatUnifiedDiff } = require('./diff');
+
+describe('diffSequences', () => {
+  test('should produce a shortest edit script', () => {
+    const ops = diffSequences(['a', 'b', 'c', 'a', 'b', 'b', 'a'], ['c', 'b', 'a', 'b', 'a', 'c']);
+    const edits = ops.filter(op => op.type !== 'equal');
+    expect(edits.length).toBe(5); // Known minimal edit distance for this example
+  });
+
+  test('should report no edits for identical sequences', () => {
+    const ops = diffSequences(['x', 'y'], ['x', 'y']);
+    expect(ops).toEqual([
+      { type: 'equal', oldIndex: 0, newIndex: 0 },
+      { type: 'equal', oldIndex: 1, newIndex: 1 },
+    ]);
+  });
+});
+
+describe('diffWords', () => {
+  test('should merge adjacent words of the same change type', () => {
+    expect(diffWords('the quick brown fox', 'the slow brown fox jumps')).toEqual([
+      { type: 'equal', value: 'the ' },
+      { type: 'delete', value: 'quick' },
+      { type: 'insert', value: 'slow' },
+      { type: 'equal', value: ' brown fox' },
+      { type: 'insert', value: ' jumps' },
+    ]);
+  });
+});
+
+describe('diffLines and formatUnifiedDiff', () => {
+  const oldText = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'].join('\n');
+  const newText = ['one', 'TWO', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven'].join('\n');
+
+  test('should split distant changes into separate hunks with context', () => {
+    const { hunks, additions, deletions } = diffLines(oldText, newText);
+    expect(additions).toBe(2);
+    expect(deletions).toBe(1);
+    expect(hunks.map(h => [h.oldStart, h.oldLines, h.newStart, h.newLines])).toEqual([[1, 5, 1, 5], [8, 3, 8, 4]]);
+  });
+
+  test('should attach word diffs to replaced lines', () => {
+    const { hunks } = diffLines('item one', 'item 1');
+    expect(hunks[0].lines[0].words).toEqual([{ type: 'equal', value: 'item ' }, { type: 'delete', value: 'one' }]);
+    expect(hunks[0].lines[1].words).toEqual([{ type: 'equal', value: 'item ' }, { type: 'insert', value: '1' }]);
+  });
+
+  test('should format hunks as unified diff text', () => {
+    const { hunks } = diffLines('a\nb', 'a\nc');
+    expect(formatUnifiedDiff(hunks, 'old', 'new')).toBe('--- old\n+++ new\n@@ -1,2 +1,2 @@\n a\n-b\n+c\n');
+    expect(formatUnifiedDiff([], 'old', 'new')).toBe('');
+  });
+
+  test('should handle empty texts', () => {
+    const { hunks } = diffLines('', 'x');
+    expect(hunks).toEqual([
+      { oldStart: 0, oldLines: 0, newStart: 1, newLines: 1, lines: [{ type: 'add', content: 'x', newLine: 1 }] },
+    ]);
+  });
+});
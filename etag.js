@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+/**
+ * Builds the ETag of a note from its latest version, so it changes whenever a version is added.
+ * @param {{ versions?: { content?: string, createdDate?: string }[] }} noteJsonData - The stored note.
+ * @returns {string} - A strong, quoted ETag such as "3f2a...".
+ */
+function computeEtag(noteJsonData) {
+    const latestVersion = noteJsonData.versions && noteJsonData.versions.length > 0 ? noteJsonData.versions[0] : {};
+    const hash = crypto.createHash('sha1')
+        .update(JSON.stringify([latestVersion.createdDate || null, latestVersion.content || '']))
+        .digest('hex');
+    return `"${hash.slice(0, 20)}"`;
+}
+
+// Splits an If-Match / If-None-Match header into its entity tags
+function parseEtagList(header) {
+    return header.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Checks an If-Match header (strong comparison). "*" matches any existing note.
+ * @param {string} header - The If-Match header value.
+ * @param {string | null} etag - The note's current ETag, or null if it doesn't exist.
+ * @returns {boolean}
+ */
+function ifMatchSatisfied(header, etag) {
+    if (!etag) return false;
+    return parseEtagList(header).some(tag => tag === '*' || tag === etag);
+}
+
+/**
+ * Checks an If-None-Match header (weak comparison), i.e. whether the client's copy is still current.
+ * @param {string} header - The If-None-Match header value.
+ * @param {string} etag - The note's current ETag.
+ * @returns {boolean}
+ */
+function ifNoneMatchMatches(header, etag) {
+    return parseEtagList(header).some(tag => tag === '*' || tag.replace(/^W\//, '') === etag);
+}
+
+module.exports = { computeEtag, ifMatchSatisfied, ifNoneMatchMatches };
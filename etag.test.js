@@ -0,0 +1,27 @@
+const { computeEtag, ifMatchSatisfied, ifNoneMatchMatches } = require('./etag');
+
+describe('computeEtag', () => {
+  const note = { versions: [{ content: "Latest", createdDate: "2026-01-02T10:00:00Z" }, { content: "Old", createdDate: "2026-01-01T10:00:00Z" }] };
+
+  test('should derive a quoted ETag from the latest version only', () => {
+    const etag = computeEtag(note);
+    expect(etag).toMatch(/^"[0-9a-f]{20}"$/);
+    expect(computeEtag({ ...note, title: "Renamed", versions: [note.versions[0]] })).toBe(etag);
+    expect(computeEtag({ versions: [{ content: "Latest", createdDate: "2026-01-03T10:00:00Z" }] })).not.toBe(etag);
+  });
+});
+
+describe('ifMatchSatisfied and ifNoneMatchMatches', () => {
+  test('should compare If-Match strongly and accept "*" for existing notes only', () => {
+    expect(ifMatchSatisfied('"abc"', '"abc"')).toBe(true);
+    expect(ifMatchSatisfied('"xyz", "abc"', '"abc"')).toBe(true);
+    expect(ifMatchSatisfied('W/"abc"', '"abc"')).toBe(false);
+    expect(ifMatchSatisfied('*', '"abc"')).toBe(true);
+    expect(ifMatchSatisfied('*', null)).toBe(false);
+  });
+
+  test('should compare If-None-Match weakly', () => {
+    expect(ifNoneMatchMatches('W/"abc"', '"abc"')).toBe(true);
+    expect(ifNoneMatchMatches('"xyz"', '"abc"')).toBe(false);
+  });
+});
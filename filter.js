@@ -0,0 +1,240 @@
+// Parser and evaluator for boolean note filter expressions, e.g.
+//   (group:Work OR group:Personal) AND modified>2026-01-01 AND NOT content:"draft"
+//   tag:urgent AND meta.client=acme
+
+const { parseDate } = require('./util');
+const { foldText } = require('./search');
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+const PREDICATE_PATTERN = /^([A-Za-z][\w.]*)(>=|<=|:|=|>|<)(.*)$/s;
+const DATE_OPERATORS = [':', '=', '>', '<', '>=', '<='];
+
+function filterError(message, token) {
+    const error = new SyntaxError(token
+        ? `Invalid filter: ${message} at position ${token.position} (${token.text ? `"${token.text}"` : 'end of filter'}).`
+        : `Invalid filter: ${message}.`);
+    error.position = token ? token.position : null;
+    error.token = token ? token.text : null;
+    return error;
+}
+
+// Splits an expression into parentheses, quoted strings and bare words, remembering where each starts
+function tokenizeFilter(expression) {
+    const tokens = [];
+    let i = 0;
+    while (i < expression.length) {
+        const char = expression[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char, text: char, position: i });
+            i++;
+        } else if (char === '"') {
+            const start = i;
+            let value = '';
+            i++;
+            while (i < expression.length && expression[i] !== '"') {
+                if (expression[i] === '\\' && i + 1 < expression.length) i++; // \" and \\ escapes
+                value += expression[i];
+                i++;
+            }
+            if (i >= expression.length) {
+                throw filterError('unterminated quoted string', { position: start, text: expression.slice(start) });
+            }
+            i++;
+            tokens.push({ type: 'string', text: expression.slice(start, i), value, position: start });
+        } else {
+            const start = i;
+            while (i < expression.length && !/[\s()"]/.test(expression[i])) i++;
+            const text = expression.slice(start, i);
+            tokens.push({ type: KEYWORDS.includes(text) ? text : 'word', text, position: start });
+        }
+    }
+    return tokens;
+}
+
+// Builds the test for one "field<op>value" predicate
+function compilePredicate(field, operator, value, token) {
+    const foldedValue = foldText(value);
+
+    if (field === 'text') {
+        // Bare words match title or content
+        return note => foldText(note.title || '').includes(foldedValue) || foldText(note.content || '').includes(foldedValue);
+    }
+
+    if (field === 'group') {
+        if (operator !== ':' && operator !== '=') {
+            throw filterError(`operator "${operator}" is not supported for "group"`, token);
+        }
+        // group:Work matches Work and every subgroup such as Work/Meetings; group=Work only Work itself
+        const wanted = value.replace(/\\/g, '/').replace(/^\/+|\/+$/g, '').toLowerCase();
+        return note => {
+            const group = (note.group || '').replace(/\\/g, '/').toLowerCase();
+            return group === wanted || (operator === ':' && (wanted === '' || group.startsWith(wanted + '/')));
+        };
+    }
+
+    if (field === 'title' || field === 'content') {
+        if (operator !== ':' && operator !== '=') {
+            throw filterError(`operator "${operator}" is not supported for "${field}"`, token);
+        }
+        return operator === ':'
+            ? note => foldText(note[field] || '').includes(foldedValue)
+            : note => foldText(note[field] || '') === foldedValue;
+    }
+
+    if (field === 'created' || field === 'modified') {
+        if (!DATE_OPERATORS.includes(operator)) {
+            throw filterError(`operator "${operator}" is not supported for "${field}"`, token);
+        }
+        let date;
+        try {
+            date = parseDate(value);
+        } catch (error) {
+            throw filterError(`invalid date "${value}", use ISO 8601 or YYYY-MM-DD`, token);
+        }
+        // A plain YYYY-MM-DD compared with ":" or "=" means anywhere on that (UTC) day
+        const wholeDay = /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const dayEnd = new Date(date.getTime() + 24 * 60 * 60 * 1000);
+        const noteField = field === 'created' ? 'createdDate' : 'modifiedDate';
+
+        return note => {
+            const noteDate = new Date(note[noteField]);
+            if (isNaN(noteDate.getTime())) return false;
+            switch (operator) {
+                case '>': return wholeDay ? noteDate >= dayEnd : noteDate > date;
+                case '>=': return noteDate >= date;
+                case '<': return noteDate < date;
+                case '<=': return wholeDay ? noteDate < dayEnd : noteDate <= date;
+                default: return wholeDay ? noteDate >= date && noteDate < dayEnd : noteDate.getTime() === date.getTime();
+            }
+        };
+    }
+
+    if (field === 'tag') {
+        if (operator !== ':' && operator !== '=') {
+            throw filterError(`operator "${operator}" is not supported for "tag"`, token);
+        }
+        const wanted = value.trim().toLowerCase(); // Tags are stored lowercased
+        return note => (note.tags || []).includes(wanted);
+    }
+
+    const metaMatch = field.match(/^meta(?:data)?\.(.+)$/);
+    if (metaMatch) {
+        if (operator !== ':' && operator !== '=') {
+            throw filterError(`operator "${operator}" is not supported for metadata`, token);
+        }
+        const key = metaMatch[1];
+        return note => {
+            const noteValue = note.metadata ? note.metadata[key] : undefined;
+            if (noteValue === undefined || noteValue === null) return false;
+            return operator === ':'
+                ? foldText(String(noteValue)).includes(foldedValue)
+                : String(noteValue) === value;
+        };
+    }
+
+    throw filterError(`unknown field "${field}"`, token);
+}
+
+/**
+ * Parses a filter expression into a predicate function.
+ * Predicates are field<op>value with fields group, title, content, created, modified, tag and meta.<key>;
+ * bare words match title or content. Predicates combine with AND (or juxtaposition), OR, NOT and parentheses.
+ * @param {string} expression - The filter expression.
+ * @returns {(note: object) => boolean} - Returns true for notes that match.
+ * @throws {SyntaxError} - With `position` and `token` pointing at the offending token.
+ */
+function parseFilter(expression) {
+    const tokens = tokenizeFilter(expression || '');
+    let current = 0;
+
+    const peek = () => tokens[current];
+    const endToken = () => ({ position: expression.length, text: '' });
+
+    function parseOr() {
+        let left = parseAnd();
+        while (peek() && peek().type === 'OR') {
+            current++;
+            const right = parseAnd();
+            const l = left;
+            left = note => l(note) || right(note);
+        }
+        return left;
+    }
+
+    function parseAnd() {
+        let left = parseNot();
+        // Anything that can start an operand continues an implicit AND
+        while (peek() && (peek().type === 'AND' || ['NOT', '(', 'word', 'string'].includes(peek().type))) {
+            if (peek().type === 'AND') current++;
+            const right = parseNot();
+            const l = left;
+            left = note => l(note) && right(note);
+        }
+        return left;
+    }
+
+    function parseNot() {
+        if (peek() && peek().type === 'NOT') {
+            current++;
+            const operand = parseNot();
+            return note => !operand(note);
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = peek();
+        if (!token) {
+            throw filterError('unexpected end of filter, expected a condition', endToken());
+        }
+        if (token.type === '(') {
+            current++;
+            const inner = parseOr();
+            if (!peek() || peek().type !== ')') {
+                throw filterError('expected ")"', peek() || endToken());
+            }
+            current++;
+            return inner;
+        }
+        if (token.type === 'string') {
+            current++;
+            return compilePredicate('text', ':', token.value, token);
+        }
+        if (token.type !== 'word') {
+            throw filterError('expected a condition', token);
+        }
+
+        current++;
+        const match = token.text.match(PREDICATE_PATTERN);
+        if (!match) {
+            return compilePredicate('text', ':', token.text, token);
+        }
+        const [, field, operator, rawValue] = match;
+        let value = rawValue;
+        if (value === '') {
+            // field:"quoted value"
+            const next = peek();
+            if (!next || next.type !== 'string' || next.position !== token.position + token.text.length) {
+                throw filterError(`missing value for "${field}"`, token);
+            }
+            current++;
+            value = next.value;
+        }
+        // Field names are case-insensitive, metadata keys (meta.<key>) are not
+        const [name, ...keyParts] = field.split('.');
+        return compilePredicate([name.toLowerCase(), ...keyParts].join('.'), operator, value, token);
+    }
+
+    if (tokens.length === 0) {
+        throw filterError('filter is empty');
+    }
+    const predicate = parseOr();
+    if (current < tokens.length) {
+        throw filterError('unexpected token', tokens[current]);
+    }
+    return predicate;
+}
+
+module.exports = { parseFilter };
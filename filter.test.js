@@ -0,0 +1,51 @@
+const { parseFilter } = require('./filter');
+
+describe('parseFilter', () => {
+  const notes = [
+    { title: 'Standup', content: 'Daily sync', group: 'Work', createdDate: '2025-12-01T09:00:00Z', modifiedDate: '2026-01-05T10:00:00Z' },
+    { title: 'Retro', content: 'Draft agenda', group: 'Work/Meetings', createdDate: '2025-11-01T09:00:00Z', modifiedDate: '2026-02-01T10:00:00Z' },
+    { title: 'Groceries', content: 'Milk, café', group: 'Personal', createdDate: '2025-10-01T09:00:00Z', modifiedDate: '2025-12-31T23:00:00Z' },
+    { title: 'Workout', content: 'Run', group: 'Workouts', createdDate: '2026-01-01T12:00:00Z', modifiedDate: '2026-01-01T12:00:00Z' },
+  ];
+  const titles = (expression) => notes.filter(parseFilter(expression)).map(note => note.title);
+
+  test('should combine predicates with AND, OR, NOT and parentheses', () => {
+    expect(titles('(group:Work OR group:Personal) AND modified>2026-01-01 AND NOT content:"draft"')).toEqual(['Standup']);
+    expect(titles('group:Personal OR title:retro')).toEqual(['Retro', 'Groceries']);
+    expect(titles('group:Work NOT title:standup')).toEqual(['Retro']); // Juxtaposition is an implicit AND
+  });
+
+  test('should match groups by prefix with ":" and exactly with "="', () => {
+    expect(titles('group:work')).toEqual(['Standup', 'Retro']);
+    expect(titles('group=Work')).toEqual(['Standup']);
+  });
+
+  test('should compare dates, treating a plain day as the whole day', () => {
+    expect(titles('created:2026-01-01')).toEqual(['Workout']);
+    expect(titles('modified<=2025-12-31')).toEqual(['Groceries']);
+    expect(titles('created>=2025-12-01T09:00:00Z')).toEqual(['Standup', 'Workout']);
+  });
+
+  test('should match bare words against title or content, ignoring accents', () => {
+    expect(titles('cafe')).toEqual(['Groceries']);
+    expect(titles('"daily sync"')).toEqual(['Standup']);
+  });
+
+  test('should report the position and token of syntax errors', () => {
+    const errorFor = (expression) => {
+      try {
+        parseFilter(expression);
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+
+    expect(errorFor('group:Work AND (title:x')).toMatchObject({ name: 'SyntaxError', position: 23, token: '' });
+    expect(errorFor('group:Work OR OR title:x')).toMatchObject({ position: 14, token: 'OR' });
+    expect(errorFor('size>10')).toMatchObject({ position: 0, token: 'size>10' });
+    expect(errorFor('modified>yesterday').message).toContain('invalid date "yesterday"');
+    expect(errorFor('title:"unterminated').position).toBe(6);
+    expect(errorFor('title>a').message).toContain('operator ">" is not supported');
+  });
+});
@@ -0,0 +1,195 @@
+// Converts between notes and Markdown files with YAML front matter (as used by Obsidian-style vaults).
+// Only the YAML needed for front matter is supported: "key: value" pairs whose values are scalars,
+// flow lists/maps ([a, b] or JSON), or block lists ("- item") and maps ("  key: value") one level deep.
+
+const FRONT_MATTER_PATTERN = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+const NUMBER_PATTERN = /^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/;
+const PLAIN_KEY_PATTERN = /^[A-Za-z_][\w .-]*$/;
+
+// Front matter keys that describe the note itself; everything else is metadata
+const TITLE_KEYS = ['title'];
+const CREATED_KEYS = ['created', 'createdDate', 'date', 'date created'];
+const MODIFIED_KEYS = ['modified', 'modifiedDate', 'updated', 'date modified'];
+const TAG_KEYS = ['tags', 'tag'];
+const RESERVED_KEYS = new Set([...TITLE_KEYS, ...CREATED_KEYS, ...MODIFIED_KEYS, ...TAG_KEYS, 'metadata']);
+
+function frontMatterError(message, lineNumber) {
+    return new SyntaxError(`Invalid front matter: ${message} on line ${lineNumber}.`);
+}
+
+/**
+ * Parses a single YAML value: quoted or plain strings, numbers, booleans, null and flow lists/maps.
+ * @param {string} text - The value as written after "key:".
+ * @returns {any} - The parsed value.
+ */
+function parseScalar(text) {
+    const value = text.trim();
+    if (value.startsWith('"')) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value.slice(1, value.endsWith('"') ? -1 : undefined);
+        }
+    }
+    if (value.startsWith("'")) {
+        return value.slice(1, value.endsWith("'") && value.length > 1 ? -1 : undefined).replace(/''/g, "'");
+    }
+    if (value.startsWith('[') || value.startsWith('{')) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            // Not JSON: a simple flow list such as [a, "b c"]
+            if (value.startsWith('[') && value.endsWith(']')) {
+                const inner = value.slice(1, -1).trim();
+                return inner === '' ? [] : inner.split(',').map(parseScalar);
+            }
+            return value;
+        }
+    }
+
+    const plain = value.replace(/\s+#.*$/, ''); // Trailing comment
+    if (/^(true|false)$/i.test(plain)) return plain.toLowerCase() === 'true';
+    if (/^(null|~)?$/i.test(plain)) return null;
+    if (NUMBER_PATTERN.test(plain)) return Number(plain);
+    return plain;
+}
+
+/**
+ * Parses the front matter block of a YAML subset into an object.
+ * @param {string} yaml - The text between the "---" lines.
+ * @returns {object} - The parsed keys and values.
+ * @throws {SyntaxError} - If a line isn't a "key: value" pair or a list/map item.
+ */
+function parseYaml(yaml) {
+    const lines = yaml.split(/\r?\n/);
+    const result = {};
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.trim() === '' || line.trim().startsWith('#')) continue;
+
+        const match = line.match(/^([^\s:#'"-][^:]*?|"[^"]*"|'[^']*'):(?:[ \t]+(.*))?$/);
+        if (!match) throw frontMatterError(`expected "key: value" but found "${line.trim()}"`, i + 1);
+        const key = /^["']/.test(match[1]) ? parseScalar(match[1]) : match[1].trim();
+
+        if (match[2] !== undefined && match[2].trim() !== '' && !match[2].trim().startsWith('#')) {
+            result[key] = parseScalar(match[2]);
+            continue;
+        }
+
+        // A nested block: list items ("- a", indented or not) or indented "key: value" pairs
+        const items = [];
+        while (i + 1 < lines.length && (lines[i + 1].trim() === '' || /^(\s+\S|-(\s|$))/.test(lines[i + 1]))) {
+            i++;
+            if (lines[i].trim() !== '') items.push({ text: lines[i].trim(), lineNumber: i + 1 });
+        }
+        if (items.length === 0) {
+            result[key] = null;
+        } else if (items[0].text.startsWith('-')) {
+            result[key] = items.map(({ text, lineNumber }) => {
+                if (!/^-(\s|$)/.test(text)) throw frontMatterError(`expected a list item but found "${text}"`, lineNumber);
+                return parseScalar(text.slice(1));
+            });
+        } else {
+            result[key] = {};
+            for (const { text, lineNumber } of items) {
+                const pair = text.match(/^([^:]+?):(?:[ \t]+(.*))?$/);
+                if (!pair) throw frontMatterError(`expected "key: value" but found "${text}"`, lineNumber);
+                result[key][pair[1]] = pair[2] === undefined ? null : parseScalar(pair[2]);
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Splits a Markdown file into its front matter and body.
+ * @param {string} text - The file contents.
+ * @returns {{ attributes: object, body: string }} - The parsed front matter ({} if there is none) and the rest of the file.
+ */
+function parseFrontMatter(text) {
+    const match = text.match(FRONT_MATTER_PATTERN);
+    if (!match) return { attributes: {}, body: text };
+    // The blank line written after the front matter isn't part of the content
+    return { attributes: parseYaml(match[1] || ''), body: text.slice(match[0].length).replace(/^\r?\n/, '') };
+}
+
+// Writes a value so that parseScalar reads back exactly the same value
+function formatScalar(value) {
+    if (typeof value === 'string') {
+        const isPlain = /^[A-Za-z0-9_][\w .:\/()+,-]*$/.test(value) && !/(: |:$|\s$)/.test(value) && parseScalar(value) === value;
+        return isPlain ? value : JSON.stringify(value);
+    }
+    if (value === undefined) return 'null';
+    return JSON.stringify(value); // Numbers, booleans, null, and lists/maps as JSON flow collections
+}
+
+function firstValue(attributes, keys) {
+    const key = keys.find(name => attributes[name] !== undefined && attributes[name] !== null && attributes[name] !== '');
+    return key === undefined ? undefined : attributes[key];
+}
+
+/**
+ * Turns a Markdown file into a note for createNotes.
+ * @param {string} text - The file contents.
+ * @param {{ title: string, createdDate?: string, modifiedDate?: string }} defaults - Used when the front matter doesn't say
+ *   (e.g. the file name and file times).
+ * @returns {{ title: string, content: string, createdDate?: string, modifiedDate?: string, tags: string[], metadata: object }}
+ * @throws {SyntaxError} - If the front matter can't be parsed.
+ */
+function markdownToNote(text, defaults) {
+    const { attributes, body } = parseFrontMatter(text);
+    const title = firstValue(attributes, TITLE_KEYS);
+    const tags = firstValue(attributes, TAG_KEYS);
+    const createdDate = firstValue(attributes, CREATED_KEYS);
+    const modifiedDate = firstValue(attributes, MODIFIED_KEYS);
+
+    const metadata = {};
+    for (const [key, value] of Object.entries(attributes)) {
+        if (!RESERVED_KEYS.has(key)) metadata[key] = value;
+    }
+    if (attributes.metadata && typeof attributes.metadata === 'object' && !Array.isArray(attributes.metadata)) {
+        Object.assign(metadata, attributes.metadata);
+    }
+
+    return {
+        title: title !== undefined ? String(title) : defaults.title,
+        content: body,
+        createdDate: createdDate !== undefined ? String(createdDate) : defaults.createdDate,
+        modifiedDate: modifiedDate !== undefined ? String(modifiedDate) : defaults.modifiedDate,
+        // Tags can be a list or a "a, b" / "#a #b" string, as vaults write them either way
+        tags: (Array.isArray(tags) ? tags : String(tags || '').split(/[,\s]+/))
+            .map(tag => String(tag).replace(/^#/, '').trim())
+            .filter(Boolean),
+        metadata
+    };
+}
+
+/**
+ * Writes a note as Markdown with front matter (title, dates, tags and metadata) followed by its content.
+ * @param {{ title: string, content?: string, createdDate?: string, modifiedDate?: string, tags?: string[], metadata?: object }} note
+ * @returns {string} - The file contents.
+ */
+function noteToMarkdown(note) {
+    const lines = [`title: ${formatScalar(note.title)}`];
+    if (note.createdDate) lines.push(`created: ${formatScalar(note.createdDate)}`);
+    if (note.modifiedDate) lines.push(`modified: ${formatScalar(note.modifiedDate)}`);
+    if (Array.isArray(note.tags) && note.tags.length > 0) {
+        lines.push('tags:', ...note.tags.map(tag => `  - ${formatScalar(tag)}`));
+    }
+
+    // Metadata goes at the top level like any other front matter, unless its key would be read back as something else
+    const nested = {};
+    for (const [key, value] of Object.entries(note.metadata || {})) {
+        if (RESERVED_KEYS.has(key) || !PLAIN_KEY_PATTERN.test(key) || /\s$/.test(key)) {
+            nested[key] = value;
+        } else {
+            lines.push(`${key}: ${formatScalar(value)}`);
+        }
+    }
+    if (Object.keys(nested).length > 0) lines.push(`metadata: ${JSON.stringify(nested)}`);
+
+    return `---\n${lines.join('\n')}\n---\n\n${note.content || ''}`;
+}
+
+module.exports = { parseScalar, parseYaml, parseFrontMatter, markdownToNote, noteToMarkdown };
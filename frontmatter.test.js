@@ -0,0 +1,68 @@
+const { parseScalar, parseFrontMatter, markdownToNote, noteToMarkdown } = require('./frontmatter');
+
+describe('parseScalar', () => {
+  test('should parse YAML scalars and flow collections', () => {
+    expect(parseScalar('plain text # comment')).toBe('plain text');
+    expect(parseScalar('"quoted \\"text\\""')).toBe('quoted "text"');
+    expect(parseScalar("'it''s'")).toBe("it's");
+    expect(parseScalar('42')).toBe(42);
+    expect(parseScalar('True')).toBe(true);
+    expect(parseScalar('~')).toBe(null);
+    expect(parseScalar('[a, "b c"]')).toEqual(['a', 'b c']);
+    expect(parseScalar('{"nested": [1, 2]}')).toEqual({ nested: [1, 2] });
+    expect(parseScalar('2024-01-05')).toBe('2024-01-05');
+  });
+});
+
+describe('parseFrontMatter', () => {
+  test('should read block lists and maps and strip the blank line after the front matter', () => {
+    const { attributes, body } = parseFrontMatter('---\ntitle: Plan: Q3\ntags:\n- a\n-   b\nextra:\n  owner: sam\n  budget: 10\n---\n\n# Body\n');
+    expect(attributes).toEqual({ title: 'Plan: Q3', tags: ['a', 'b'], extra: { owner: 'sam', budget: 10 } });
+    expect(body).toBe('# Body\n');
+  });
+
+  test('should treat files without front matter as all content', () => {
+    expect(parseFrontMatter('Just text\n---\n')).toEqual({ attributes: {}, body: 'Just text\n---\n' });
+  });
+
+  test('should report lines it cannot parse', () => {
+    expect(() => parseFrontMatter('---\ntitle: ok\nnot a pair\n---\n')).toThrow('Invalid front matter: expected "key: value" but found "not a pair" on line 2.');
+  });
+});
+
+describe('markdownToNote', () => {
+  const defaults = { title: 'File name', createdDate: '2026-01-01T00:00:00.000Z', modifiedDate: '2026-01-02T00:00:00.000Z' };
+
+  test('should map front matter to title, dates, tags and metadata', () => {
+    const note = markdownToNote('---\ntitle: Plan\ndate: 2024-01-05\nupdated: 2024-02-01\ntags: "#work, urgent"\nstatus: draft\n---\nBody', defaults);
+    expect(note).toEqual({
+      title: 'Plan',
+      content: 'Body',
+      createdDate: '2024-01-05',
+      modifiedDate: '2024-02-01',
+      tags: ['work', 'urgent'],
+      metadata: { status: 'draft' },
+    });
+  });
+
+  test('should fall back to the defaults', () => {
+    expect(markdownToNote('Body', defaults)).toEqual({ ...defaults, content: 'Body', tags: [], metadata: {} });
+  });
+});
+
+describe('noteToMarkdown', () => {
+  test('should round-trip notes through markdownToNote', () => {
+    const note = {
+      title: 'Plan: "Q3"',
+      content: '\n# Goals\n---\n',
+      createdDate: '2024-01-05T00:00:00.000Z',
+      modifiedDate: '2024-02-01T10:00:00.000Z',
+      tags: ['work', '2024', 'true'],
+      metadata: { status: 'draft', priority: 2, done: false, links: ['a', { b: 1 }], date: 'not the created date', 'odd: key': 'x', empty: '' },
+    };
+    const markdown = noteToMarkdown(note);
+    expect(markdown).toContain('\nstatus: draft\n');
+    expect(markdown).toContain('\nmetadata: {"date":"not the created date","odd: key":"x"}\n');
+    expect(markdownToNote(markdown, { title: 'ignored' })).toEqual(note);
+  });
+});
@@ -0,0 +1,216 @@
+// Git history: with GIT_HISTORY=true, every change the model makes is committed to a Git repository in the data folder,
+// so deletions, moves and trash purges leave a trace next to the versions kept inside each note file.
+// The repository lives in .notes-history/ (the data folder is its work tree, but only notes, trash and user spaces are
+// tracked), so it never gets mixed up with a repository the data folder may already be part of. Back it up or inspect
+// it with plain git, e.g. git --git-dir=.notes-history log --stat.
+
+const { execFile } = require('child_process');
+const path = require('path');
+const storage = require('./storage');
+const { currentUser } = require('./spaces');
+
+const GIT_DIR_NAME = '.notes-history';
+// Only the note areas are tracked; temporary files of interrupted writes never are
+const EXCLUDE_PATTERNS = ['/*', '!/notes/', '!/trash/', '!/users/', '/users/*/*', '!/users/*/notes/', '!/users/*/trash/', '*.tmp'];
+const COMMIT_PATTERN = /^[0-9a-f]{4,40}$/i;
+
+let root = null; // The data folder while the history is enabled
+let queue = Promise.resolve(); // Git commands run one at a time, since they share one index
+
+// Runs git on the history repository; rejects with git's own message on a non-zero exit
+function git(args, { allowedCodes = [0] } = {}) {
+    const author = currentUser() || 'geepnotes';
+    const fullArgs = [
+        `--git-dir=${path.join(root, GIT_DIR_NAME)}`, `--work-tree=${root}`,
+        '-c', `user.name=${author}`, '-c', `user.email=${author}@geepnotes.local`, '-c', 'commit.gpgsign=false', '-c', 'core.quotePath=false',
+        ...args
+    ];
+    return new Promise((resolve, reject) => {
+        execFile('git', fullArgs, { cwd: root, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+            const code = error ? (typeof error.code === 'number' ? error.code : null) : 0;
+            if (allowedCodes.includes(code)) return resolve({ code, stdout });
+            reject(new Error(`git ${args[0]} failed: ${(stderr || (error && error.message) || '').trim()}`));
+        });
+    });
+}
+
+// Runs fn after every git command queued before it
+function enqueue(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+}
+
+// A path below the data folder as git sees it
+function toGitPath(target) {
+    return path.relative(root, target).split(path.sep).join('/');
+}
+
+/**
+ * Checks whether changes are being committed.
+ * @returns {boolean}
+ */
+function isGitHistoryEnabled() {
+    return root !== null;
+}
+
+/**
+ * Reads the GIT_HISTORY setting.
+ * @param {object} env - Usually process.env.
+ * @param {{ name: string }} backend - The storage backend in use (see storage.js).
+ * @returns {boolean} - Whether changes should be committed.
+ * @throws {TypeError} - If GIT_HISTORY is neither "true" nor "false", or is on with the memory backend.
+ */
+function gitHistoryFromEnv(env, backend) {
+    const value = (env.GIT_HISTORY || 'false').trim().toLowerCase();
+    if (!['true', 'false'].includes(value)) {
+        throw new TypeError(`Invalid GIT_HISTORY: ${env.GIT_HISTORY}. Use true or false.`);
+    }
+    if (value === 'true' && backend.name !== 'fs') {
+        throw new TypeError(`Invalid GIT_HISTORY: the ${backend.name} storage backend keeps no files to commit. Use STORAGE_BACKEND=fs.`);
+    }
+    return value === 'true';
+}
+
+/**
+ * Starts committing changes to the history repository of the active (file) storage, creating the repository if needed.
+ * Whatever changed while the server was down is committed first.
+ * @returns {Promise<void>}
+ */
+async function initGitHistory() {
+    root = storage.getStorage().root;
+    const gitDir = path.join(root, GIT_DIR_NAME);
+    try {
+        if (!await storage.exists(gitDir)) {
+            await git(['init', '--quiet']);
+            console.log(`Created Git history repository in ${gitDir}`);
+        }
+        await storage.makeDir(path.join(gitDir, 'info'));
+        await storage.write(path.join(gitDir, 'info', 'exclude'), `${EXCLUDE_PATTERNS.join('\n')}\n`);
+        await enqueue(() => commitPaths('Record changes made outside the API', ['.']));
+    } catch (error) {
+        root = null;
+        throw error;
+    }
+}
+
+// Stages the given paths (deleted ones included) and commits them; resolves with the new commit, or null if nothing changed
+async function commitPaths(message, gitPaths) {
+    const present = [];
+    const missing = [];
+    for (const gitPath of gitPaths) {
+        (await storage.exists(path.join(root, gitPath)) ? present : missing).push(gitPath);
+    }
+    if (present.length > 0) await git(['add', '--all', '--', ...present]);
+    if (missing.length > 0) await git(['rm', '-r', '--cached', '--ignore-unmatch', '--quiet', '--', ...missing]);
+
+    const { code } = await git(['diff', '--cached', '--quiet'], { allowedCodes: [0, 1] });
+    if (code === 0) return null;
+    await git(['commit', '--quiet', '--no-verify', '-m', message]);
+    const { stdout } = await git(['rev-parse', 'HEAD']);
+    return stdout.trim();
+}
+
+/**
+ * Commits the current state of some files or folders, e.g. after the model changed them. Does nothing while the history
+ * is disabled. Failures are logged, never thrown: the change itself has already been made.
+ * @param {string} message - The commit message, e.g. "Update note 'Plan' in group 'Work'".
+ * @param {string[]} targets - Absolute paths of the changed files or folders; missing ones are recorded as deleted.
+ * @returns {Promise<string | null>} - The new commit's hash, or null if nothing was committed.
+ */
+async function recordChange(message, targets) {
+    if (!isGitHistoryEnabled()) return null;
+    const gitPaths = [...new Set(targets.map(toGitPath))];
+    try {
+        return await enqueue(() => commitPaths(message, gitPaths));
+    } catch (error) {
+        console.error(`Error committing "${message}" to the Git history:`, error);
+        return null;
+    }
+}
+
+// Parses git's --name-status lines into { status, path, previousPath? }, with paths relative to baseDir
+function parseFileStatus(line, baseDir) {
+    const [code, ...paths] = line.split('\t');
+    const names = { A: 'added', M: 'modified', D: 'deleted', R: 'renamed', C: 'copied', T: 'modified' };
+    const relative = (gitPath) => path.posix.relative(baseDir, gitPath);
+    const file = { status: names[code[0]] || code, path: relative(paths[paths.length - 1]) };
+    if (paths.length > 1) file.previousPath = relative(paths[0]);
+    return file;
+}
+
+/**
+ * Lists the most recent commits that touched some folders, newest first.
+ * @param {string[]} dirs - Absolute paths of the folders (e.g. the current space's notes and trash).
+ * @param {{ limit?: number, baseDir?: string }} [options] - How many commits to list, and the folder file paths are
+ *   shown relative to (default: the data folder).
+ * @returns {Promise<{ commit: string, date: string, author: string, message: string, files: object[] }[]>}
+ * @throws {Error} - If the history is disabled.
+ */
+async function listCommits(dirs, { limit = 20, baseDir = root } = {}) {
+    if (!isGitHistoryEnabled()) {
+        throw new Error('Git history is not enabled. Set GIT_HISTORY=true to record it.');
+    }
+    return enqueue(async () => {
+        const { code } = await git(['rev-parse', '--verify', '--quiet', 'HEAD'], { allowedCodes: [0, 1] });
+        if (code !== 0) return []; // Nothing committed yet
+
+        const { stdout } = await git(['log', `--max-count=${limit}`, '--format=%x1e%H%x1f%aI%x1f%an%x1f%s', '--name-status', '--', ...dirs.map(toGitPath)]);
+        const relativeBase = toGitPath(baseDir);
+        return stdout.split('\x1e').filter(entry => entry.trim() !== '').map(entry => {
+            const [header, ...lines] = entry.split('\n');
+            const [commit, date, author, message] = header.split('\x1f');
+            const files = lines.filter(line => line.includes('\t')).map(line => parseFileStatus(line, relativeBase));
+            return { commit, date, author, message, files };
+        });
+    });
+}
+
+/**
+ * Puts some folders back the way they were at a commit, and commits that as a new change (so it can be undone too).
+ * Files added since are deleted; files changed since the last commit are committed before being replaced.
+ * @param {string} commit - The commit's hash (at least 4 characters).
+ * @param {string[]} dirs - Absolute paths of the folders to restore.
+ * @param {{ baseDir?: string }} [options] - The folder file paths are shown relative to (default: the data folder).
+ * @returns {Promise<{ commit: string | null, restoredFrom: { commit: string, date: string, message: string }, files: object[] }>}
+ *   - The new commit (null if the folders were already that way), the commit restored from, and the files changed.
+ * @throws {TypeError | Error} - If the commit is malformed ("Invalid") or unknown ("not found"), or the history is disabled.
+ */
+async function restoreCommit(commit, dirs, { baseDir = root } = {}) {
+    if (!isGitHistoryEnabled()) {
+        throw new Error('Git history is not enabled. Set GIT_HISTORY=true to record it.');
+    }
+    if (typeof commit !== 'string' || !COMMIT_PATTERN.test(commit)) {
+        throw new TypeError(`Invalid commit "${commit}": use a commit hash from GET /history.`);
+    }
+    const gitPaths = dirs.map(toGitPath);
+
+    return enqueue(async () => {
+        const { code, stdout } = await git(['log', '-1', '--format=%H%x1f%aI%x1f%s', `${commit}^{commit}`, '--'], { allowedCodes: [0, 128] });
+        if (code !== 0) {
+            throw new Error(`Commit "${commit}" not found.`);
+        }
+        const [hash, date, message] = stdout.trim().split('\x1f');
+
+        // Keep whatever changed behind the API's back, so the restore itself can be undone
+        await commitPaths('Record changes made outside the API', gitPaths);
+        for (const gitPath of gitPaths) {
+            try {
+                await git(['restore', `--source=${hash}`, '--staged', '--worktree', '--', gitPath]);
+            } catch (error) {
+                // The folder is neither in that commit nor tracked now: there is nothing to put back
+                if (!error.message.includes('did not match')) throw error;
+            }
+        }
+
+        const { stdout: changes } = await git(['diff', '--cached', '--name-status', '--no-renames']);
+        const relativeBase = toGitPath(baseDir);
+        const files = changes.split('\n').filter(line => line.includes('\t')).map(line => parseFileStatus(line, relativeBase));
+        const names = gitPaths.map(gitPath => path.posix.relative(relativeBase, gitPath)).join(' and ');
+        const restoreMessage = `Restore ${names} as of ${hash.slice(0, 7)} (${message})`;
+        const newCommit = files.length > 0 ? await commitPaths(restoreMessage, gitPaths) : null;
+        return { commit: newCommit, restoredFrom: { commit: hash, date, message }, files };
+    });
+}
+
+module.exports = { isGitHistoryEnabled, gitHistoryFromEnv, initGitHistory, recordChange, listCommits, restoreCommit };
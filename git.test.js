@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStorage, useStorage } = require('./storage');
+const { runInSpace } = require('./spaces');
+const { gitHistoryFromEnv, initGitHistory, recordChange, listCommits, restoreCommit } = require('./git');
+
+describe('gitHistoryFromEnv', () => {
+  test('should be off unless GIT_HISTORY is true', () => {
+    expect(gitHistoryFromEnv({}, { name: 'fs' })).toBe(false);
+    expect(gitHistoryFromEnv({ GIT_HISTORY: 'false' }, { name: 'fs' })).toBe(false);
+    expect(gitHistoryFromEnv({ GIT_HISTORY: ' TRUE ' }, { name: 'fs' })).toBe(true);
+  });
+
+  test('should reject unknown values and the memory backend', () => {
+    expect(() => gitHistoryFromEnv({ GIT_HISTORY: 'yes' }, { name: 'fs' })).toThrow('Invalid GIT_HISTORY: yes');
+    expect(() => gitHistoryFromEnv({ GIT_HISTORY: 'true' }, { name: 'memory' })).toThrow(TypeError);
+    expect(gitHistoryFromEnv({ GIT_HISTORY: 'false' }, { name: 'memory' })).toBe(false);
+  });
+});
+
+describe('Git history', () => {
+  let root;
+  const at = (...parts) => path.join(root, ...parts);
+  const write = (relativePath, content) => {
+    fs.mkdirSync(path.dirname(at(relativePath)), { recursive: true });
+    fs.writeFileSync(at(relativePath), content);
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'geepnotes-git-'));
+    useStorage(createFileStorage(root));
+    write('notes/Old.json', '{"title":"Old"}');
+    write('.search-index.json', '{}');
+    await initGitHistory();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('should commit existing notes at startup, but nothing outside the note areas', async () => {
+    const commits = await listCommits([at('notes'), at('trash')]);
+    expect(commits).toHaveLength(1);
+    expect(commits[0]).toMatchObject({
+      message: 'Record changes made outside the API',
+      author: 'geepnotes',
+      files: [{ status: 'added', path: 'notes/Old.json' }]
+    });
+  });
+
+  test('should commit changed and deleted files with the given message', async () => {
+    write('notes/Work/Plan.json', '{"title":"Plan"}');
+    const commit = await recordChange("Create note 'Plan' in group 'Work'", [at('notes', 'Work', 'Plan.json')]);
+    expect(commit).toMatch(/^[0-9a-f]{40}$/);
+
+    fs.mkdirSync(at('trash'));
+    fs.renameSync(at('notes', 'Old.json'), at('trash', 'Old.json'));
+    await recordChange("Trash note 'Old' in group '.'", [at('notes', 'Old.json'), at('trash', 'Old.json')]);
+    fs.rmSync(at('trash'), { recursive: true });
+    await recordChange('Empty trash (1 note)', [at('trash')]);
+
+    const commits = await listCommits([at('notes'), at('trash')]);
+    expect(commits.map(entry => entry.message)).toEqual([
+      'Empty trash (1 note)',
+      "Trash note 'Old' in group '.'",
+      "Create note 'Plan' in group 'Work'",
+      'Record changes made outside the API'
+    ]);
+    expect(commits[0].files).toEqual([{ status: 'deleted', path: 'trash/Old.json' }]);
+    expect(commits[1].files).toEqual([{ status: 'renamed', path: 'trash/Old.json', previousPath: 'notes/Old.json' }]);
+    expect(await listCommits([at('notes')], { limit: 1 })).toHaveLength(1);
+  });
+
+  test('should not commit when nothing changed', async () => {
+    expect(await recordChange('Nothing', [at('notes', 'Old.json')])).toBeNull();
+    expect(await listCommits([at('notes')])).toHaveLength(1);
+  });
+
+  test('should list a user space\'s commits with paths relative to it, by that user', async () => {
+    await runInSpace('alice', async () => {
+      write('users/alice/notes/Diary.json', '{}');
+      await recordChange("Create note 'Diary' in group '.'", [at('users', 'alice', 'notes', 'Diary.json')]);
+    });
+
+    const commits = await listCommits([at('users', 'alice', 'notes'), at('users', 'alice', 'trash')], { baseDir: at('users', 'alice') });
+    expect(commits).toHaveLength(1);
+    expect(commits[0]).toMatchObject({ author: 'alice', files: [{ status: 'added', path: 'notes/Diary.json' }] });
+  });
+
+  test('should restore folders as they were at a commit and commit the restore', async () => {
+    const [{ commit: start }] = await listCommits([at('notes')]);
+    write('notes/Old.json', '{"title":"Changed"}');
+    write('notes/New.json', '{"title":"New"}');
+    await recordChange('Save 2 notes (1 created, 1 updated)', [at('notes')]);
+    write('notes/Unrecorded.json', '{}'); // Changed behind the API's back
+
+    const result = await restoreCommit(start.slice(0, 7), [at('notes'), at('trash')]);
+
+    expect(fs.readFileSync(at('notes', 'Old.json'), 'utf8')).toBe('{"title":"Old"}');
+    expect(fs.existsSync(at('notes', 'New.json'))).toBe(false);
+    expect(fs.existsSync(at('notes', 'Unrecorded.json'))).toBe(false);
+    expect(result.restoredFrom).toMatchObject({ commit: start, message: 'Record changes made outside the API' });
+    expect(result.files).toEqual([
+      { status: 'deleted', path: 'notes/New.json' },
+      { status: 'modified', path: 'notes/Old.json' },
+      { status: 'deleted', path: 'notes/Unrecorded.json' }
+    ]);
+
+    const commits = await listCommits([at('notes')]);
+    expect(commits[0]).toMatchObject({ commit: result.commit, message: `Restore notes and trash as of ${start.slice(0, 7)} (Record changes made outside the API)` });
+    expect(commits[1].message).toBe('Record changes made outside the API'); // The unrecorded note, kept so it can be restored
+    expect((await restoreCommit(start, [at('notes'), at('trash')])).commit).toBeNull(); // Already that way
+  });
+
+  test('should reject malformed and unknown commits', async () => {
+    await expect(restoreCommit('HEAD~1', [at('notes')])).rejects.toThrow('Invalid commit');
+    await expect(restoreCommit('deadbeef', [at('notes')])).rejects.toThrow('Commit "deadbeef" not found.');
+  });
+});
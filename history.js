@@ -0,0 +1,209 @@
+// Version history storage: older versions are kept as line deltas against the next newer version,
+// and a retention policy decides which versions are kept at all.
+//
+// A stored version is either { content, createdDate } or { delta, createdDate }. versions[0] always holds the full
+// content. A delta is a list of operations on the lines of the newer neighbour: a positive number copies that many
+// lines, a negative number skips that many lines, and a string inserts text.
+
+const { diffSequences } = require('./diff');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const POLICY_SETTINGS = {
+    keepLast: 'VERSIONS_KEEP_LAST',
+    keepDays: 'VERSIONS_KEEP_DAYS',
+    keepDailyDays: 'VERSIONS_KEEP_DAILY_DAYS',
+    keepMonthlyMonths: 'VERSIONS_KEEP_MONTHLY_MONTHS'
+};
+
+// Splits text into lines, keeping each line's "\n" so that joining them gives back the text
+function splitLines(text) {
+    return text === '' ? [] : text.split(/(?<=\n)/);
+}
+
+/**
+ * Computes the delta that turns base into target.
+ * @param {string} base - The newer neighbour's content.
+ * @param {string} target - The content to encode.
+ * @returns {(number | string)[]} - The delta operations.
+ */
+function createDelta(base, target) {
+    const baseLines = splitLines(base);
+    const targetLines = splitLines(target);
+    const delta = [];
+    const push = (op) => {
+        const last = delta[delta.length - 1];
+        // Merge runs of the same kind of operation
+        if (typeof op === 'string' && typeof last === 'string') delta[delta.length - 1] = last + op;
+        else if (typeof op === 'number' && typeof last === 'number' && Math.sign(op) === Math.sign(last)) delta[delta.length - 1] = last + op;
+        else delta.push(op);
+    };
+
+    for (const op of diffSequences(baseLines, targetLines)) {
+        if (op.type === 'equal') push(1);
+        else if (op.type === 'delete') push(-1);
+        else push(targetLines[op.newIndex]);
+    }
+    return delta;
+}
+
+/**
+ * Rebuilds content from its newer neighbour and a delta.
+ * @param {string} base - The newer neighbour's content.
+ * @param {(number | string)[]} delta - The delta operations.
+ * @returns {string} - The encoded content.
+ * @throws {Error} - If the delta doesn't fit the base.
+ */
+function applyDelta(base, delta) {
+    const baseLines = splitLines(base);
+    let position = 0;
+    let result = '';
+
+    for (const op of delta) {
+        if (typeof op === 'string') {
+            result += op;
+        } else if (Number.isInteger(op) && op > 0 && position + op <= baseLines.length) {
+            result += baseLines.slice(position, position + op).join('');
+            position += op;
+        } else if (Number.isInteger(op) && op < 0 && position - op <= baseLines.length) {
+            position -= op;
+        } else {
+            throw new Error('Corrupt version delta: it does not match the newer version.');
+        }
+    }
+    if (position !== baseLines.length) {
+        throw new Error('Corrupt version delta: it does not match the newer version.');
+    }
+    return result;
+}
+
+/**
+ * Turns stored versions (full or delta) into versions that all carry their full content.
+ * @param {object[]} versions - The versions as stored, newest first.
+ * @returns {{ content: string, createdDate: string }[]}
+ * @throws {Error} - If a version has neither content nor a delta that fits.
+ */
+function expandVersions(versions) {
+    const expanded = [];
+    for (const [index, { delta, content, ...rest }] of versions.entries()) {
+        if (Array.isArray(delta)) {
+            if (index === 0) throw new Error('Corrupt version history: the latest version is stored as a delta.');
+            expanded.push({ ...rest, content: applyDelta(expanded[index - 1].content, delta) });
+        } else {
+            expanded.push({ ...rest, content: typeof content === 'string' ? content : '' });
+        }
+    }
+    return expanded;
+}
+
+function parseSetting(env, name) {
+    const value = env[name];
+    if (value === undefined || value.trim() === '') return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new TypeError(`Invalid ${name}: ${value}. Use a whole number of at least 1, or leave it unset.`);
+    }
+    return number;
+}
+
+/**
+ * Reads the version retention policy from the environment. Each setting keeps some versions; a version is kept if
+ * any setting keeps it, and the latest version is always kept. With no settings, every version is kept.
+ * @param {object} [env] - The environment (process.env).
+ * @returns {{ keepLast: number | null, keepDays: number | null, keepDailyDays: number | null, keepMonthlyMonths: number | null } | null}
+ *   - The policy, or null to keep every version.
+ * @throws {TypeError} - If a setting is not a positive whole number.
+ */
+function versionPolicyFromEnv(env = process.env) {
+    const policy = {};
+    for (const [key, name] of Object.entries(POLICY_SETTINGS)) {
+        policy[key] = parseSetting(env, name);
+    }
+    return Object.values(policy).some(value => value !== null) ? policy : null;
+}
+
+/**
+ * Picks the versions a policy keeps.
+ * @param {{ createdDate?: string }[]} versions - The versions, newest first.
+ * @param {object | null} policy - See versionPolicyFromEnv.
+ * @param {Date} [now] - The current time.
+ * @returns {boolean[]} - Whether each version is kept.
+ */
+function selectVersions(versions, policy, now = new Date()) {
+    if (!policy) return versions.map(() => true);
+
+    const { keepLast, keepDays, keepDailyDays, keepMonthlyMonths } = policy;
+    const monthlyCutoff = new Date(now);
+    monthlyCutoff.setUTCMonth(monthlyCutoff.getUTCMonth() - (keepMonthlyMonths || 0));
+    const seenDays = new Set();
+    const seenMonths = new Set();
+
+    return versions.map((version, index) => {
+        const created = new Date(version.createdDate);
+        if (index === 0 || isNaN(created.getTime())) return true; // Never drop what we can't date
+        const age = now.getTime() - created.getTime();
+        const day = created.toISOString().slice(0, 10);
+        const month = day.slice(0, 7);
+
+        // Versions are newest first, so the first one seen in a day or month is that period's last version
+        const isLastOfDay = !seenDays.has(day);
+        const isLastOfMonth = !seenMonths.has(month);
+        seenDays.add(day);
+        seenMonths.add(month);
+
+        return (keepLast !== null && index < keepLast) ||
+            (keepDays !== null && age <= keepDays * DAY_MS) ||
+            (keepDailyDays !== null && age <= keepDailyDays * DAY_MS && isLastOfDay) ||
+            (keepMonthlyMonths !== null && created >= monthlyCutoff && isLastOfMonth);
+    });
+}
+
+/**
+ * Prepares versions for writing: applies the retention policy and stores every version but the latest as a delta
+ * against its newer neighbour (or in full when that is smaller). Deltas that are still valid are reused as they are.
+ * @param {object[]} versions - The versions, newest first, each stored in full or as a delta.
+ * @param {object | null} policy - See versionPolicyFromEnv.
+ * @param {Date} [now] - The current time.
+ * @returns {object[]} - The versions to store.
+ */
+function storeVersions(versions, policy, now = new Date()) {
+    const expanded = expandVersions(versions);
+    const kept = selectVersions(expanded, policy, now);
+
+    const stored = [];
+    let previousIndex = -1;
+    expanded.forEach((version, index) => {
+        if (!kept[index]) return;
+        const { delta, content, ...rest } = versions[index];
+        if (previousIndex === -1) {
+            stored.push({ ...rest, content: version.content });
+        } else if (Array.isArray(delta) && previousIndex === index - 1) {
+            stored.push(versions[index]); // Its newer neighbour is unchanged
+        } else {
+            const newDelta = createDelta(expanded[previousIndex].content, version.content);
+            stored.push(JSON.stringify(newDelta).length < JSON.stringify(version.content).length
+                ? { ...rest, delta: newDelta }
+                : { ...rest, content: version.content });
+        }
+        previousIndex = index;
+    });
+    return stored;
+}
+
+/**
+ * Measures how much of a stored note is current content and how much is history, and when each version was saved.
+ * @param {object[]} versions - The versions as stored.
+ * @returns {{ contentSize: number, historySize: number, versionCount: number, versionDates: string[] }} - Sizes in bytes,
+ *   and the versions' createdDate values, newest first.
+ */
+function measureHistory(versions) {
+    if (!Array.isArray(versions) || versions.length === 0) return { contentSize: 0, historySize: 0, versionCount: 0, versionDates: [] };
+    return {
+        contentSize: Buffer.byteLength(versions[0].content || '', 'utf8'),
+        historySize: versions.length > 1 ? Buffer.byteLength(JSON.stringify(versions.slice(1)), 'utf8') : 0,
+        versionCount: versions.length,
+        versionDates: versions.map(version => version.createdDate).filter(date => typeof date === 'string')
+    };
+}
+
+module.exports = { createDelta, applyDelta, expandVersions, versionPolicyFromEnv, selectVersions, storeVersions, measureHistory };
@@ -0,0 +1,103 @@
+const { createDelta, applyDelta, expandVersions, versionPolicyFromEnv, selectVersions, storeVersions, measureHistory } = require('./history');
+
+describe('createDelta and applyDelta', () => {
+  test('should round-trip edits, including a missing final newline', () => {
+    const cases = [
+      ['a\nb\nc\n', 'a\nB\nc\n'],
+      ['a\nb\nc', 'a\nb\nc\nd'],
+      ['', 'new\n'],
+      ['gone\n', ''],
+      ['same\n', 'same\n'],
+    ];
+    for (const [base, target] of cases) {
+      expect(applyDelta(base, createDelta(base, target))).toBe(target);
+    }
+  });
+
+  test('should copy unchanged lines by count instead of repeating them', () => {
+    const base = 'one\ntwo\nthree\nfour\n';
+    expect(createDelta(base, 'one\ntwo\n3\nfour\n')).toEqual([2, -1, '3\n', 1]);
+  });
+
+  test('should reject a delta that does not fit its base', () => {
+    expect(() => applyDelta('a\n', [2])).toThrow('Corrupt version delta');
+    expect(() => applyDelta('a\nb\n', [1])).toThrow('Corrupt version delta');
+  });
+});
+
+describe('versionPolicyFromEnv', () => {
+  test('should keep every version when nothing is set', () => {
+    expect(versionPolicyFromEnv({})).toBeNull();
+    expect(versionPolicyFromEnv({ VERSIONS_KEEP_LAST: ' ' })).toBeNull();
+  });
+
+  test('should read the settings and reject invalid ones', () => {
+    expect(versionPolicyFromEnv({ VERSIONS_KEEP_LAST: '10', VERSIONS_KEEP_DAILY_DAYS: '30' }))
+      .toEqual({ keepLast: 10, keepDays: null, keepDailyDays: 30, keepMonthlyMonths: null });
+    expect(() => versionPolicyFromEnv({ VERSIONS_KEEP_LAST: '0' })).toThrow('Invalid VERSIONS_KEEP_LAST: 0.');
+    expect(() => versionPolicyFromEnv({ VERSIONS_KEEP_DAYS: '1.5' })).toThrow(TypeError);
+  });
+});
+
+describe('selectVersions', () => {
+  const now = new Date('2026-03-10T12:00:00.000Z');
+  const versions = [
+    { createdDate: '2026-03-10T11:00:00.000Z' },
+    { createdDate: '2026-03-10T09:00:00.000Z' },
+    { createdDate: '2026-03-08T18:00:00.000Z' },
+    { createdDate: '2026-03-08T08:00:00.000Z' },
+    { createdDate: '2026-01-20T08:00:00.000Z' },
+    { createdDate: '2026-01-05T08:00:00.000Z' },
+  ];
+
+  test('should keep the latest versions', () => {
+    expect(selectVersions(versions, { keepLast: 2, keepDays: null, keepDailyDays: null, keepMonthlyMonths: null }, now))
+      .toEqual([true, true, false, false, false, false]);
+  });
+
+  test('should keep everything recent and one version per day or month after that', () => {
+    expect(selectVersions(versions, { keepLast: null, keepDays: 1, keepDailyDays: 7, keepMonthlyMonths: 3 }, now))
+      .toEqual([true, true, true, false, true, false]);
+  });
+
+  test('should always keep the latest version and versions without a date', () => {
+    const undated = [{ createdDate: '2020-01-01T00:00:00.000Z' }, { createdDate: 'unknown' }, { createdDate: '2020-01-01T00:00:00.000Z' }];
+    expect(selectVersions(undated, { keepLast: 1, keepDays: null, keepDailyDays: null, keepMonthlyMonths: null }, now))
+      .toEqual([true, true, false]);
+  });
+});
+
+describe('storeVersions and expandVersions', () => {
+  const longText = (changed) => Array.from({ length: 50 }, (_, line) => `line ${line}${line === 25 ? changed : ''}\n`).join('');
+  const versions = [
+    { content: longText(' (edited twice)'), createdDate: '2026-03-10T11:00:00.000Z' },
+    { content: longText(' (edited)'), createdDate: '2026-03-09T11:00:00.000Z' },
+    { content: longText(''), createdDate: '2026-03-08T11:00:00.000Z' },
+  ];
+
+  test('should store older versions as deltas and expand them back', () => {
+    const stored = storeVersions(versions, null);
+    expect(stored[0]).toEqual(versions[0]);
+    expect(stored[1].delta).toEqual([25, -1, 'line 25 (edited)\n', 24]);
+    expect(stored[2].content).toBeUndefined();
+    expect(expandVersions(stored)).toEqual(versions);
+    expect(measureHistory(stored).historySize).toBeLessThan(measureHistory(versions).historySize);
+  });
+
+  test('should re-encode the remaining versions when some are dropped or a new one is added', () => {
+    const policy = { keepLast: 2, keepDays: null, keepDailyDays: null, keepMonthlyMonths: null };
+    const stored = storeVersions(versions.slice(1), null);
+    const updated = storeVersions([versions[0], ...stored], policy);
+    expect(updated).toHaveLength(2);
+    expect(expandVersions(updated)).toEqual(versions.slice(0, 2));
+  });
+
+  test('should keep short versions in full when a delta would not be smaller', () => {
+    const stored = storeVersions([{ content: 'b', createdDate: '2026-03-10' }, { content: 'a', createdDate: '2026-03-09' }], null);
+    expect(stored[1]).toEqual({ content: 'a', createdDate: '2026-03-09' });
+  });
+
+  test('should refuse a history whose latest version is a delta', () => {
+    expect(() => expandVersions([{ delta: [1] }])).toThrow('Corrupt version history');
+  });
+});
@@ -0,0 +1,111 @@
+// API keys, stored hashed in a local JSON file (API_KEYS_FILE, default .api-keys.json).
+// Authentication is on as soon as the file exists, even if every key in it has been revoked.
+// Manage keys from the command line, or through the /admin/keys routes with an admin key:
+//   node keys.js issue <user> [--admin] [--label <text>]
+//   node keys.js list
+//   node keys.js revoke <id>
+
+const path = require('path');
+const { createTokenStore } = require('./tokens');
+const { isValidUser } = require('./spaces');
+
+const store = createTokenStore({
+    prefix: 'gnk',
+    listName: 'keys',
+    filePath: () => path.resolve(__dirname, process.env.API_KEYS_FILE || '.api-keys.json')
+});
+
+/**
+ * Reads the key file, reusing the last result while the file is unchanged.
+ * @returns {Promise<object[] | null>} - The stored keys, or null if there is no key file (authentication off).
+ * @throws {SyntaxError} - If the key file is corrupt.
+ */
+async function loadKeys() {
+    return store.load();
+}
+
+/**
+ * Issues a new key. The key itself is only returned here; the file keeps its hash.
+ * @param {{ user: string, admin?: boolean, label?: string }} options - The user whose notes the key opens,
+ *   whether it may manage keys, and a note on what it is for.
+ * @returns {Promise<{ key: string, id: string, user: string, admin: boolean, label: string, createdDate: string, revokedDate: null }>}
+ * @throws {TypeError} - If the user name is invalid.
+ */
+async function issueKey({ user, admin = false, label = '' }) {
+    if (!isValidUser(user)) {
+        throw new TypeError(`Invalid user "${user}": use 1-64 lowercase letters, digits, "-" or "_", starting with a letter or digit.`);
+    }
+    const { id, token, hash } = store.mint();
+    const record = { id, user, admin: admin === true, label: String(label), createdDate: new Date().toISOString(), revokedDate: null, hash };
+
+    await store.update(keys => keys.push(record));
+    // Logged to stderr, so the command line's JSON output (which holds the key) stays clean
+    console.error(`Issued API key ${id} for user "${user}"${record.admin ? ' (admin)' : ''}.`);
+    return { key: token, ...store.describe(record) };
+}
+
+/**
+ * Revokes a key; it stays in the file (and in listKeys) with its revokedDate. Revoking twice keeps the first date.
+ * @param {string} id - The key's id.
+ * @returns {Promise<object>} - The revoked key.
+ * @throws {Error} - If no key has that id.
+ */
+async function revokeKey(id) {
+    const revoked = await store.update(keys => {
+        const index = keys.findIndex(key => key.id === id);
+        if (index === -1) {
+            throw new Error(`API key "${id}" not found.`);
+        }
+        keys[index] = { ...keys[index], revokedDate: keys[index].revokedDate || new Date().toISOString() };
+        return keys[index];
+    });
+    console.error(`Revoked API key ${id} of user "${revoked.user}".`);
+    return store.describe(revoked);
+}
+
+/**
+ * Lists every key, revoked ones included, without their hashes.
+ * @returns {Promise<object[]>}
+ */
+async function listKeys() {
+    return (await store.load() || []).map(store.describe);
+}
+
+/**
+ * Looks up the key a client sent.
+ * @param {string} key - The key, e.g. from an Authorization header.
+ * @returns {Promise<{ id: string, user: string, admin: boolean } | null>} - The key's owner, or null if the key is
+ *   unknown, revoked or malformed.
+ */
+async function verifyKey(key) {
+    const record = await store.lookup(key);
+    return record ? { id: record.id, user: record.user, admin: record.admin === true } : null;
+}
+
+async function main(args) {
+    const [command, value, ...flags] = args;
+    const labelIndex = flags.indexOf('--label');
+
+    if (command === 'issue' && value) {
+        return issueKey({ user: value, admin: flags.includes('--admin'), label: labelIndex === -1 ? '' : flags[labelIndex + 1] || '' });
+    }
+    if (command === 'list') {
+        return listKeys();
+    }
+    if (command === 'revoke' && value) {
+        return revokeKey(value);
+    }
+    throw new TypeError('Usage: node keys.js issue <user> [--admin] [--label <text>] | node keys.js list | node keys.js revoke <id>');
+}
+
+if (require.main === module) {
+    require('dotenv').config(); // For API_KEYS_FILE
+    main(process.argv.slice(2))
+        .then(result => console.log(JSON.stringify(result, null, 2)))
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { loadKeys, issueKey, revokeKey, listKeys, verifyKey };
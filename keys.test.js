@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadKeys, issueKey, revokeKey, listKeys, verifyKey } = require('./keys');
+
+describe('API keys', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geepnotes-keys-'));
+    process.env.API_KEYS_FILE = path.join(dir, 'keys.json');
+    jest.spyOn(console, 'error').mockImplementation(() => {}); // Issuing and revoking are logged
+  });
+
+  afterEach(() => {
+    delete process.env.API_KEYS_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.error.mockRestore();
+  });
+
+  test('should report authentication as off until a key file exists', async () => {
+    expect(await loadKeys()).toBeNull();
+    expect(await verifyKey('gnk_000000000000_' + 'a'.repeat(32))).toBeNull();
+  });
+
+  test('should issue keys that verify, storing only their hash', async () => {
+    const issued = await issueKey({ user: 'alice', admin: true, label: 'laptop' });
+    expect(issued.key).toMatch(/^gnk_[0-9a-f]{12}_/);
+    expect(issued).toMatchObject({ user: 'alice', admin: true, label: 'laptop', revokedDate: null });
+
+    const stored = fs.readFileSync(process.env.API_KEYS_FILE, 'utf8');
+    expect(stored).not.toContain(issued.key);
+    expect(await verifyKey(issued.key)).toEqual({ id: issued.id, user: 'alice', admin: true });
+    expect(await verifyKey(issued.key.slice(0, -1) + (issued.key.endsWith('A') ? 'B' : 'A'))).toBeNull();
+  });
+
+  test('should refuse revoked keys but keep listing them', async () => {
+    const issued = await issueKey({ user: 'bob' });
+    const revoked = await revokeKey(issued.id);
+    expect(revoked.revokedDate).toEqual(expect.any(String));
+    expect(await verifyKey(issued.key)).toBeNull();
+
+    const keys = await listKeys();
+    expect(keys).toEqual([expect.objectContaining({ id: issued.id, user: 'bob', revokedDate: revoked.revokedDate })]);
+    expect(keys[0].hash).toBeUndefined();
+    await expect(revokeKey('missing')).rejects.toThrow('API key "missing" not found.');
+  });
+
+  test('should reject user names that are not safe as folder names', async () => {
+    await expect(issueKey({ user: '../etc' })).rejects.toThrow(TypeError);
+    await expect(issueKey({ user: 'Alice' })).rejects.toThrow('Invalid user "Alice"');
+  });
+});
@@ -0,0 +1,39 @@
+// Keyed async mutex: operations holding the same key run one after another, others run in parallel
+
+const tails = new Map(); // key -> promise that settles when the last queued holder releases
+
+function acquire(key) {
+    const previous = tails.get(key) || Promise.resolve();
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => held);
+    tails.set(key, tail);
+
+    return previous.then(() => () => {
+        release();
+        // Forget the key once nobody is waiting behind us
+        if (tails.get(key) === tail) tails.delete(key);
+    });
+}
+
+/**
+ * Runs fn while holding the locks for all the given keys (e.g. note file paths).
+ * Keys are taken in sorted order so two operations locking the same pair can't deadlock.
+ * @param {string | string[]} keys - The key or keys to lock.
+ * @param {() => Promise<any>} fn - The operation to run.
+ * @returns {Promise<any>} - Whatever fn returns.
+ */
+async function withLock(keys, fn) {
+    const sortedKeys = [...new Set([].concat(keys))].sort();
+    const releases = [];
+    try {
+        for (const key of sortedKeys) {
+            releases.push(await acquire(key));
+        }
+        return await fn();
+    } finally {
+        releases.reverse().forEach(release => release());
+    }
+}
+
+module.exports = { withLock };
@@ -0,0 +1,41 @@
+const { withLock } = require('./lock');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('withLock', () => {
+  test('should run operations on the same key one after another', async () => {
+    const events = [];
+    const operation = (name, ms) => withLock('notes/Plan.json', async () => {
+      events.push(`${name} start`);
+      await delay(ms);
+      events.push(`${name} end`);
+      return name;
+    });
+
+    const results = await Promise.all([operation('first', 20), operation('second', 1)]);
+    expect(results).toEqual(['first', 'second']);
+    expect(events).toEqual(['first start', 'first end', 'second start', 'second end']);
+  });
+
+  test('should run operations on different keys in parallel', async () => {
+    const events = [];
+    await Promise.all([
+      withLock('a.json', async () => { events.push('a start'); await delay(20); events.push('a end'); }),
+      withLock('b.json', async () => { events.push('b start'); await delay(1); events.push('b end'); }),
+    ]);
+    expect(events).toEqual(['a start', 'b start', 'b end', 'a end']);
+  });
+
+  test('should release the lock when the operation fails', async () => {
+    await expect(withLock('c.json', async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    await expect(withLock('c.json', async () => 'next')).resolves.toBe('next');
+  });
+
+  test('should not deadlock when two operations lock the same keys in a different order', async () => {
+    const results = await Promise.all([
+      withLock(['x.json', 'y.json'], async () => { await delay(5); return 1; }),
+      withLock(['y.json', 'x.json'], async () => { await delay(5); return 2; }),
+    ]);
+    expect(results).toEqual([1, 2]);
+  });
+});
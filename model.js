@@ -1,10 +1,23 @@
-const fs = require('fs').promises;
 const path = require('path');
+const { diffLines, formatUnifiedDiff } = require('./diff');
+const searchIndex = require('./search');
+const catalog = require('./catalog');
+const { parseDate } = require('./util');
+const { parseFilter } = require('./filter');
+const { withLock } = require('./lock');
+const { computeEtag, ifMatchSatisfied } = require('./etag');
+const { isExpired } = require('./retention');
+const { expandVersions, selectVersions, storeVersions, versionPolicyFromEnv } = require('./history');
+const { areaDir, areaKey, currentUser } = require('./spaces');
+const storage = require('./storage');
+const { emitChange } = require('./changes');
+const { recordChange, listCommits, restoreCommit } = require('./git');
+const { catalogEvents } = catalog;
 
 // Recursive function to find all JSON files
 async function findJsonFiles(dir, baseDir) {
     let jsonFiles = [];
-    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const entries = await storage.list(dir);
 
     for (const entry of entries) {
         const fullPath = path.join(dir, entry.name);
@@ -25,32 +38,15 @@ async function findJsonFiles(dir, baseDir) {
     return jsonFiles;
 }
 
-// Helper function to safely parse date strings (ISO or YYYY-MM-DD)
-function parseDate(dateString) {
-    if (!dateString) return null;
-    // Check for YYYY-MM-DD format and append time for consistent parsing
-    if (/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
-        dateString += 'T00:00:00.000Z'; // Assume UTC start of day
-    }
-    const date = new Date(dateString);
-    if (isNaN(date.getTime())) {
-        throw new TypeError(`Invalid date format: ${dateString}. Use ISO 8601 or YYYY-MM-DD.`);
-    }
-    return date;
-}
-
-async function getAllNotes(filters = null, viewTrash = false) {
-    // Determine the directory based on the viewTrash flag
-    const targetDirName = viewTrash ? 'trash' : 'notes';
-    const notesDir = path.join(__dirname, targetDirName); // Path to the notes or trash directory
-
+// Reads and parses every note file below notesDir, each with its path relative to notesDir
+async function readNotesFromDisk(notesDir) {
     // Find all json files recursively, passing the correct base directory
     const allJsonFiles = await findJsonFiles(notesDir, notesDir); // Use notesDir as both starting and base directory
 
     // Read each file and create the data structure
-    let notesData = await Promise.all(allJsonFiles.map(async ({ filePath, group, relativePath }) => {
+    const notesData = await Promise.all(allJsonFiles.map(async ({ filePath, group, relativePath }) => {
         try {
-            const fileContent = await fs.readFile(filePath, 'utf8');
+            const fileContent = await storage.read(filePath);
             const jsonData = JSON.parse(fileContent); // Parse the JSON content
             // Adjust group if it's the root directory
             const finalGroup = group === '.' ? '' : group;
@@ -64,64 +60,157 @@ async function getAllNotes(filters = null, viewTrash = false) {
                 group: finalGroup,
                 createdDate: jsonData.createdDate,
                 modifiedDate: latestVersion.createdDate,
-                relativePath: jsonData.relativePath // Use relativePath from JSON root
+                relativePath: jsonData.relativePath, // Use relativePath from JSON root
+                tags: Array.isArray(jsonData.tags) ? jsonData.tags : [],
+                metadata: jsonData.metadata || {},
+                deletedDate: jsonData.deletedDate, // Only set for trashed notes
+                originalGroup: jsonData.originalGroup
             };
-            return noteData;
+            return { relativePath, note: noteData };
         } catch (error) {
             console.error(`Error processing note file ${filePath}:`, error);
             return null; // Skip corrupted or invalid files
         }
     }));
 
-    notesData = notesData.filter(note => note !== null); // Filter out any null entries from errors
-
-    // Apply filters if provided
-    if (filters) {
-        const { groups, createdBefore, createdAfter, titles } = filters;
+    return notesData.filter(entry => entry !== null); // Filter out any null entries from errors
+}
 
-        // Parse dates safely
-        const beforeDate = parseDate(createdBefore);
-        const afterDate = parseDate(createdAfter);
+// Lists the notes of an area as { relativePath, note }, where relativePath is the file the note was read from
+async function listAreaNotes(area) {
+    // Once started, the catalog keeps every note's metadata in memory; otherwise read the disk
+    const areaName = areaKey(area);
+    if (catalog.isReady(areaName)) {
+        return catalog.listNoteEntries(areaName).map(({ relativePath, note }) => ({ relativePath, note }));
+    }
+    return readNotesFromDisk(areaDir(area));
+}
 
-        notesData = notesData.filter(note => {
-            let keep = true;
+// Builds the test a note has to pass for the filters of getAllNotes; throws on invalid dates or filter expressions
+function noteFilter(filters) {
+    const { groups, createdBefore, createdAfter, titles, title, content, modifiedBefore, modifiedAfter, filter,
+        tags, tagMatch = 'any', metadata } = filters;
+
+    // Parse dates safely
+    const beforeDate = parseDate(createdBefore);
+    const afterDate = parseDate(createdAfter);
+    const modifiedBeforeDate = parseDate(modifiedBefore);
+    const modifiedAfterDate = parseDate(modifiedAfter);
+
+    // Parse the boolean filter expression once, before looking at any note
+    const matchesExpression = typeof filter === 'string' && filter.trim() !== '' ? parseFilter(filter) : null;
+    const wantedTags = normalizeTags(typeof tags === 'string' ? [tags] : tags);
+
+    return (note) => {
+        let keep = true;
+
+        // Filter by groups (case-sensitive match with note.group)
+        if (keep && groups && Array.isArray(groups) && groups.length > 0) {
+            // Normalize group names in the filter list if necessary (e.g., handle path separators)
+            const normalizedFilterGroups = groups.map(g => g.replace(/[\\/]/g, path.sep));
+            keep = normalizedFilterGroups.includes(note.group);
+        }
 
-            // Filter by groups (case-sensitive match with note.group)
-            if (keep && groups && Array.isArray(groups) && groups.length > 0) {
-                // Normalize group names in the filter list if necessary (e.g., handle path separators)
-                const normalizedFilterGroups = groups.map(g => g.replace(/[\\/]/g, path.sep));
-                keep = normalizedFilterGroups.includes(note.group);
+        // Filter by createdDate (using parsed dates)
+        if (keep && note.createdDate) {
+            const noteCreatedDate = new Date(note.createdDate);
+            if (isNaN(noteCreatedDate.getTime())) {
+                console.warn(`Skipping date filter for note "${note.title}" due to invalid createdDate: ${note.createdDate}`);
+            } else {
+                if (beforeDate && noteCreatedDate >= beforeDate) {
+                    keep = false;
+                }
+                if (keep && afterDate && noteCreatedDate <= afterDate) {
+                    keep = false;
+                }
             }
+        } else if (keep && (beforeDate || afterDate)) {
+            // If filtering by date but note has no valid createdDate, exclude it
+            keep = false;
+        }
 
-            // Filter by createdDate (using parsed dates)
-            if (keep && note.createdDate) {
-                const noteCreatedDate = new Date(note.createdDate);
-                if (isNaN(noteCreatedDate.getTime())) {
-                    console.warn(`Skipping date filter for note "${note.title}" due to invalid createdDate: ${note.createdDate}`);
-                } else {
-                    if (beforeDate && noteCreatedDate >= beforeDate) {
-                        keep = false;
-                    }
-                    if (keep && afterDate && noteCreatedDate <= afterDate) {
-                        keep = false;
-                    }
-                }
-            } else if (keep && (beforeDate || afterDate)) {
-                // If filtering by date but note has no valid createdDate, exclude it
+        // Filter by titles (case-insensitive partial match)
+        if (keep && titles && Array.isArray(titles) && titles.length > 0) {
+            const noteTitleLower = note.title.toLowerCase();
+            keep = titles.some(filterTitle => noteTitleLower.includes(filterTitle.toLowerCase()));
+        }
+
+        // Filter by a single title (case-insensitive partial match)
+        if (keep && typeof title === 'string' && title !== '') {
+            keep = (note.title || '').toLowerCase().includes(title.toLowerCase());
+        }
+
+        // Filter by content (case-insensitive partial match)
+        if (keep && typeof content === 'string' && content !== '') {
+            keep = (note.content || '').toLowerCase().includes(content.toLowerCase());
+        }
+
+        // Filter by modifiedDate; notes without a valid modifiedDate are excluded
+        if (keep && (modifiedBeforeDate || modifiedAfterDate)) {
+            const noteModifiedDate = new Date(note.modifiedDate);
+            if (isNaN(noteModifiedDate.getTime())) {
                 keep = false;
+            } else {
+                if (modifiedBeforeDate && noteModifiedDate >= modifiedBeforeDate) {
+                    keep = false;
+                }
+                if (keep && modifiedAfterDate && noteModifiedDate <= modifiedAfterDate) {
+                    keep = false;
+                }
             }
+        }
 
-            // Filter by titles (case-insensitive partial match)
-            if (keep && titles && Array.isArray(titles) && titles.length > 0) {
-                const noteTitleLower = note.title.toLowerCase();
-                keep = titles.some(filterTitle => noteTitleLower.includes(filterTitle.toLowerCase()));
-            }
+        // Filter by tags: any of them by default, every one with tagMatch 'all'
+        if (keep && wantedTags.length > 0) {
+            const noteTags = note.tags || [];
+            keep = tagMatch === 'all'
+                ? wantedTags.every(tag => noteTags.includes(tag))
+                : wantedTags.some(tag => noteTags.includes(tag));
+        }
 
-            return keep;
-        });
+        // Filter by metadata: every given key must equal the note's value (compared as strings)
+        if (keep && metadata && typeof metadata === 'object') {
+            const noteMetadata = note.metadata || {};
+            keep = Object.entries(metadata).every(([key, value]) =>
+                noteMetadata[key] !== undefined && noteMetadata[key] !== null && String(noteMetadata[key]) === String(value));
+        }
+
+        // Filter by the boolean expression
+        if (keep && matchesExpression) {
+            keep = matchesExpression(note);
+        }
+
+        return keep;
+    };
+}
+
+async function getAllNotes(filters = null, viewTrash = false) {
+    // Determine the area based on the viewTrash flag
+    const notesData = (await listAreaNotes(viewTrash ? 'trash' : 'notes')).map(entry => entry.note);
+
+    // Apply filters if provided
+    return filters ? notesData.filter(noteFilter(filters)) : notesData;
+}
+
+// Lists every tag in use with the number of notes carrying it, most used first
+async function getTags(viewTrash = false) {
+    let notesData;
+    try {
+        notesData = await getAllNotes(null, viewTrash);
+    } catch (error) {
+        if (error.code === 'ENOENT') return []; // No notes directory yet, so no tags
+        throw error;
     }
 
-    return notesData;
+    const counts = new Map();
+    for (const note of notesData) {
+        for (const tag of note.tags || []) {
+            counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+    }
+    return [...counts.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
 }
 
 // --- Helper Functions for createNotes ---
@@ -141,7 +230,7 @@ async function determineTargetPath(baseDir, safeGroupParts) {
         for (const part of safeGroupParts) {
             let foundDirName = null;
             try {
-                const entries = await fs.readdir(currentPath, { withFileTypes: true });
+                const entries = await storage.list(currentPath);
                 foundDirName = entries.find(entry => entry.isDirectory() && entry.name.toLowerCase() === part.toLowerCase())?.name;
             } catch (err) {
                 if (err.code !== 'ENOENT') {
@@ -161,14 +250,45 @@ async function determineTargetPath(baseDir, safeGroupParts) {
     return { targetDir, finalGroupPath };
 }
 
-async function prepareNoteData(filePath, safeTitle, finalGroupPath, relativePath, content) {
+// Trims, lowercases and de-duplicates tags, dropping anything that isn't a non-empty string
+function normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    const normalized = tags
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.trim().toLowerCase())
+        .filter(Boolean);
+    return [...new Set(normalized)];
+}
+
+// Normalizes an optional date given with a note; throws a TypeError for dates that don't parse
+function toIsoDate(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const date = value instanceof Date ? value : parseDate(String(value));
+    if (isNaN(date.getTime())) {
+        throw new TypeError(`Invalid date format: ${value}. Use ISO 8601 or YYYY-MM-DD.`);
+    }
+    return date.toISOString();
+}
+
+// Tags and metadata are only replaced when given, so plain content updates keep them
+function applyNoteAttributes(noteJsonData, { tags, metadata } = {}) {
+    if (tags !== undefined) {
+        noteJsonData.tags = normalizeTags(tags);
+    }
+    if (metadata !== undefined) {
+        noteJsonData.metadata = metadata && typeof metadata === 'object' && !Array.isArray(metadata) ? metadata : {};
+    }
+    return noteJsonData;
+}
+
+async function prepareNoteData(filePath, safeTitle, finalGroupPath, relativePath, content, attributes = {}) {
     const newVersion = {
         content: content || '',
         createdDate: new Date().toISOString() // Version creation/modification date
     };
 
     try {
-        const existingContent = await fs.readFile(filePath, 'utf8');
+        const existingContent = await storage.read(filePath);
         const noteJsonData = JSON.parse(existingContent);
 
         if (!Array.isArray(noteJsonData.versions)) {
@@ -180,20 +300,33 @@ async function prepareNoteData(filePath, safeTitle, finalGroupPath, relativePath
         noteJsonData.group = finalGroupPath;
         noteJsonData.relativePath = relativePath;
         // DO NOT update root createdDate on update
+        applyNoteAttributes(noteJsonData, attributes);
         console.log(`Prepared update for note: ${filePath}`);
         return noteJsonData;
 
     } catch (error) {
-        if (error.code === 'ENOENT' || error instanceof SyntaxError) {
-            // File doesn't exist or is invalid JSON, create new structure
+        if (error instanceof SyntaxError) {
+            // Never replace a note we can't read: that would throw away its whole history
+            console.error(`Refusing to overwrite unparseable note file ${filePath}:`, error);
+            const corruptError = new Error(`Note file "${relativePath}" is corrupt and will not be overwritten.`);
+            corruptError.code = 'corrupt';
+            throw corruptError;
+        }
+        if (error.code === 'ENOENT') {
+            // File doesn't exist, create new structure
             console.log(`Prepared new note structure for: ${filePath}`);
-            return {
+            // Imported notes may bring their own dates; they only apply when the note is created
+            const createdDate = attributes.createdDate || newVersion.createdDate;
+            newVersion.createdDate = attributes.modifiedDate || createdDate;
+            return applyNoteAttributes({
                 title: safeTitle,
                 group: finalGroupPath,
                 relativePath: relativePath,
-                createdDate: new Date().toISOString(), // Initial note creation date
+                createdDate, // Initial note creation date
+                tags: [],
+                metadata: {},
                 versions: [newVersion]
-            };
+            }, attributes);
         } else {
             console.error(`Error reading or parsing note file ${filePath}:`, error);
             throw error; // Re-throw unexpected errors to be caught by the caller
@@ -201,31 +334,125 @@ async function prepareNoteData(filePath, safeTitle, finalGroupPath, relativePath
     }
 }
 
+// Turns a note into its file contents, trimming and delta-encoding its history (see history.js)
+function serializeNote(noteJsonData) {
+    const versions = Array.isArray(noteJsonData.versions) ? storeVersions(noteJsonData.versions, versionPolicyFromEnv()) : noteJsonData.versions;
+    return JSON.stringify({ ...noteJsonData, versions }, null, 2); // Pretty print
+}
+
+// The storage backend replaces the file at once, so a crash never leaves half a note behind
 async function writeNoteFile(filePath, noteJsonData) {
-    const jsonContent = JSON.stringify(noteJsonData, null, 2); // Pretty print
-    await fs.writeFile(filePath, jsonContent, 'utf8');
+    await storage.write(filePath, serializeNote(noteJsonData));
     console.log(`Successfully wrote note: ${filePath}`);
 }
 
-async function createNotes(notes) {
-    const notesDir = path.join(__dirname, 'notes');
+// Tells the catalog about a file or directory the model just changed
+async function refreshCatalog(area, fullPath) {
+    await catalog.refreshPath(areaKey(area), path.relative(areaDir(area), fullPath));
+}
+
+// Keeps the search index in sync with a note that was just written
+function indexNoteData(area, relativePath, noteJsonData) {
+    const latestVersion = noteJsonData.versions && noteJsonData.versions.length > 0 ? noteJsonData.versions[0] : {};
+    searchIndex.indexNote(areaKey(area), relativePath, {
+        title: noteJsonData.title,
+        group: noteJsonData.group,
+        content: latestVersion.content,
+        modifiedDate: latestVersion.createdDate
+    });
+}
+
+// What change events (see changes.js) say about a note: which note it is and which version is now its latest
+function noteChange(noteJsonData) {
+    const versions = Array.isArray(noteJsonData.versions) ? noteJsonData.versions : [];
+    return {
+        title: noteJsonData.title,
+        group: noteJsonData.group || '',
+        etag: computeEtag(noteJsonData),
+        modifiedDate: versions.length > 0 ? versions[0].createdDate : undefined,
+        versionCount: selectVersions(versions, versionPolicyFromEnv()).filter(Boolean).length // As stored, after retention
+    };
+}
+
+// How Git history commit messages (see git.js) name a note, and a count of notes
+function noteLabel(title, group) {
+    return `note '${title}' in group '${group || '.'}'`;
+}
+
+function countLabel(count) {
+    return `${count} note${count === 1 ? '' : 's'}`;
+}
+
+// --- Precondition (If-Match) Helpers ---
+
+// Describes a stored note the way single-note responses show it, including its ETag
+function describeNote(noteJsonData) {
+    const latestVersion = noteJsonData.versions && noteJsonData.versions.length > 0 ? noteJsonData.versions[0] : {};
+    return {
+        title: noteJsonData.title,
+        content: latestVersion.content || '',
+        group: noteJsonData.group || '',
+        createdDate: noteJsonData.createdDate,
+        modifiedDate: latestVersion.createdDate,
+        relativePath: noteJsonData.relativePath,
+        tags: Array.isArray(noteJsonData.tags) ? noteJsonData.tags : [],
+        metadata: noteJsonData.metadata || {},
+        etag: computeEtag(noteJsonData)
+    };
+}
+
+async function readNoteIfExists(filePath) {
+    try {
+        return JSON.parse(await storage.read(filePath));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Throws a "Precondition failed" error (code 'precondition_failed', carrying the current note) unless ifMatch matches the note's ETag
+function assertIfMatch(title, ifMatch, noteJsonData) {
+    if (ifMatch === undefined || ifMatch === null) return;
+    if (ifMatchSatisfied(ifMatch, noteJsonData ? computeEtag(noteJsonData) : null)) return;
+
+    const error = new Error(noteJsonData
+        ? `Precondition failed: note "${title}" has changed since it was read.`
+        : `Precondition failed: note "${title}" does not exist.`);
+    error.code = 'precondition_failed';
+    error.current = noteJsonData ? describeNote(noteJsonData) : null;
+    throw error;
+}
+
+/**
+ * Creates and/or updates notes; each item gets its own outcome.
+ * @param {object[]} notes - Notes with title, group, content, tags, metadata and an optional ifMatch ETag.
+ *   New notes can also be given a createdDate and modifiedDate (ISO strings), e.g. when importing.
+ * @param {{ mode?: 'create' | 'update' | 'upsert' }} [options] - 'create' skips titles that already exist,
+ *   'update' skips notes that don't exist, 'upsert' does whichever applies (adding a new version to existing notes).
+ * @returns {Promise<{ message: string, processed: object[], skipped: object[] }>} - Each skipped item has a `code`
+ *   ('invalid', 'exists', 'not_found', 'precondition_failed', 'corrupt' or 'failed') and a `reason` to show.
+ */
+async function createNotes(notes, { mode = 'create' } = {}) {
+    const notesDir = areaDir('notes');
     const processedNotes = [];
     const skippedNotes = [];
+    const changedFiles = [];
 
     const creationPromises = notes.map(async (note) => {
         const { safeTitle, safeGroupParts } = sanitizeInput(note.title, note.group);
+        const skip = (code, reason, extra = {}) => skippedNotes.push({ title: note.title, group: note.group, code, reason, ...extra });
 
         // Basic validation
         if (!safeTitle) {
             console.warn(`Skipping note with empty or invalid title.`);
-            skippedNotes.push(note);
+            skip('invalid', 'Invalid or empty title.');
             return;
         }
 
         // Prevent creation in 'trash' directory
         if (safeGroupParts[0]?.toLowerCase() === 'trash') {
             console.warn(`Skipping creation/update of note "${safeTitle}" in disallowed group: ${note.group}`);
-            skippedNotes.push(note);
+            skip('invalid', `Notes cannot be saved in group "${note.group}".`);
             return;
         }
 
@@ -234,34 +461,82 @@ async function createNotes(notes) {
             const filePath = path.join(targetDir, `${safeTitle}.json`);
             const relativePath = path.relative(notesDir, filePath);
 
-            // Ensure the target directory exists before preparing data
-            await fs.mkdir(targetDir, { recursive: true });
+            // Items with the same title (in this or another request) must not interleave their read-modify-write
+            const outcome = await withLock(filePath, async () => {
+                if (note.ifMatch !== undefined) {
+                    assertIfMatch(safeTitle, note.ifMatch, await readNoteIfExists(filePath));
+                }
+
+                const exists = await storage.exists(filePath);
+                if (exists && mode === 'create') {
+                    return { skipped: { code: 'exists', reason: `Note "${safeTitle}" already exists in group "${finalGroupPath || '.'}".` } };
+                }
+                if (!exists && mode === 'update') {
+                    return { skipped: { code: 'not_found', reason: `Note with title "${note.title}" in group "${note.group || '.'}" not found.` } };
+                }
 
-            const noteJsonData = await prepareNoteData(filePath, safeTitle, finalGroupPath, relativePath, note.content);
+                // Ensure the target directory exists before preparing data
+                await storage.makeDir(targetDir);
 
-            await writeNoteFile(filePath, noteJsonData);
+                const noteJsonData = await prepareNoteData(filePath, safeTitle, finalGroupPath, relativePath, note.content,
+                    { tags: note.tags, metadata: note.metadata, createdDate: toIsoDate(note.createdDate), modifiedDate: toIsoDate(note.modifiedDate) });
 
-            processedNotes.push({ title: safeTitle, group: finalGroupPath });
+                await writeNoteFile(filePath, noteJsonData);
+                indexNoteData('notes', relativePath, noteJsonData);
+                await refreshCatalog('notes', filePath);
+                emitChange(exists ? 'note.updated' : 'note.created', noteChange(noteJsonData));
+                changedFiles.push(filePath);
+                return { processed: { title: safeTitle, group: finalGroupPath, status: exists ? 'updated' : 'created', etag: computeEtag(noteJsonData) } };
+            });
+
+            if (outcome.skipped) {
+                skip(outcome.skipped.code, outcome.skipped.reason);
+            } else {
+                processedNotes.push(outcome.processed);
+            }
 
         } catch (error) {
             console.error(`Failed to process note "${note.title || 'Untitled'}" in group "${note.group || ''}":`, error);
-            skippedNotes.push(note); // Track skipped notes due to errors
+            // Failed preconditions and corrupt files explain themselves; file system errors get a generic reason
+            if (error.code === 'precondition_failed') {
+                skip(error.code, error.message, { current: error.current });
+            } else if (error.code === 'corrupt') {
+                skip(error.code, error.message);
+            } else {
+                skip('failed', error.code ? `Failed to save note "${note.title}".` : error.message);
+            }
         }
     });
 
     await Promise.all(creationPromises);
 
+    const createdCount = processedNotes.filter(item => item.status === 'created').length;
+    const updatedCount = processedNotes.length - createdCount;
+    if (processedNotes.length === 1) {
+        const [{ title, group, status }] = processedNotes;
+        await recordChange(`${status === 'created' ? 'Create' : 'Update'} ${noteLabel(title, group)}`, changedFiles);
+    } else if (processedNotes.length > 1) {
+        await recordChange(`Save ${countLabel(processedNotes.length)} (${createdCount} created, ${updatedCount} updated)`, changedFiles);
+    }
     return {
-        message: `${processedNotes.length} note(s) processed successfully. ${skippedNotes.length} skipped.`,
+        message: `${createdCount} note(s) created, ${updatedCount} updated, ${skippedNotes.length} skipped.`,
         processed: processedNotes,
-        skipped: skippedNotes.map(n => ({ title: n.title, group: n.group })) // Return minimal info for skipped
+        skipped: skippedNotes
     };
 }
 
 // --- Delete Note Function ---
-async function deleteNote(title, group) {
-    const notesDir = path.join(__dirname, 'notes');
-    const trashDir = path.join(__dirname, 'trash'); // Define trash directory path
+
+// Stamps a note that is being moved to the trash with its deletion date and the group it came from
+function markTrashed(noteJsonData, originalGroup, deletedDate = new Date().toISOString()) {
+    noteJsonData.deletedDate = deletedDate;
+    noteJsonData.originalGroup = originalGroup;
+    return noteJsonData;
+}
+
+async function deleteNote(title, group, { ifMatch } = {}) {
+    const notesDir = areaDir('notes');
+    const trashDir = areaDir('trash'); // Define trash directory path
 
     const { safeTitle, safeGroupParts } = sanitizeInput(title, group);
 
@@ -277,59 +552,148 @@ async function deleteNote(title, group) {
     const trashTargetPath = path.join(trashDir, finalGroupPath);
     const trashFilePath = path.join(trashTargetPath, `${safeTitle}.json`);
 
-    try {
-        // Check if the original file exists before attempting to move
-        await fs.access(originalFilePath); // Throws error if file doesn't exist
-
-        // Ensure the target directory in trash exists
-        await fs.mkdir(trashTargetPath, { recursive: true });
+    return withLock([originalFilePath, trashFilePath], async () => {
+        if (ifMatch !== undefined) {
+            const location = { filePath: originalFilePath, safeTitle, finalGroupPath, relativePath: path.relative(notesDir, originalFilePath) };
+            const { noteJsonData } = await readNote(title, group, location); // Throws "not found"
+            assertIfMatch(safeTitle, ifMatch, noteJsonData);
+        }
 
-        // Move the file
-        await fs.rename(originalFilePath, trashFilePath);
-        console.log(`Moved note "${safeTitle}" from group "${finalGroupPath || '.'}" to trash.`);
+        try {
+            // Read the note first; this also checks that it exists
+            let noteJsonData = null;
+            try {
+                noteJsonData = JSON.parse(await storage.read(originalFilePath));
+            } catch (error) {
+                if (!(error instanceof SyntaxError)) throw error;
+                console.warn(`Trashing unparseable note file ${originalFilePath} without a deletion date.`);
+            }
 
-        // Optional: Clean up empty directories in 'notes' after moving
-        // This part can be complex and might require careful implementation
-        // to avoid deleting non-empty directories or directories with other files.
-        // For simplicity, it's omitted here.
+            // Ensure the target directory in trash exists
+            await storage.makeDir(trashTargetPath);
 
-        return { message: `Note "${safeTitle}" moved to trash successfully.` };
+            // Move the note, recording when and from where it was trashed (for the retention period)
+            if (noteJsonData) {
+                await writeNoteFile(trashFilePath, markTrashed(noteJsonData, finalGroupPath));
+                await storage.remove(originalFilePath);
+            } else {
+                await storage.move(originalFilePath, trashFilePath);
+            }
+            searchIndex.moveNote(areaKey('notes'), path.relative(notesDir, originalFilePath), areaKey('trash'), path.relative(trashDir, trashFilePath));
+            await refreshCatalog('notes', originalFilePath);
+            await refreshCatalog('trash', trashFilePath);
+            emitChange('note.trashed', noteJsonData
+                ? { ...noteChange(noteJsonData), group: finalGroupPath, deletedDate: noteJsonData.deletedDate }
+                : { title: safeTitle, group: finalGroupPath });
+            await recordChange(`Trash ${noteLabel(safeTitle, finalGroupPath)}`, [originalFilePath, trashFilePath]);
+            console.log(`Moved note "${safeTitle}" from group "${finalGroupPath || '.'}" to trash.`);
+
+            // Optional: Clean up empty directories in 'notes' after moving
+            // This part can be complex and might require careful implementation
+            // to avoid deleting non-empty directories or directories with other files.
+            // For simplicity, it's omitted here.
+
+            return { message: `Note "${safeTitle}" moved to trash successfully.` };
 
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            // File not found at the original path
-            console.error(`Note not found: ${originalFilePath}`);
-            throw new Error(`Note with title "${title}" in group "${group || '.'}" not found.`);
-        } else {
-            // Other errors (permissions, etc.)
-            console.error(`Error moving note ${originalFilePath} to trash:`, error);
-            throw new Error(`Failed to move note "${title}" to trash.`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                // File not found at the original path
+                console.error(`Note not found: ${originalFilePath}`);
+                throw new Error(`Note with title "${title}" in group "${group || '.'}" not found.`);
+            } else {
+                // Other errors (permissions, etc.)
+                console.error(`Error moving note ${originalFilePath} to trash:`, error);
+                throw new Error(`Failed to move note "${title}" to trash.`);
+            }
         }
+    });
+}
+
+// --- Move Note Function ---
+
+// Renames a note and/or moves it to another group, keeping its versions and createdDate
+async function moveNote(title, group, { newTitle, newGroup, ifMatch } = {}) {
+    const notesDir = areaDir('notes');
+    const source = await resolveNote(title, group);
+
+    // Anything not given stays as it is
+    const { safeTitle: targetTitle, safeGroupParts: targetGroupParts } = sanitizeInput(
+        newTitle !== undefined ? newTitle : source.safeTitle,
+        newGroup !== undefined ? newGroup : source.finalGroupPath
+    );
+    if (!targetTitle) {
+        throw new Error('Invalid new title provided.');
     }
+    if (targetGroupParts[0]?.toLowerCase() === 'trash') {
+        throw new Error(`Moving notes into group "${newGroup}" is not allowed.`);
+    }
+
+    const { targetDir, finalGroupPath } = await determineTargetPath(notesDir, targetGroupParts);
+    const targetFilePath = path.join(targetDir, `${targetTitle}.json`);
+    const targetRelativePath = path.relative(notesDir, targetFilePath);
+
+    return withLock([source.filePath, targetFilePath], async () => {
+        const { noteJsonData } = await readNote(title, group, source); // Throws "not found"
+        assertIfMatch(source.safeTitle, ifMatch, noteJsonData);
+
+        if (targetFilePath === source.filePath) {
+            return { message: `Note "${source.safeTitle}" is already in group "${finalGroupPath || '.'}".`, title: targetTitle, group: finalGroupPath, etag: computeEtag(noteJsonData) };
+        }
+
+        // Refuse to replace another note; a case-only rename on a case-insensitive disk finds the note itself
+        try {
+            const [targetStats, sourceStats] = await Promise.all([storage.stat(targetFilePath), storage.stat(source.filePath)]);
+            if (targetStats.ino !== sourceStats.ino || targetStats.dev !== sourceStats.dev) {
+                throw new Error(`A note with title "${targetTitle}" already exists in group "${finalGroupPath || '.'}".`);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        await storage.makeDir(targetDir);
+        await storage.move(source.filePath, targetFilePath);
+
+        noteJsonData.title = targetTitle;
+        noteJsonData.group = finalGroupPath;
+        noteJsonData.relativePath = targetRelativePath;
+        await writeNoteFile(targetFilePath, noteJsonData);
+
+        searchIndex.moveNote(areaKey('notes'), source.relativePath, areaKey('notes'), targetRelativePath, { title: targetTitle, group: finalGroupPath });
+        await refreshCatalog('notes', source.filePath);
+        await refreshCatalog('notes', targetFilePath);
+        emitChange('note.moved', { ...noteChange(noteJsonData), previousTitle: source.safeTitle, previousGroup: source.finalGroupPath });
+        await recordChange(`Move ${noteLabel(source.safeTitle, source.finalGroupPath)} to '${targetTitle}' in group '${finalGroupPath || '.'}'`,
+            [source.filePath, targetFilePath]);
+        console.log(`Moved note "${source.safeTitle}" from group "${source.finalGroupPath || '.'}" to "${targetTitle}" in group "${finalGroupPath || '.'}".`);
+
+        return {
+            message: `Note "${source.safeTitle}" moved to "${targetTitle}" in group "${finalGroupPath || '.'}" successfully.`,
+            title: targetTitle,
+            group: finalGroupPath,
+            previousTitle: source.safeTitle,
+            previousGroup: source.finalGroupPath,
+            etag: computeEtag(noteJsonData)
+        };
+    });
 }
 
 // --- Empty Trash Function ---
 async function emptyTrash() {
-    const trashDir = path.join(__dirname, 'trash');
+    const trashDir = areaDir('trash');
     let deletedCount = 0;
 
     try {
         // Check if trash directory exists
-        try {
-            await fs.access(trashDir);
-        } catch (accessError) {
-            if (accessError.code === 'ENOENT') {
-                console.log('Trash directory does not exist. Nothing to empty.');
-                return { message: 'Trash directory is already empty.', deletedCount: 0 };
-            }
-            throw accessError; // Re-throw other access errors
+        if (!await storage.exists(trashDir)) {
+            console.log('Trash directory does not exist. Nothing to empty.');
+            return { message: 'Trash directory is already empty.', deletedCount: 0 };
         }
 
         // Helper function to recursively count JSON files
         async function countJsonFilesRecursive(dir) {
             let count = 0;
             try {
-                const entries = await fs.readdir(dir, { withFileTypes: true });
+                const entries = await storage.list(dir);
                 for (const entry of entries) {
                     const entryPath = path.join(dir, entry.name);
                     if (entry.isDirectory()) {
@@ -349,11 +713,15 @@ async function emptyTrash() {
         deletedCount = await countJsonFilesRecursive(trashDir);
 
         // Remove the entire trash directory and its contents
-        await fs.rm(trashDir, { recursive: true, force: true });
+        await storage.remove(trashDir, { recursive: true, force: true });
         console.log(`Removed trash directory: ${trashDir}`);
+        searchIndex.clearArea(areaKey('trash'));
+        await refreshCatalog('trash', trashDir);
+        emitChange('trash.emptied', { deletedCount });
+        await recordChange(`Empty trash (${countLabel(deletedCount)})`, [trashDir]);
 
         // Optional: Recreate the empty trash directory if desired
-        // await fs.mkdir(trashDir, { recursive: true });
+        // await storage.makeDir(trashDir);
         // console.log(`Recreated empty trash directory: ${trashDir}`);
 
 
@@ -363,14 +731,611 @@ async function emptyTrash() {
     } catch (error) {
         console.error('Error emptying trash directory:', error);
         // Avoid throwing generic 'Failed to empty trash' if count succeeded but rm failed partially
-        // The error from fs.rm will be more specific.
+        // The error from storage.remove will be more specific.
         throw error;
     }
 }
 
+// --- Permanent Deletion From Trash ---
+
+/**
+ * Permanently deletes selected notes from the trash, leaving everything else recoverable.
+ * @param {{ title?: string, group?: string }[]} targets - Trashed notes (title + group) or whole trashed groups (group only).
+ * @param {{ filters?: object, dryRun?: boolean }} [options] - filters also selects every trashed note matching them
+ *   (the same filters as getAllNotes); a dry run only reports which files would be deleted.
+ * @returns {Promise<{ message: string, dryRun: boolean, deleted: object[], skipped: object[] }>}
+ */
+async function deleteFromTrash(targets, { filters = null, dryRun = false } = {}) {
+    const trashDir = areaDir('trash');
+    const { files, missing } = await resolveTrashTargets(trashDir, targets);
+
+    if (filters) {
+        // Select the files the matching notes were read from: a note's title may be missing or differ from its file name
+        try {
+            const matches = noteFilter(filters);
+            for (const { relativePath, note } of await listAreaNotes('trash')) {
+                if (!matches(note)) continue;
+                const relativeDirPath = path.dirname(relativePath);
+                files.push({
+                    filePath: path.join(trashDir, relativePath),
+                    title: path.basename(relativePath, path.extname(relativePath)),
+                    groupParts: relativeDirPath === '.' ? [] : relativeDirPath.split(path.sep)
+                });
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error; // No trash directory: nothing matches
+        }
+    }
+    const skippedNotes = [...missing];
+    const deletedNotes = [];
+    const deletedFiles = [];
+    // The same file can be selected by a target and by the filters
+    const uniqueFiles = [...new Map(files.map(file => [file.filePath, file])).values()];
+
+    for (const { filePath, title, groupParts } of uniqueFiles) {
+        const relativePath = path.relative(trashDir, filePath);
+        const item = { title, group: groupParts.join('/'), file: relativePath.split(path.sep).join('/') };
+        if (dryRun) {
+            deletedNotes.push(item);
+            continue;
+        }
+
+        try {
+            await withLock(filePath, async () => {
+                await storage.remove(filePath);
+                searchIndex.removeNote(areaKey('trash'), relativePath);
+                await refreshCatalog('trash', filePath);
+                await pruneEmptyDirs(path.dirname(filePath), trashDir);
+            });
+            console.log(`Permanently deleted note "${title}" in group "${item.group || '.'}" from trash.`);
+            emitChange('note.deleted', { title, group: item.group });
+            deletedNotes.push(item);
+            deletedFiles.push(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                // Restored or deleted by another request in the meantime
+                skippedNotes.push({ title, group: item.group, reason: `Note with title "${title}" in group "${item.group || '.'}" not found in trash.` });
+            } else {
+                console.error(`Failed to permanently delete trashed note ${filePath}:`, error);
+                skippedNotes.push({ title, group: item.group, reason: `Failed to delete note "${title}".` });
+            }
+        }
+    }
+
+    if (deletedFiles.length > 0) {
+        await recordChange(`Delete ${countLabel(deletedFiles.length)} from trash`, deletedFiles);
+    }
+    return {
+        message: dryRun
+            ? `Dry run: ${deletedNotes.length} note(s) would be permanently deleted. ${skippedNotes.length} skipped.`
+            : `${deletedNotes.length} note(s) permanently deleted. ${skippedNotes.length} skipped.`,
+        dryRun,
+        deleted: deletedNotes,
+        skipped: skippedNotes
+    };
+}
+
+// --- Trash Retention Functions ---
+
+/**
+ * Permanently deletes trashed notes whose retention period has run out, leaving all others alone.
+ * Notes trashed before deletion dates were recorded get today's date, so their retention period starts now.
+ * @param {number} retentionDays - How many days trashed notes are kept.
+ * @param {Date} [now] - The current time.
+ * @returns {Promise<{ purged: { title: string, group: string, deletedDate: string }[], dated: number }>}
+ */
+async function purgeExpiredTrash(retentionDays, now = new Date()) {
+    const trashDir = areaDir('trash');
+    const purgedNotes = [];
+    let datedCount = 0;
+
+    let trashFiles;
+    try {
+        trashFiles = await findJsonFiles(trashDir, trashDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return { purged: purgedNotes, dated: datedCount };
+        throw error;
+    }
+
+    for (const { filePath, relativePath, group } of trashFiles) {
+        await withLock(filePath, async () => {
+            let noteJsonData;
+            try {
+                noteJsonData = JSON.parse(await storage.read(filePath));
+            } catch (error) {
+                // Restored or purged meanwhile, or unreadable: never delete what we can't date
+                if (error.code !== 'ENOENT') console.warn(`Skipping trash file ${filePath} during purge: ${error.message}`);
+                return;
+            }
+
+            if (!noteJsonData.deletedDate || isNaN(new Date(noteJsonData.deletedDate).getTime())) {
+                await writeNoteFile(filePath, markTrashed(noteJsonData, noteJsonData.originalGroup ?? (group === '.' ? '' : group), now.toISOString()));
+                await refreshCatalog('trash', filePath);
+                datedCount++;
+                return;
+            }
+            if (!isExpired(noteJsonData.deletedDate, retentionDays, now)) return;
+
+            await storage.remove(filePath);
+            searchIndex.removeNote(areaKey('trash'), relativePath);
+            await refreshCatalog('trash', filePath);
+            await pruneEmptyDirs(path.dirname(filePath), trashDir);
+            const purged = { title: noteJsonData.title, group: group === '.' ? '' : group, deletedDate: noteJsonData.deletedDate };
+            console.log(`Purged note "${purged.title}" in group "${purged.group || '.'}" from trash (deleted ${purged.deletedDate}).`);
+            emitChange('note.deleted', { ...purged, expired: true });
+            purgedNotes.push(purged);
+        });
+    }
+
+    if (purgedNotes.length > 0) {
+        await recordChange(`Purge ${countLabel(purgedNotes.length)} from trash after ${retentionDays} day(s)`, [trashDir]);
+    } else if (datedCount > 0) {
+        await recordChange(`Record deletion dates of ${countLabel(datedCount)} in trash`, [trashDir]);
+    }
+    return { purged: purgedNotes, dated: datedCount };
+}
+
+// --- Restore From Trash Functions ---
+
+// Removes now-empty directories from startDir upwards, stopping at (and never removing) stopDir
+async function pruneEmptyDirs(startDir, stopDir) {
+    let currentDir = startDir;
+    while (currentDir !== stopDir && currentDir.startsWith(stopDir)) {
+        try {
+            const entries = await storage.list(currentDir);
+            if (entries.length > 0) break;
+            await storage.remove(currentDir);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Could not prune directory ${currentDir}: ${error.message}`);
+                break;
+            }
+        }
+        currentDir = path.dirname(currentDir);
+    }
+}
+
+// Finds a free title in targetDir by appending " (restored)", " (restored 2)", ... (or another label)
+async function findAvailableTitle(targetDir, safeTitle, label = 'restored') {
+    for (let attempt = 1; ; attempt++) {
+        const candidate = attempt === 1 ? `${safeTitle} (${label})` : `${safeTitle} (${label} ${attempt})`;
+        if (!await storage.exists(path.join(targetDir, `${candidate}.json`))) return candidate;
+    }
+}
+
+// Expands restore targets ({ title, group } or { group } alone) into the trashed files they refer to
+async function resolveTrashTargets(trashDir, targets) {
+    const files = [];
+    const missing = [];
+
+    for (const target of targets) {
+        const { safeTitle, safeGroupParts } = sanitizeInput(target.title, target.group);
+        const { targetDir } = await determineTargetPath(trashDir, safeGroupParts);
+
+        if (safeTitle) {
+            const filePath = path.join(targetDir, `${safeTitle}.json`);
+            if (await storage.exists(filePath)) {
+                const relativeDirPath = path.relative(trashDir, targetDir);
+                files.push({ filePath, title: safeTitle, groupParts: relativeDirPath ? relativeDirPath.split(path.sep) : [] });
+            } else {
+                missing.push({ title: target.title, group: target.group, reason: `Note with title "${target.title}" in group "${target.group || '.'}" not found in trash.` });
+            }
+        } else if (safeGroupParts.length > 0) {
+            try {
+                const groupFiles = await findJsonFiles(targetDir, trashDir);
+                for (const { filePath, group } of groupFiles) {
+                    files.push({
+                        filePath,
+                        title: path.basename(filePath, path.extname(filePath)),
+                        groupParts: group === '.' ? [] : group.split(path.sep)
+                    });
+                }
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                missing.push({ group: target.group, reason: `Group "${target.group}" not found in trash.` });
+            }
+        } else {
+            missing.push({ title: target.title, group: target.group, reason: 'Invalid restore target: either title or group is required.' });
+        }
+    }
+
+    return { files, missing };
+}
+
+// Restores one trashed note file; returns { restored } or { skipped } (runs with the note locked)
+async function restoreTrashedNote(notesDir, trashDir, { filePath, title, groupParts }, onConflict) {
+    const trashedGroup = groupParts.join('/');
+    const noteJsonData = JSON.parse(await storage.read(filePath));
+    const { targetDir, finalGroupPath } = await determineTargetPath(notesDir, groupParts);
+    await storage.makeDir(targetDir);
+
+    let restoredTitle = title;
+    let targetFilePath = path.join(targetDir, `${title}.json`);
+    let restoredNoteData = noteJsonData;
+    let status = 'restored';
+
+    const liveNoteExists = await storage.exists(targetFilePath);
+
+    if (liveNoteExists && onConflict === 'fail') {
+        return { skipped: { title, group: trashedGroup, reason: `Note "${title}" already exists in group "${finalGroupPath || '.'}".` } };
+    }
+
+    const writeRestoredNote = async () => {
+        noteJsonData.title = restoredTitle;
+        noteJsonData.group = finalGroupPath;
+        noteJsonData.relativePath = path.relative(notesDir, targetFilePath);
+        delete noteJsonData.deletedDate;
+        delete noteJsonData.originalGroup;
+        await writeNoteFile(targetFilePath, noteJsonData);
+        indexNoteData('notes', noteJsonData.relativePath, noteJsonData);
+    };
+
+    if (liveNoteExists && onConflict === 'overwrite') {
+        // Keep the live history and put the trashed content on top as the newest version
+        const latestVersion = noteJsonData.versions && noteJsonData.versions.length > 0 ? noteJsonData.versions[0] : {};
+        const liveNoteData = await prepareNoteData(targetFilePath, title, finalGroupPath, path.relative(notesDir, targetFilePath), latestVersion.content);
+        await writeNoteFile(targetFilePath, liveNoteData);
+        indexNoteData('notes', liveNoteData.relativePath, liveNoteData);
+        restoredNoteData = liveNoteData;
+        status = 'overwritten';
+    } else if (liveNoteExists) {
+        // Another request may take the free title before the note is written, so hold it and check it is still free
+        status = 'renamed';
+        let written = false;
+        while (!written) {
+            restoredTitle = await findAvailableTitle(targetDir, title);
+            targetFilePath = path.join(targetDir, `${restoredTitle}.json`);
+            written = await withLock(targetFilePath, async () => {
+                if (await storage.exists(targetFilePath)) return false;
+                await writeRestoredNote();
+                return true;
+            });
+        }
+    } else {
+        await writeRestoredNote();
+    }
+
+    await storage.remove(filePath);
+    searchIndex.removeNote(areaKey('trash'), path.relative(trashDir, filePath));
+    await refreshCatalog('notes', targetFilePath);
+    await refreshCatalog('trash', filePath);
+    await pruneEmptyDirs(path.dirname(filePath), trashDir);
+    emitChange('note.restored', { ...noteChange(restoredNoteData), status });
+    console.log(`Restored note "${title}" from trash to group "${finalGroupPath || '.'}" (${status}).`);
+    return { restored: { title: restoredTitle, group: finalGroupPath, status } };
+}
+
+/**
+ * Moves trashed notes back into the notes directory.
+ * @param {{ title?: string, group?: string }[]} targets - Notes (title + group) or whole trashed groups (group only) to restore.
+ * @param {'fail' | 'rename' | 'overwrite'} [onConflict='fail'] - What to do when a live note with the same title exists:
+ *   skip it, restore under a new title, or add the trashed content as a new version of the live note.
+ */
+async function restoreFromTrash(targets, onConflict = 'fail') {
+    const notesDir = areaDir('notes');
+    const trashDir = areaDir('trash');
+    const restoredNotes = [];
+    const changedFiles = [];
+
+    const { files, missing } = await resolveTrashTargets(trashDir, targets);
+    const skippedNotes = [...missing];
+
+    // Restore sequentially so that renames within one request cannot collide
+    for (const file of files) {
+        const { filePath, title, groupParts } = file;
+        const trashedGroup = groupParts.join('/');
+        try {
+            const { targetDir } = await determineTargetPath(notesDir, groupParts);
+            const outcome = await withLock([filePath, path.join(targetDir, `${title}.json`)], () =>
+                restoreTrashedNote(notesDir, trashDir, file, onConflict));
+            if (outcome.skipped) {
+                skippedNotes.push(outcome.skipped);
+            } else {
+                restoredNotes.push(outcome.restored);
+                changedFiles.push(filePath, path.join(notesDir, outcome.restored.group, `${outcome.restored.title}.json`));
+            }
+        } catch (error) {
+            console.error(`Failed to restore note "${title}" in group "${trashedGroup || '.'}":`, error);
+            skippedNotes.push({ title, group: trashedGroup, reason: `Failed to restore note "${title}".` });
+        }
+    }
+
+    if (restoredNotes.length === 1) {
+        await recordChange(`Restore ${noteLabel(restoredNotes[0].title, restoredNotes[0].group)} from trash`, changedFiles);
+    } else if (restoredNotes.length > 1) {
+        await recordChange(`Restore ${countLabel(restoredNotes.length)} from trash`, changedFiles);
+    }
+    return {
+        message: `${restoredNotes.length} note(s) restored successfully. ${skippedNotes.length} skipped.`,
+        restored: restoredNotes,
+        skipped: skippedNotes
+    };
+}
+
+// --- Version History Functions ---
+
+// Works out where a live note is stored, without reading it (e.g. to lock it first)
+async function resolveNote(title, group) {
+    const notesDir = areaDir('notes');
+    const { safeTitle, safeGroupParts } = sanitizeInput(title, group);
+
+    if (!safeTitle) {
+        throw new Error('Invalid title provided.');
+    }
+
+    const { targetDir, finalGroupPath } = await determineTargetPath(notesDir, safeGroupParts);
+    const filePath = path.join(targetDir, `${safeTitle}.json`);
+    return { filePath, safeTitle, finalGroupPath, relativePath: path.relative(notesDir, filePath) };
+}
+
+// Reads a single live note, throwing a "not found" error if it doesn't exist
+async function readNote(title, group, location = null) {
+    location = location || await resolveNote(title, group);
+
+    try {
+        const noteJsonData = JSON.parse(await storage.read(location.filePath));
+        // Older versions may be stored as deltas; callers always get full content
+        noteJsonData.versions = Array.isArray(noteJsonData.versions) ? expandVersions(noteJsonData.versions) : [];
+        return { ...location, noteJsonData };
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`Note with title "${title}" in group "${group || '.'}" not found.`);
+        }
+        throw error;
+    }
+}
+
+// Finds a version by index (0 = latest) or by timestamp (the version that was current at that moment)
+function findVersion(versions, { index, timestamp }) {
+    if (index !== undefined && index !== null) {
+        if (!Number.isInteger(index) || index < 0 || index >= versions.length) {
+            return null;
+        }
+        return { index, version: versions[index] };
+    }
+
+    const date = parseDate(timestamp);
+    const foundIndex = versions.findIndex(version => new Date(version.createdDate) <= date);
+    return foundIndex === -1 ? null : { index: foundIndex, version: versions[foundIndex] };
+}
+
+// Fetches a single live note with its ETag
+async function getNote(title, group) {
+    const { noteJsonData } = await readNote(title, group);
+    return describeNote(noteJsonData);
+}
+
+async function getNoteVersions(title, group) {
+    const { safeTitle, finalGroupPath, noteJsonData } = await readNote(title, group);
+
+    return {
+        title: safeTitle,
+        group: finalGroupPath,
+        versions: noteJsonData.versions.map((version, index) => ({
+            index,
+            createdDate: version.createdDate,
+            size: Buffer.byteLength(version.content || '', 'utf8') // Content size in bytes
+        }))
+    };
+}
+
+async function getNoteVersion(title, group, selector) {
+    const { safeTitle, finalGroupPath, noteJsonData } = await readNote(title, group);
+
+    const found = findVersion(noteJsonData.versions, selector);
+    if (!found) {
+        throw new Error(`Version ${selector.index ?? selector.timestamp} of note "${title}" not found.`);
+    }
+
+    return {
+        title: safeTitle,
+        group: finalGroupPath,
+        index: found.index,
+        createdDate: found.version.createdDate,
+        content: found.version.content || ''
+    };
+}
+
+// Reverting never rewrites history: the old content is added on top as a new version
+async function revertNote(title, group, selector, { ifMatch } = {}) {
+    const location = await resolveNote(title, group);
+
+    return withLock(location.filePath, async () => {
+        const { filePath, safeTitle, finalGroupPath, relativePath, noteJsonData } = await readNote(title, group, location);
+        assertIfMatch(safeTitle, ifMatch, noteJsonData);
+
+        const found = findVersion(noteJsonData.versions, selector);
+        if (!found) {
+            throw new Error(`Version ${selector.index ?? selector.timestamp} of note "${title}" not found.`);
+        }
+
+        const updatedNoteData = await prepareNoteData(filePath, safeTitle, finalGroupPath, relativePath, found.version.content);
+        await writeNoteFile(filePath, updatedNoteData);
+        indexNoteData('notes', relativePath, updatedNoteData);
+        await refreshCatalog('notes', filePath);
+        emitChange('note.updated', noteChange(updatedNoteData));
+        await recordChange(`Revert ${noteLabel(safeTitle, finalGroupPath)} to version ${found.index}`, [filePath]);
+        console.log(`Reverted note "${safeTitle}" in group "${finalGroupPath || '.'}" to version ${found.index}.`);
+
+        return {
+            message: `Note "${safeTitle}" reverted to version ${found.index} (${found.version.createdDate}).`,
+            revertedFrom: { index: found.index, createdDate: found.version.createdDate },
+            createdDate: updatedNoteData.versions[0].createdDate,
+            etag: computeEtag(updatedNoteData)
+        };
+    });
+}
+
+// Compares two versions of a note; with the default selectors, the previous version against the current content
+async function diffNoteVersions(title, group, fromSelector = { index: 1 }, toSelector = { index: 0 }) {
+    const { safeTitle, finalGroupPath, noteJsonData } = await readNote(title, group);
+
+    const from = findVersion(noteJsonData.versions, fromSelector);
+    const to = findVersion(noteJsonData.versions, toSelector);
+    if (!from || !to) {
+        const missing = !from ? fromSelector : toSelector;
+        throw new Error(`Version ${missing.index ?? missing.timestamp} of note "${title}" not found.`);
+    }
+
+    const { hunks, additions, deletions } = diffLines(from.version.content || '', to.version.content || '');
+    const label = finalGroupPath ? `${finalGroupPath}/${safeTitle}` : safeTitle;
+
+    return {
+        title: safeTitle,
+        group: finalGroupPath,
+        from: { index: from.index, createdDate: from.version.createdDate },
+        to: { index: to.index, createdDate: to.version.createdDate },
+        additions,
+        deletions,
+        hunks,
+        unified: formatUnifiedDiff(
+            hunks,
+            `${label} (version ${from.index}, ${from.version.createdDate})`,
+            `${label} (version ${to.index}, ${to.version.createdDate})`
+        )
+    };
+}
+
+/**
+ * Rewrites every note file (live and trashed) with the current version retention policy and delta storage,
+ * e.g. after the policy was tightened or for files written before history was delta-encoded.
+ * @param {{ dryRun?: boolean }} [options] - A dry run reports what would change without writing anything.
+ * @returns {Promise<{ message: string, dryRun: boolean, scanned: number, compacted: number, versionsRemoved: number,
+ *   sizeBefore: number, sizeAfter: number, skipped: object[] }>} - Sizes are in bytes.
+ */
+async function compactNotes({ dryRun = false } = {}) {
+    const result = { dryRun, scanned: 0, compacted: 0, versionsRemoved: 0, sizeBefore: 0, sizeAfter: 0, skipped: [] };
+
+    for (const area of ['notes', 'trash']) {
+        const areaRoot = areaDir(area);
+        for (const { filePath, relativePath } of await listAreaFiles(areaRoot, [])) {
+            await withLock(filePath, async () => {
+                let jsonContent;
+                let noteJsonData;
+                let newContent;
+                try {
+                    jsonContent = await storage.read(filePath);
+                    noteJsonData = JSON.parse(jsonContent);
+                    newContent = serializeNote(noteJsonData);
+                } catch (error) {
+                    // Removed meanwhile, or unreadable: leave the file alone
+                    if (error.code !== 'ENOENT') result.skipped.push({ area, file: relativePath, reason: error.message });
+                    return;
+                }
+
+                const sizeBefore = Buffer.byteLength(jsonContent, 'utf8');
+                const sizeAfter = Buffer.byteLength(newContent, 'utf8');
+                result.scanned++;
+                result.sizeBefore += sizeBefore;
+                result.sizeAfter += sizeAfter;
+                if (newContent === jsonContent) return;
+
+                result.compacted++;
+                result.versionsRemoved += (noteJsonData.versions || []).length - JSON.parse(newContent).versions.length;
+                if (dryRun) return;
+
+                await writeNoteFile(filePath, noteJsonData);
+                await refreshCatalog(area, filePath);
+            });
+        }
+    }
+
+    if (!dryRun && result.compacted > 0) {
+        await recordChange(`Compact version history of ${countLabel(result.compacted)}`, [areaDir('notes'), areaDir('trash')]);
+    }
+    const verb = dryRun ? 'would be' : 'were';
+    console.log(`Compacted ${result.compacted} of ${result.scanned} note file(s)${dryRun ? ' (dry run)' : ''}: ${result.sizeBefore} -> ${result.sizeAfter} bytes.`);
+    return {
+        message: `${result.compacted} of ${result.scanned} note file(s) ${verb} compacted, ${result.versionsRemoved} version(s) ${verb} removed; ` +
+            `${result.sizeBefore} bytes ${dryRun ? 'would shrink' : 'shrank'} to ${result.sizeAfter} bytes.`,
+        ...result
+    };
+}
+
+// --- Search Index Functions ---
+
+// Loads the persisted search index and brings it up to date with notes changed while the server was down
+async function initSearchIndex() {
+    await searchIndex.loadSearchIndex(path.join(storage.getStorage().root, '.search-index.json'));
+    await reconcileSearchIndex();
+}
+
+// Reindexes the current space's notes that changed on disk since they were indexed, and drops deleted ones
+async function reconcileSearchIndex() {
+    for (const area of ['notes', 'trash']) {
+        const baseDir = areaDir(area);
+        let files = [];
+        try {
+            files = await findJsonFiles(baseDir, baseDir);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const indexedNotes = searchIndex.getIndexedNotes(areaKey(area));
+        let reindexedCount = 0;
+        for (const { filePath, relativePath } of files) {
+            const indexedAt = indexedNotes.get(relativePath);
+            indexedNotes.delete(relativePath);
+            try {
+                const stats = await storage.stat(filePath);
+                if (indexedAt !== undefined && stats.mtimeMs <= indexedAt) continue;
+                indexNoteData(area, relativePath, JSON.parse(await storage.read(filePath)));
+                reindexedCount++;
+            } catch (error) {
+                console.error(`Error indexing note file ${filePath}:`, error);
+            }
+        }
+
+        // Whatever is left was deleted from disk since the index was saved
+        for (const relativePath of indexedNotes.keys()) {
+            searchIndex.removeNote(areaKey(area), relativePath);
+        }
+        console.log(`Search index for '${areaKey(area)}': ${reindexedCount} note(s) reindexed, ${indexedNotes.size} removed.`);
+    }
+}
+
+// --- Note Catalog Functions ---
+
+// Builds the in-memory catalog and keeps the search index in step with files edited outside the API
+async function initNoteCatalog() {
+    catalogEvents.on('change', (area, relativePath, note) => {
+        if (note) {
+            searchIndex.indexNote(area, relativePath, note);
+        } else {
+            searchIndex.removeNote(area, relativePath);
+        }
+    });
+    await catalog.initCatalog({ [areaKey('notes')]: areaDir('notes'), [areaKey('trash')]: areaDir('trash') });
+}
+
+// --- Note Space Functions ---
+
+const openedSpaces = new Map(); // user -> promise of the space being opened, so each space is prepared once
+
+/**
+ * Prepares the current user's space (see spaces.js) for requests: creates its notes directory, brings its
+ * search index entries up to date and adds its directories to the catalog. Only the first call per user does any work;
+ * the top-level space is prepared by initSearchIndex and initNoteCatalog at startup.
+ * @returns {Promise<void>}
+ */
+function openSpace() {
+    const user = currentUser();
+    if (user === null) return Promise.resolve();
+    if (!openedSpaces.has(user)) {
+        const opening = (async () => {
+            await storage.makeDir(areaDir('notes'));
+            await reconcileSearchIndex();
+            await catalog.addAreas({ [areaKey('notes')]: areaDir('notes'), [areaKey('trash')]: areaDir('trash') });
+        })();
+        opening.catch(() => openedSpaces.delete(user)); // Try again on the next request
+        openedSpaces.set(user, opening);
+    }
+    return openedSpaces.get(user);
+}
+
 // --- Delete Empty Group Function ---
 async function deleteEmptyGroup(group) {
-    const notesDir = path.join(__dirname, 'notes');
+    const notesDir = areaDir('notes');
     const { safeGroupParts } = sanitizeInput('', group);
 
     if (safeGroupParts.length === 0) {
@@ -381,13 +1346,15 @@ async function deleteEmptyGroup(group) {
 
     try {
         // Check if the group exists and is empty
-        const entries = await fs.readdir(groupPath);
+        const entries = await storage.list(groupPath);
         if (entries.length > 0) {
-            throw new Error(`Group "${group}" is not empty and cannot be deleted.`);
+            throw new Error(`Group "${group}" is not empty and cannot be deleted. Use recursive: true to move it to the trash.`);
         }
 
         // Remove the empty group directory
-        await fs.rmdir(groupPath);
+        await storage.remove(groupPath);
+        await refreshCatalog('notes', groupPath);
+        emitChange('group.deleted', { group: path.relative(notesDir, groupPath) });
         console.log(`Deleted empty group: ${groupPath}`);
         return { message: `Group "${group}" deleted successfully.` };
     } catch (error) {
@@ -395,6 +1362,8 @@ async function deleteEmptyGroup(group) {
             // Group not found
             console.error(`Group not found: ${groupPath}`);
             throw new Error(`Group "${group}" not found.`);
+        } else if (error.message.includes('is not empty')) {
+            throw error; // Let the caller tell "not empty" apart from failures
         } else {
             // Other errors
             console.error(`Error deleting group ${groupPath}:`, error);
@@ -403,4 +1372,474 @@ async function deleteEmptyGroup(group) {
     }
 }
 
-module.exports = { getAllNotes, createNotes, findJsonFiles, deleteNote, deleteEmptyGroup, emptyTrash };
\ No newline at end of file
+// --- Move and Trash Group Functions ---
+
+// Resolves a group in 'notes' (case-insensitively) and checks that it is an existing folder
+async function resolveExistingGroup(notesDir, group) {
+    const { safeGroupParts } = sanitizeInput('', group);
+    if (safeGroupParts.length === 0) {
+        throw new Error('Invalid group provided.');
+    }
+    if (safeGroupParts[0].toLowerCase() === 'trash') {
+        throw new Error(`Group "${group}" is not allowed.`);
+    }
+
+    const { targetDir, finalGroupPath } = await determineTargetPath(notesDir, safeGroupParts);
+    let stats = null;
+    try {
+        stats = await storage.stat(targetDir);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    if (!stats || !stats.isDirectory()) {
+        throw new Error(`Group "${group}" not found.`);
+    }
+    return { groupDir: targetDir, finalGroupPath };
+}
+
+// Renames or re-parents a group, rewriting the group and relativePath of every note inside it
+async function renameGroup(group, newGroup) {
+    const notesDir = areaDir('notes');
+    const { groupDir, finalGroupPath } = await resolveExistingGroup(notesDir, group);
+
+    const { safeGroupParts: targetGroupParts } = sanitizeInput('', newGroup);
+    if (targetGroupParts.length === 0) {
+        throw new Error('Invalid new group provided.');
+    }
+    if (targetGroupParts[0].toLowerCase() === 'trash') {
+        throw new Error(`Moving groups into "${newGroup}" is not allowed.`);
+    }
+
+    let { targetDir, finalGroupPath: targetGroupPath } = await determineTargetPath(notesDir, targetGroupParts);
+    // Group paths match case-insensitively, so a new path differing only in case resolves to the group itself:
+    // that renames the group's own folder, keeping the casing of its parents
+    const requestedName = targetGroupParts[targetGroupParts.length - 1];
+    const caseOnlyRename = targetDir === groupDir && path.basename(groupDir) !== requestedName;
+    if (caseOnlyRename) {
+        targetDir = path.join(path.dirname(groupDir), requestedName);
+        targetGroupPath = path.relative(notesDir, targetDir);
+    } else if (targetDir === groupDir || targetDir.startsWith(groupDir + path.sep)) {
+        throw new Error(`Group "${finalGroupPath}" cannot be moved into itself.`);
+    }
+    // Hold every note inside so no single-note operation interleaves with the move
+    const sourceFiles = await findJsonFiles(groupDir, notesDir);
+    const lockKeys = sourceFiles.flatMap(({ filePath }) => [filePath, path.join(targetDir, path.relative(groupDir, filePath))]);
+
+    return withLock(lockKeys, async () => {
+        if (caseOnlyRename) {
+            // Go through a temporary name, since case-insensitive file systems treat both names as the same folder
+            const tempDir = `${groupDir}.${Date.now()}.tmp`;
+            await storage.move(groupDir, tempDir);
+            await storage.move(tempDir, targetDir);
+        } else {
+            if (await storage.exists(targetDir)) {
+                throw new Error(`Group "${targetGroupPath}" already exists.`);
+            }
+            await storage.makeDir(path.dirname(targetDir));
+            await storage.move(groupDir, targetDir);
+        }
+
+        // Every note below the moved folder now has a new group and relativePath
+        const movedFiles = await findJsonFiles(targetDir, notesDir);
+        const skippedNotes = [];
+        for (const { filePath, group: fileGroup, relativePath } of movedFiles) {
+            const previousRelativePath = path.join(finalGroupPath, path.relative(targetDir, filePath));
+            const finalFileGroup = fileGroup === '.' ? '' : fileGroup;
+            try {
+                const noteJsonData = JSON.parse(await storage.read(filePath));
+                noteJsonData.group = finalFileGroup;
+                noteJsonData.relativePath = relativePath;
+                await writeNoteFile(filePath, noteJsonData);
+            } catch (error) {
+                // The file moved along with its group, but still names its old group and relativePath
+                console.error(`Error updating moved note file ${filePath}:`, error);
+                skippedNotes.push({ file: relativePath, reason: `Failed to update note file "${relativePath}": ${error.message}` });
+            }
+            searchIndex.moveNote(areaKey('notes'), previousRelativePath, areaKey('notes'), relativePath, { group: finalFileGroup });
+        }
+
+        await refreshCatalog('notes', groupDir);
+        await refreshCatalog('notes', targetDir);
+        emitChange('group.moved', { group: targetGroupPath, previousGroup: finalGroupPath, movedCount: movedFiles.length });
+        await recordChange(`Move group '${finalGroupPath}' to '${targetGroupPath}' (${countLabel(movedFiles.length)})`, [groupDir, targetDir]);
+        console.log(`Moved group "${finalGroupPath}" to "${targetGroupPath}" (${movedFiles.length} note(s)).`);
+
+        const updatedCount = movedFiles.length - skippedNotes.length;
+        return {
+            message: `Group "${finalGroupPath}" moved to "${targetGroupPath}" successfully. ${updatedCount} note(s) updated. ${skippedNotes.length} skipped.`,
+            group: targetGroupPath,
+            previousGroup: finalGroupPath,
+            movedCount: movedFiles.length,
+            skipped: skippedNotes
+        };
+    });
+}
+
+// Moves everything below srcDir into destDir, merging with folders already there, then removes srcDir
+async function moveDirectoryContents(srcDir, destDir) {
+    await storage.makeDir(destDir);
+    const entries = await storage.list(srcDir);
+    for (const entry of entries) {
+        const srcPath = path.join(srcDir, entry.name);
+        const destPath = path.join(destDir, entry.name);
+        if (entry.isDirectory()) {
+            await moveDirectoryContents(srcPath, destPath);
+        } else {
+            await storage.move(srcPath, destPath); // Replaces a trashed file with the same name, like deleteNote
+        }
+    }
+    await storage.remove(srcDir);
+}
+
+// Moves a group with all its notes and subgroups to the trash, keeping the folder structure
+async function trashGroup(group) {
+    const notesDir = areaDir('notes');
+    const trashDir = areaDir('trash');
+    const { groupDir, finalGroupPath } = await resolveExistingGroup(notesDir, group);
+    const trashGroupDir = path.join(trashDir, finalGroupPath);
+
+    const noteFiles = await findJsonFiles(groupDir, notesDir);
+    const lockKeys = noteFiles.flatMap(({ filePath, relativePath }) => [filePath, path.join(trashDir, relativePath)]);
+
+    return withLock(lockKeys, async () => {
+        await moveDirectoryContents(groupDir, trashGroupDir);
+
+        const deletedDate = new Date().toISOString();
+        for (const { relativePath, group: noteGroup } of noteFiles) {
+            searchIndex.moveNote(areaKey('notes'), relativePath, areaKey('trash'), relativePath);
+            const trashFilePath = path.join(trashDir, relativePath);
+            try {
+                const noteJsonData = JSON.parse(await storage.read(trashFilePath));
+                await writeNoteFile(trashFilePath, markTrashed(noteJsonData, noteGroup, deletedDate));
+            } catch (error) {
+                console.warn(`Could not record the deletion date of ${trashFilePath}: ${error.message}`);
+            }
+        }
+        await refreshCatalog('notes', groupDir);
+        await refreshCatalog('trash', trashGroupDir);
+        emitChange('group.trashed', { group: finalGroupPath, trashedCount: noteFiles.length, deletedDate });
+        await recordChange(`Trash group '${finalGroupPath}' (${countLabel(noteFiles.length)})`, [groupDir, trashGroupDir]);
+        console.log(`Moved group "${finalGroupPath}" to trash (${noteFiles.length} note(s)).`);
+
+        return {
+            message: `Group "${finalGroupPath}" moved to trash successfully. ${noteFiles.length} note(s) trashed.`,
+            trashedCount: noteFiles.length
+        };
+    });
+}
+
+// --- Share Functions ---
+
+/**
+ * Works out what a share link points at, with the note's or group's actual casing.
+ * @param {{ title?: string, group?: string }} target - A note (title and group) or, without a title, a group.
+ * @returns {Promise<{ type: 'note' | 'group', title?: string, group: string }>}
+ * @throws {Error} - If the note or group doesn't exist ("not found"), or the group is invalid.
+ */
+async function resolveShareTarget({ title, group }) {
+    if (title) {
+        const { safeTitle, finalGroupPath } = await readNote(title, group);
+        return { type: 'note', title: safeTitle, group: finalGroupPath };
+    }
+    const { finalGroupPath } = await resolveExistingGroup(areaDir('notes'), group);
+    return { type: 'group', group: finalGroupPath };
+}
+
+/**
+ * Lists what a share link shows, in the same shape as getAllNotes: the shared note, or every note in the shared
+ * group and its subgroups.
+ * @param {{ type: 'note' | 'group', title?: string, group: string }} target - See resolveShareTarget.
+ * @param {{ includeVersions?: boolean }} [options] - Also give each note its versions, newest first, with their content.
+ * @returns {Promise<object[]>} - The notes, ordered by group and title.
+ */
+async function getSharedNotes({ type, title, group }, { includeVersions = false } = {}) {
+    const notes = (await getAllNotes())
+        .filter(note => type === 'note'
+            ? note.group === group && note.title === title
+            : note.group === group || note.group.startsWith(group + path.sep))
+        .sort((a, b) => a.group.localeCompare(b.group) || a.title.localeCompare(b.title));
+    if (!includeVersions) return notes;
+
+    const notesWithVersions = [];
+    for (const note of notes) {
+        try {
+            const { noteJsonData } = await readNote(note.title, note.group);
+            const versions = noteJsonData.versions.map((version, index) => ({ index, createdDate: version.createdDate, content: version.content || '' }));
+            notesWithVersions.push({ ...note, versions });
+        } catch (error) {
+            if (!error.message.includes('not found')) throw error; // Deleted since it was listed
+        }
+    }
+    return notesWithVersions;
+}
+
+// --- Export and Import Functions ---
+
+const ARCHIVE_FORMAT = 'geepnotes-archive';
+const ARCHIVE_VERSION = 1;
+
+// Lists the note files of an area ('notes' or 'trash'), limited to the given groups and their subgroups if any
+async function listAreaFiles(areaRoot, groups) {
+    const startDirs = groups.length > 0
+        ? await Promise.all(groups.map(async (group) => (await determineTargetPath(areaRoot, sanitizeInput('', group).safeGroupParts)).targetDir))
+        : [areaRoot];
+
+    const files = new Map(); // filePath -> file, so overlapping groups are only exported once
+    for (const dir of startDirs) {
+        try {
+            for (const file of await findJsonFiles(dir, areaRoot)) {
+                files.set(file.filePath, file);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+    return [...files.values()].sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+}
+
+/**
+ * Exports notes as archive files: a manifest.json followed by one "notes/<group>/<title>.json" (or "trash/...") per note.
+ * @param {{ groups?: string[], includeTrash?: boolean, includeVersions?: boolean }} options - groups limits the export
+ *   to those groups and their subgroups; without includeVersions only each note's latest version is kept.
+ * @param {(name: string, data: string, mtime: Date) => Promise<void>} addFile - Receives each archive file in turn.
+ * @returns {Promise<number>} - The number of notes exported.
+ */
+async function exportNotes({ groups = [], includeTrash = false, includeVersions = true } = {}, addFile) {
+    const manifest = { format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, exportedDate: new Date().toISOString(), groups, includeTrash, includeVersions };
+    await addFile('manifest.json', JSON.stringify(manifest, null, 2), new Date());
+
+    let exportedCount = 0;
+    for (const area of includeTrash ? ['notes', 'trash'] : ['notes']) {
+        const areaRoot = areaDir(area);
+        for (const { filePath, relativePath } of await listAreaFiles(areaRoot, groups)) {
+            let noteJsonData;
+            let stats;
+            try {
+                stats = await storage.stat(filePath);
+                noteJsonData = JSON.parse(await storage.read(filePath));
+            } catch (error) {
+                // Deleted since it was listed, or corrupt: leave it out rather than break the whole archive
+                console.warn(`Skipping note file ${filePath} in export: ${error.message}`);
+                continue;
+            }
+            if (!includeVersions && Array.isArray(noteJsonData.versions)) {
+                noteJsonData.versions = noteJsonData.versions.slice(0, 1);
+            }
+            await addFile(`${area}/${relativePath.split(path.sep).join('/')}`, JSON.stringify(noteJsonData, null, 2), stats.mtime);
+            exportedCount++;
+        }
+    }
+    console.log(`Exported ${exportedCount} note(s).`);
+    return exportedCount;
+}
+
+// Works out where an archive file belongs from its name, e.g. "notes/Work/Plan.json"
+function parseArchiveEntryName(name) {
+    const match = name.replace(/\\/g, '/').match(/^(notes|trash)\/(.+)\.json$/);
+    if (!match) return null;
+    const parts = match[2].split('/').filter(Boolean);
+    const title = parts.pop();
+    return { area: match[1], title, group: parts.join('/') };
+}
+
+// Imports one archive file; returns { processed } or { skipped } (dry runs only work out the outcome)
+async function importArchiveFile({ name, data }, onConflict, dryRun) {
+    const skip = (reason) => ({ skipped: { entry: name, reason } });
+    const location = parseArchiveEntryName(name);
+    if (!location) {
+        return skip('Not a note file.');
+    }
+
+    const { area } = location;
+    const { safeTitle, safeGroupParts } = sanitizeInput(location.title, location.group);
+    if (!safeTitle) {
+        return skip('Invalid or empty title.');
+    }
+    if (area === 'notes' && safeGroupParts[0]?.toLowerCase() === 'trash') {
+        return skip(`Notes cannot be saved in group "${location.group}".`);
+    }
+
+    let imported;
+    try {
+        imported = JSON.parse(data.toString('utf8'));
+    } catch (error) {
+        return skip('Note file is not valid JSON.');
+    }
+    if (!imported || !Array.isArray(imported.versions) || imported.versions.length === 0 ||
+        imported.versions.some(version => !version || (typeof version.content !== 'string' && !Array.isArray(version.delta)))) {
+        return skip('Note file has no valid versions.');
+    }
+    try {
+        // Archives keep versions the way they are stored, so older ones may be deltas
+        imported.versions = expandVersions(imported.versions);
+    } catch (error) {
+        return skip(error.message);
+    }
+
+    const areaRoot = areaDir(area);
+    const { targetDir, finalGroupPath } = await determineTargetPath(areaRoot, safeGroupParts);
+    const filePath = path.join(targetDir, `${safeTitle}.json`);
+
+    return withLock(filePath, async () => {
+        let existing;
+        try {
+            existing = await readNoteIfExists(filePath);
+        } catch (error) {
+            if (!(error instanceof SyntaxError)) throw error;
+            return skip(`Note file "${path.relative(areaRoot, filePath)}" is corrupt and will not be overwritten.`);
+        }
+
+        let targetTitle = safeTitle;
+        let targetPath = filePath;
+        let status = 'created';
+        if (existing && onConflict === 'skip') {
+            return skip(`Note "${safeTitle}" already exists in group "${finalGroupPath || '.'}".`);
+        }
+        if (existing && onConflict === 'new-version') {
+            const existingContent = Array.isArray(existing.versions) && existing.versions.length > 0 ? existing.versions[0].content : '';
+            if (existingContent === imported.versions[0].content) {
+                return skip(`Note "${safeTitle}" in group "${finalGroupPath || '.'}" is unchanged.`);
+            }
+            status = 'updated';
+        } else if (existing) {
+            targetTitle = await findAvailableTitle(targetDir, safeTitle, 'imported');
+            targetPath = path.join(targetDir, `${targetTitle}.json`);
+            status = 'renamed';
+        }
+
+        const outcome = { title: targetTitle, group: finalGroupPath, area, status };
+        if (dryRun) {
+            return { processed: outcome };
+        }
+
+        const relativePath = path.relative(areaRoot, targetPath);
+        const attributes = { tags: imported.tags, metadata: imported.metadata };
+        let noteJsonData;
+        if (status === 'updated') {
+            // Like an upsert: the imported content goes on top of the existing history
+            noteJsonData = await prepareNoteData(filePath, safeTitle, finalGroupPath, relativePath, imported.versions[0].content, attributes);
+        } else {
+            const versions = imported.versions.map(({ content, createdDate }) => ({ content, createdDate: createdDate || new Date().toISOString() }));
+            noteJsonData = applyNoteAttributes({
+                ...imported,
+                title: targetTitle,
+                group: finalGroupPath,
+                relativePath,
+                createdDate: imported.createdDate || versions[versions.length - 1].createdDate,
+                tags: [],
+                metadata: {},
+                versions
+            }, attributes);
+        }
+
+        await storage.makeDir(targetDir);
+        await writeNoteFile(targetPath, noteJsonData);
+        indexNoteData(area, relativePath, noteJsonData);
+        await refreshCatalog(area, targetPath);
+        if (area === 'trash') {
+            emitChange('note.trashed', { ...noteChange(noteJsonData), deletedDate: noteJsonData.deletedDate });
+        } else {
+            emitChange(status === 'updated' ? 'note.updated' : 'note.created', noteChange(noteJsonData));
+        }
+        return { processed: { ...outcome, etag: computeEtag(noteJsonData) } };
+    });
+}
+
+/**
+ * Merges the notes of an exported archive into this notebook.
+ * @param {{ name: string, data: Buffer }[]} files - The archive's files (see archive.parseArchive).
+ * @param {{ onConflict?: 'skip' | 'new-version' | 'rename', dryRun?: boolean }} [options] - What to do when a note
+ *   already exists: keep it, add the imported content as a new version, or import under a new title.
+ *   A dry run reports the outcome without writing anything.
+ * @returns {Promise<{ message: string, dryRun: boolean, processed: object[], skipped: object[] }>}
+ */
+async function importNotes(files, { onConflict = 'skip', dryRun = false } = {}) {
+    const manifestFile = files.find(file => file.name === 'manifest.json');
+    let manifest = null;
+    try {
+        manifest = manifestFile ? JSON.parse(manifestFile.data.toString('utf8')) : null;
+    } catch (error) {
+        // Reported below
+    }
+    if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+        throw new Error('Invalid archive: manifest.json is missing or not from a notes export.');
+    }
+    if (manifest.version > ARCHIVE_VERSION) {
+        throw new Error(`Invalid archive: version ${manifest.version} is not supported.`);
+    }
+
+    const processedNotes = [];
+    const skippedNotes = [];
+    const changedFiles = [];
+    // Import sequentially so that renames within one archive cannot collide
+    for (const file of files) {
+        if (file === manifestFile) continue;
+        try {
+            const outcome = await importArchiveFile(file, onConflict, dryRun);
+            if (outcome.skipped) {
+                skippedNotes.push(outcome.skipped);
+            } else {
+                processedNotes.push(outcome.processed);
+                changedFiles.push(path.join(areaDir(outcome.processed.area), outcome.processed.group, `${outcome.processed.title}.json`));
+            }
+        } catch (error) {
+            console.error(`Failed to import archive file "${file.name}":`, error);
+            skippedNotes.push({ entry: file.name, reason: 'Failed to import note.' });
+        }
+    }
+
+    const count = (status) => processedNotes.filter(item => item.status === status).length;
+    const summary = `${count('created')} note(s) created, ${count('updated')} updated, ${count('renamed')} renamed, ${skippedNotes.length} skipped.`;
+    console.log(`${dryRun ? 'Dry run of import' : 'Import'} finished: ${summary}`);
+    if (!dryRun && changedFiles.length > 0) {
+        await recordChange(`Import ${countLabel(changedFiles.length)} (${count('created')} created, ${count('updated')} updated, ${count('renamed')} renamed)`, changedFiles);
+    }
+    return {
+        message: dryRun ? `Dry run: ${summary}` : summary,
+        dryRun,
+        processed: processedNotes,
+        skipped: skippedNotes
+    };
+}
+
+// --- Git History Functions ---
+
+/**
+ * Lists the most recent Git history commits (see git.js) that changed the current space's notes or trash.
+ * @param {number} [limit=20] - How many commits to list.
+ * @returns {Promise<object[]>} - Commits, newest first, with file paths relative to the space (e.g. "notes/Work/Plan.json").
+ * @throws {Error} - If the Git history is not enabled.
+ */
+async function getHistory(limit = 20) {
+    const notesDir = areaDir('notes');
+    return listCommits([notesDir, areaDir('trash')], { limit, baseDir: path.dirname(notesDir) });
+}
+
+/**
+ * Puts the current space's notes and trash back the way they were at a Git history commit, then brings the search index
+ * and catalog up to date. Notes being written at the same moment may end up either way.
+ * @param {string} commit - A commit hash from getHistory.
+ * @returns {Promise<object>} - The new commit, the commit restored from and the files that changed.
+ * @throws {TypeError | Error} - If the commit is malformed ("Invalid") or unknown ("not found"), or the history is disabled.
+ */
+async function restoreHistory(commit) {
+    const notesDir = areaDir('notes');
+    const trashDir = areaDir('trash');
+    const result = await restoreCommit(commit, [notesDir, trashDir], { baseDir: path.dirname(notesDir) });
+
+    await storage.makeDir(notesDir); // The notes folder may not have existed yet at that commit
+    await reconcileSearchIndex();
+    await refreshCatalog('notes', notesDir);
+    await refreshCatalog('trash', trashDir);
+    console.log(`Restored notes and trash as of commit ${result.restoredFrom.commit} (${result.files.length} file(s) changed).`);
+    return {
+        message: `Notes and trash restored as of commit ${result.restoredFrom.commit.slice(0, 7)}. ${result.files.length} file(s) changed.`,
+        ...result
+    };
+}
+
+module.exports = {
+    getAllNotes, getTags, createNotes, findJsonFiles, deleteNote, moveNote, deleteEmptyGroup, renameGroup, trashGroup,
+    emptyTrash, deleteFromTrash, purgeExpiredTrash, restoreFromTrash, getNote, getNoteVersions, getNoteVersion, revertNote, diffNoteVersions, compactNotes, exportNotes, importNotes,
+    resolveShareTarget, getSharedNotes, getHistory, restoreHistory, initSearchIndex, initNoteCatalog, openSpace
+};
\ No newline at end of file
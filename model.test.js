@@ -1,25 +1,11 @@
-const fs = require('fs'); // Import the core 'fs' module
 const path = require('path');
-const { getAllNotes, findJsonFiles } = require('./model'); // Adjust the path as necessary
+const { getAllNotes, findJsonFiles, createNotes, deleteNote, getNoteVersions, getNoteVersion, restoreFromTrash, moveNote, revertNote,
+  renameGroup, trashGroup, exportNotes, importNotes, purgeExpiredTrash, deleteFromTrash, compactNotes } = require('./model'); // Adjust the path as necessary
+const { createMemoryStorage, useStorage } = require('./storage');
+const { subscribe } = require('./changes');
 
 // filepath: /home/gabrielrezende/geepNotes/model.test.js
 
-// Mock the fs module and its promises property
-jest.mock('fs', () => ({
-  promises: {
-    readdir: jest.fn(),
-    readFile: jest.fn(),
-    // Add other fs.promises methods if needed by your model.js
-    // writeFile: jest.fn(),
-    // mkdir: jest.fn(),
-    // stat: jest.fn(),
-    // unlink: jest.fn(),
-    // rmdir: jest.fn(),
-  },
-  // Mock other non-promise fs methods if needed
-  // existsSync: jest.fn(),
-}));
-
 // Mock path.join and path.relative for consistent behavior across platforms
 jest.mock('path', () => {
   const originalPath = jest.requireActual('path');
@@ -37,29 +23,45 @@ jest.mock('path', () => {
   };
 });
 
-// Helper to create mock directory entries
-const createMockDirent = (name, isDirectory = false, isFile = false) => ({
-  name,
-  isDirectory: () => isDirectory,
-  isFile: () => isFile,
+// Every test starts from an empty in-memory store; files are given relative to the project folder
+let storage;
+const writeFiles = async (files) => {
+  for (const [relativePath, content] of Object.entries(files)) {
+    const filePath = path.resolve(__dirname, relativePath);
+    await storage.makeDir(path.dirname(filePath));
+    await storage.write(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  }
+};
+const readFile = async (...parts) => JSON.parse(await storage.read(path.resolve(__dirname, ...parts)));
+const exists = (...parts) => storage.exists(path.resolve(__dirname, ...parts));
+const trashFile = (...parts) => path.resolve(__dirname, 'trash', ...parts);
+
+// A note file as the model writes it; contents are listed newest first, one version a day from 2023-01-01
+const note = (title, group, contents, extra = {}) => ({
+  title, group, createdDate: "2023-01-01T10:00:00Z",
+  versions: [].concat(contents).map((content, i, all) => ({ content, createdDate: `2023-01-0${all.length - i}T10:00:00Z` })),
+  ...extra
+});
+
+beforeEach(() => {
+  storage = useStorage(createMemoryStorage(__dirname));
+  // Keep the model's progress and error logs out of the test output
+  for (const method of ['log', 'warn', 'error']) jest.spyOn(console, method).mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
 });
 
 describe('findJsonFiles', () => {
   const baseDir = path.resolve(__dirname, 'notes'); // Use resolve for __dirname
 
-  beforeEach(() => {
-    // Reset mocks before each test using the correct path
-    fs.promises.readdir.mockReset();
-    fs.promises.readFile.mockReset(); // Also reset readFile if used indirectly
-  });
-
   test('should find JSON files in the root directory', async () => {
-    const mockEntries = [
-      createMockDirent('note1.json', false, true),
-      createMockDirent('note2.txt', false, true),
-      createMockDirent('note3.JSON', false, true), // Test case insensitivity
-    ];
-    fs.promises.readdir.mockResolvedValueOnce(mockEntries); // Use fs.promises.readdir
+    await writeFiles({
+      'notes/note1.json': {},
+      'notes/note2.txt': 'not a note',
+      'notes/note3.JSON': {}, // Test case insensitivity
+    });
 
     const expectedFiles = [
       { filePath: path.join(baseDir, 'note1.json'), group: '.', relativePath: 'note1.json' },
@@ -69,15 +71,10 @@ describe('findJsonFiles', () => {
     const files = await findJsonFiles(baseDir, baseDir);
     expect(files).toEqual(expect.arrayContaining(expectedFiles));
     expect(files.length).toBe(expectedFiles.length);
-    expect(fs.promises.readdir).toHaveBeenCalledWith(baseDir, { withFileTypes: true }); // Use fs.promises.readdir
   });
 
   test('should find JSON files in subdirectories', async () => {
-    const rootEntries = [createMockDirent('subdir', true, false)];
-    const subdirEntries = [createMockDirent('note4.json', false, true)];
-
-    fs.promises.readdir.mockResolvedValueOnce(rootEntries); // For baseDir // Use fs.promises.readdir
-    fs.promises.readdir.mockResolvedValueOnce(subdirEntries); // For subdir // Use fs.promises.readdir
+    await writeFiles({ 'notes/subdir/note4.json': {} });
 
     const expectedFiles = [
       { filePath: path.join(baseDir, 'subdir', 'note4.json'), group: 'subdir', relativePath: path.join('subdir', 'note4.json') },
@@ -85,22 +82,14 @@ describe('findJsonFiles', () => {
 
     const files = await findJsonFiles(baseDir, baseDir);
     expect(files).toEqual(expectedFiles);
-    expect(fs.promises.readdir).toHaveBeenCalledWith(baseDir, { withFileTypes: true }); // Use fs.promises.readdir
-    expect(fs.promises.readdir).toHaveBeenCalledWith(path.join(baseDir, 'subdir'), { withFileTypes: true }); // Use fs.promises.readdir
   });
 
   test('should skip the trash directory at the root level', async () => {
-    const mockEntries = [
-      createMockDirent('note1.json', false, true),
-      createMockDirent('trash', true, false),
-      createMockDirent('subdir', true, false),
-    ];
-    const trashEntries = [createMockDirent('trashed.json', false, true)]; // Should not be read
-    const subdirEntries = [createMockDirent('note_in_subdir.json', false, true)];
-
-    fs.promises.readdir.mockResolvedValueOnce(mockEntries); // For baseDir // Use fs.promises.readdir
-    // fs.promises.readdir for 'trash' should NOT be called
-    fs.promises.readdir.mockResolvedValueOnce(subdirEntries); // For 'subdir' // Use fs.promises.readdir
+    await writeFiles({
+      'notes/note1.json': {},
+      'notes/trash/trashed.json': {}, // Should not be listed
+      'notes/subdir/note_in_subdir.json': {},
+    });
 
     const expectedFiles = [
       { filePath: path.join(baseDir, 'note1.json'), group: '.', relativePath: 'note1.json' },
@@ -110,22 +99,13 @@ describe('findJsonFiles', () => {
     const files = await findJsonFiles(baseDir, baseDir);
     expect(files).toEqual(expect.arrayContaining(expectedFiles));
     expect(files.length).toBe(expectedFiles.length);
-    expect(fs.promises.readdir).toHaveBeenCalledWith(baseDir, { withFileTypes: true }); // Use fs.promises.readdir
-    expect(fs.promises.readdir).toHaveBeenCalledWith(path.join(baseDir, 'subdir'), { withFileTypes: true }); // Use fs.promises.readdir
-    expect(fs.promises.readdir).not.toHaveBeenCalledWith(path.join(baseDir, 'trash'), { withFileTypes: true }); // Use fs.promises.readdir
   });
 
-   test('should NOT skip a directory named "trash" if it is not at the root', async () => {
-    const rootEntries = [createMockDirent('subdir', true, false)];
-    const subdirEntries = [
-      createMockDirent('note_in_subdir.json', false, true),
-      createMockDirent('trash', true, false), // Nested trash directory
-    ];
-     const nestedTrashEntries = [createMockDirent('nested_trash_note.json', false, true)];
-
-    fs.promises.readdir.mockResolvedValueOnce(rootEntries); // For baseDir // Use fs.promises.readdir
-    fs.promises.readdir.mockResolvedValueOnce(subdirEntries); // For 'subdir' // Use fs.promises.readdir
-    fs.promises.readdir.mockResolvedValueOnce(nestedTrashEntries); // For 'subdir/trash' // Use fs.promises.readdir
+  test('should NOT skip a directory named "trash" if it is not at the root', async () => {
+    await writeFiles({
+      'notes/subdir/note_in_subdir.json': {},
+      'notes/subdir/trash/nested_trash_note.json': {}, // Nested trash directory
+    });
 
     const expectedFiles = [
       { filePath: path.join(baseDir, 'subdir', 'note_in_subdir.json'), group: 'subdir', relativePath: path.join('subdir', 'note_in_subdir.json') },
@@ -135,13 +115,10 @@ describe('findJsonFiles', () => {
     const files = await findJsonFiles(baseDir, baseDir);
     expect(files).toEqual(expect.arrayContaining(expectedFiles));
     expect(files.length).toBe(expectedFiles.length);
-    expect(fs.promises.readdir).toHaveBeenCalledWith(baseDir, { withFileTypes: true }); // Use fs.promises.readdir
-    expect(fs.promises.readdir).toHaveBeenCalledWith(path.join(baseDir, 'subdir'), { withFileTypes: true }); // Use fs.promises.readdir
-    expect(fs.promises.readdir).toHaveBeenCalledWith(path.join(baseDir, 'subdir', 'trash'), { withFileTypes: true }); // Use fs.promises.readdir
   });
 
   test('should handle empty directories', async () => {
-    fs.promises.readdir.mockResolvedValueOnce([]); // Empty directory // Use fs.promises.readdir
+    await storage.makeDir(baseDir); // Empty directory
     const files = await findJsonFiles(baseDir, baseDir);
     expect(files).toEqual([]);
   });
@@ -151,41 +128,17 @@ describe('findJsonFiles', () => {
 describe('getAllNotes', () => {
   const notesDir = path.resolve(__dirname, 'notes');
 
-  beforeEach(() => {
-    // Reset mocks
-    fs.promises.readdir.mockReset(); // Use fs.promises.readdir
-    fs.promises.readFile.mockReset(); // Use fs.promises.readFile
-    // The top-level path mock should persist, no need to restore or re-mock here.
-  });
-
   test('should return an empty array when no JSON files are found', async () => {
-    // Mock findJsonFiles behavior indirectly via fs.promises.readdir
-    fs.promises.readdir.mockResolvedValue([]); // No files in notes dir // Use fs.promises.readdir
+    await storage.makeDir(notesDir); // No files in notes dir
 
     const notes = await getAllNotes();
     expect(notes).toEqual([]);
   });
 
   test('should correctly parse valid note files', async () => {
-    const file1Path = path.join(notesDir, 'note1.json');
-    const file2Path = path.join(notesDir, 'group1', 'note2.json');
     const file1Relative = 'note1.json';
     const file2Relative = path.join('group1', 'note2.json');
 
-    // Mock readdir for findJsonFiles
-    fs.promises.readdir.mockImplementation(async (dirPath) => { // Use fs.promises.readdir
-      if (dirPath === notesDir) {
-        return [
-          createMockDirent('note1.json', false, true),
-          createMockDirent('group1', true, false),
-        ];
-      } else if (dirPath === path.join(notesDir, 'group1')) {
-        return [createMockDirent('note2.json', false, true)];
-      }
-      return [];
-    });
-
-    // Mock readFile for getAllNotes
     const note1Content = {
       title: "Note 1 Title",
       group: "", // Stored as empty for root
@@ -198,16 +151,14 @@ describe('getAllNotes', () => {
       group: "group1",
       relativePath: file2Relative,
       createdDate: "2023-01-02T10:00:00Z",
+      tags: ["urgent", "client-x"],
+      metadata: { client: "acme", priority: 1 },
       versions: [
         { content: "Content 2 Latest", createdDate: "2023-01-02T12:00:00Z" },
         { content: "Content 2 Old", createdDate: "2023-01-02T11:00:00Z" }
       ]
     };
-    fs.promises.readFile.mockImplementation(async (filePath) => { // Use fs.promises.readFile
-      if (filePath === file1Path) return JSON.stringify(note1Content);
-      if (filePath === file2Path) return JSON.stringify(note2Content);
-      throw new Error('File not found');
-    });
+    await writeFiles({ 'notes/note1.json': note1Content, 'notes/group1/note2.json': note2Content });
 
     const expectedNotes = [
       {
@@ -216,7 +167,9 @@ describe('getAllNotes', () => {
         group: "", // Root group is empty string
         createdDate: "2023-01-01T10:00:00Z",
         modifiedDate: "2023-01-01T11:00:00Z",
-        relativePath: file1Relative
+        relativePath: file1Relative,
+        tags: [],
+        metadata: {}
       },
       {
         title: "Note 2 Title",
@@ -224,37 +177,24 @@ describe('getAllNotes', () => {
         group: "group1",
         createdDate: "2023-01-02T10:00:00Z",
         modifiedDate: "2023-01-02T12:00:00Z",
-        relativePath: file2Relative
+        relativePath: file2Relative,
+        tags: ["urgent", "client-x"],
+        metadata: { client: "acme", priority: 1 }
       }
     ];
 
     const notes = await getAllNotes();
     expect(notes).toEqual(expect.arrayContaining(expectedNotes));
-     expect(notes.length).toBe(expectedNotes.length);
-    expect(fs.promises.readFile).toHaveBeenCalledWith(file1Path, 'utf8'); // Use fs.promises.readFile
-    expect(fs.promises.readFile).toHaveBeenCalledWith(file2Path, 'utf8'); // Use fs.promises.readFile
+    expect(notes.length).toBe(expectedNotes.length);
   });
 
   test('should handle notes with missing or empty versions array', async () => {
-    const file1Path = path.join(notesDir, 'no_versions.json');
-    const file2Path = path.join(notesDir, 'empty_versions.json');
     const file1Relative = 'no_versions.json';
     const file2Relative = 'empty_versions.json';
 
-
-    fs.promises.readdir.mockResolvedValue([ // Use fs.promises.readdir
-      createMockDirent('no_versions.json', false, true),
-      createMockDirent('empty_versions.json', false, true),
-    ]);
-
     const note1Content = { title: "No Versions", group: "", relativePath: file1Relative, createdDate: "2023-01-03T10:00:00Z" }; // No versions key
     const note2Content = { title: "Empty Versions", group: "", relativePath: file2Relative, createdDate: "2023-01-04T10:00:00Z", versions: [] }; // Empty versions array
-
-    fs.promises.readFile.mockImplementation(async (filePath) => { // Use fs.promises.readFile
-      if (filePath === file1Path) return JSON.stringify(note1Content);
-      if (filePath === file2Path) return JSON.stringify(note2Content);
-      throw new Error('File not found');
-    });
+    await writeFiles({ 'notes/no_versions.json': note1Content, 'notes/empty_versions.json': note2Content });
 
     const expectedNotes = [
       {
@@ -263,7 +203,9 @@ describe('getAllNotes', () => {
         group: "",
         createdDate: "2023-01-03T10:00:00Z",
         modifiedDate: undefined, // No version date
-        relativePath: file1Relative
+        relativePath: file1Relative,
+        tags: [],
+        metadata: {}
       },
       {
         title: "Empty Versions",
@@ -271,7 +213,9 @@ describe('getAllNotes', () => {
         group: "",
         createdDate: "2023-01-04T10:00:00Z",
         modifiedDate: undefined, // No version date
-        relativePath: file2Relative
+        relativePath: file2Relative,
+        tags: [],
+        metadata: {}
       }
     ];
 
@@ -281,27 +225,11 @@ describe('getAllNotes', () => {
   });
 
   test('should skip files with invalid JSON content', async () => {
-    const validFilePath = path.join(notesDir, 'valid.json');
     const invalidFilePath = path.join(notesDir, 'invalid.json');
-    const validFileRelative = 'valid.json';
-    const invalidFileRelative = 'invalid.json';
-
-
-    fs.promises.readdir.mockResolvedValue([ // Use fs.promises.readdir
-      createMockDirent('valid.json', false, true),
-      createMockDirent('invalid.json', false, true),
-    ]);
-
     const validNoteContent = {
-      title: "Valid Note", group: "", relativePath: validFileRelative, createdDate: "2023-01-05T10:00:00Z", versions: [{ content: "Valid", createdDate: "2023-01-05T11:00:00Z" }]
+      title: "Valid Note", group: "", relativePath: 'valid.json', createdDate: "2023-01-05T10:00:00Z", versions: [{ content: "Valid", createdDate: "2023-01-05T11:00:00Z" }]
     };
-    const invalidNoteContent = "this is not json";
-
-    fs.promises.readFile.mockImplementation(async (filePath) => { // Use fs.promises.readFile
-      if (filePath === validFilePath) return JSON.stringify(validNoteContent);
-      if (filePath === invalidFilePath) return invalidNoteContent;
-      throw new Error('File not found');
-    });
+    await writeFiles({ 'notes/valid.json': validNoteContent, 'notes/invalid.json': "this is not json" });
 
     // Mock console.error to suppress expected error messages during test
     const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
@@ -313,7 +241,9 @@ describe('getAllNotes', () => {
         group: "",
         createdDate: "2023-01-05T10:00:00Z",
         modifiedDate: "2023-01-05T11:00:00Z",
-        relativePath: validFileRelative
+        relativePath: 'valid.json',
+        tags: [],
+        metadata: {}
       }
     ];
 
@@ -325,27 +255,19 @@ describe('getAllNotes', () => {
   });
 
   test('should skip files that cannot be read', async () => {
-    const readableFilePath = path.join(notesDir, 'readable.json');
     const unreadableFilePath = path.join(notesDir, 'unreadable.json');
-    const readableFileRelative = 'readable.json';
-
-
-    fs.promises.readdir.mockResolvedValue([ // Use fs.promises.readdir
-      createMockDirent('readable.json', false, true),
-      createMockDirent('unreadable.json', false, true),
-    ]);
-
     const readableNoteContent = {
-      title: "Readable Note", group: "", relativePath: readableFileRelative, createdDate: "2023-01-06T10:00:00Z", versions: [{ content: "Readable", createdDate: "2023-01-06T11:00:00Z" }]
+      title: "Readable Note", group: "", relativePath: 'readable.json', createdDate: "2023-01-06T10:00:00Z", versions: [{ content: "Readable", createdDate: "2023-01-06T11:00:00Z" }]
     };
-    const readError = new Error("Permission denied");
+    await writeFiles({ 'notes/readable.json': readableNoteContent, 'notes/unreadable.json': {} });
 
-    fs.promises.readFile.mockImplementation(async (filePath) => { // Use fs.promises.readFile
-      if (filePath === readableFilePath) return JSON.stringify(readableNoteContent);
+    // The memory backend can't deny access, so make reading the one file fail
+    const readError = new Error("Permission denied");
+    const read = storage.read;
+    jest.spyOn(storage, 'read').mockImplementation(async (filePath) => {
       if (filePath === unreadableFilePath) throw readError;
-      throw new Error('File not found');
+      return read(filePath);
     });
-
     const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
 
     const expectedNotes = [
@@ -355,7 +277,9 @@ describe('getAllNotes', () => {
         group: "",
         createdDate: "2023-01-06T10:00:00Z",
         modifiedDate: "2023-01-06T11:00:00Z",
-        relativePath: readableFileRelative
+        relativePath: 'readable.json',
+        tags: [],
+        metadata: {}
       }
     ];
 
@@ -365,4 +289,571 @@ describe('getAllNotes', () => {
 
     consoleErrorSpy.mockRestore();
   });
-});
\ No newline at end of file
+
+  test('should filter by any or all tags and by metadata values', async () => {
+    await writeFiles({
+      'notes/a.json': { title: "A", relativePath: 'a.json', tags: ["urgent", "client-x"], metadata: { client: "acme", priority: 1 }, versions: [] },
+      'notes/b.json': { title: "B", relativePath: 'b.json', tags: ["urgent"], metadata: { client: "globex" }, versions: [] },
+      'notes/c.json': { title: "C", relativePath: 'c.json', versions: [] }, // Written before tags existed
+    });
+
+    const titlesFor = async (filters) => (await getAllNotes(filters)).map(note => note.title).sort();
+
+    expect(await titlesFor({ tags: ["URGENT", "client-x"] })).toEqual(["A", "B"]);
+    expect(await titlesFor({ tags: ["urgent", "client-x"], tagMatch: 'all' })).toEqual(["A"]);
+    expect(await titlesFor({ metadata: { client: "globex" } })).toEqual(["B"]);
+    expect(await titlesFor({ metadata: { priority: "1" } })).toEqual(["A"]); // Query string values compare as strings
+    expect(await titlesFor({ filter: 'tag:urgent AND NOT meta.client=acme' })).toEqual(["B"]);
+  });
+});
+
+describe('getNoteVersions and getNoteVersion', () => {
+  const noteContent = {
+    title: "Plan",
+    group: "Work",
+    relativePath: path.join('Work', 'Plan.json'),
+    createdDate: "2023-02-01T10:00:00Z",
+    versions: [
+      { content: "Third draft", createdDate: "2023-02-03T10:00:00Z" },
+      { content: "Second", createdDate: "2023-02-02T10:00:00Z" },
+      { content: "First", createdDate: "2023-02-01T10:00:00Z" }
+    ]
+  };
+
+  beforeEach(async () => {
+    // determineTargetPath looks up the group folder case-insensitively
+    await writeFiles({ 'notes/Work/Plan.json': noteContent });
+  });
+
+  test('should list versions with dates and sizes, newest first', async () => {
+    const result = await getNoteVersions('Plan', 'work');
+    expect(result).toEqual({
+      title: "Plan",
+      group: "Work",
+      versions: [
+        { index: 0, createdDate: "2023-02-03T10:00:00Z", size: 11 },
+        { index: 1, createdDate: "2023-02-02T10:00:00Z", size: 6 },
+        { index: 2, createdDate: "2023-02-01T10:00:00Z", size: 5 }
+      ]
+    });
+  });
+
+  test('should fetch a version by index', async () => {
+    const version = await getNoteVersion('Plan', 'Work', { index: 1 });
+    expect(version).toEqual(expect.objectContaining({ index: 1, content: "Second" }));
+  });
+
+  test('should fetch the version that was current at a timestamp', async () => {
+    const version = await getNoteVersion('Plan', 'Work', { timestamp: "2023-02-02T18:00:00Z" });
+    expect(version).toEqual(expect.objectContaining({ index: 1, content: "Second" }));
+  });
+
+  test('should throw "not found" for an unknown version or note', async () => {
+    await expect(getNoteVersion('Plan', 'Work', { index: 3 })).rejects.toThrow('not found');
+    await expect(getNoteVersion('Plan', 'Work', { timestamp: "2022-12-31" })).rejects.toThrow('not found');
+    await expect(getNoteVersions('Missing', 'Work')).rejects.toThrow('Note with title "Missing" in group "Work" not found.');
+  });
+});
+
+describe('writing notes', () => {
+  test('should create, update and trash notes without touching the disk, announcing each change', async () => {
+    const events = [];
+    const unsubscribe = subscribe({ user: null }, event => events.push(event));
+
+    await createNotes([{ title: "Plan", group: "Work", content: "First" }]);
+    await createNotes([{ title: "Plan", group: "work", content: "Second" }], { mode: 'update' });
+    expect((await getNoteVersions('Plan', 'Work')).versions.length).toBe(2);
+
+    await deleteNote('Plan', 'Work');
+    expect(await readFile('trash', 'Work', 'Plan.json')).toEqual(expect.objectContaining({ title: "Plan", group: "Work" }));
+    expect(await getAllNotes()).toEqual([]);
+
+    unsubscribe();
+    expect(events.map(event => event.type)).toEqual(['note.created', 'note.updated', 'note.trashed']);
+    expect(events[1].data).toEqual({ title: "Plan", group: "Work", etag: expect.any(String), modifiedDate: expect.any(String), versionCount: 2 });
+    expect(events[2].data).toMatchObject({ title: "Plan", group: "Work", deletedDate: expect.any(String) });
+  });
+
+  test('should announce moves, reverts, restores, imports and permanent deletions', async () => {
+    await createNotes([{ title: "Plan", group: "Work", content: "First" }, { title: "Todo", group: "Home", content: "todo" }]);
+    await createNotes([{ title: "Plan", group: "Work", content: "Second" }], { mode: 'update' });
+    const archive = [];
+    await exportNotes({}, async (name, data) => archive.push({ name, data: Buffer.from(data) }));
+
+    const events = [];
+    const unsubscribe = subscribe({ user: null }, event => events.push(event));
+
+    await revertNote('Plan', 'Work', { index: 1 });
+    await moveNote('Plan', 'Work', { newTitle: "Roadmap" });
+    await renameGroup('Work', 'Projects');
+    await trashGroup('Projects');
+    await restoreFromTrash([{ title: "Roadmap", group: "Projects" }]);
+    await deleteNote('Todo', 'Home');
+    await deleteFromTrash([{ title: "Todo", group: "Home" }]);
+    await deleteNote('Roadmap', 'Projects');
+    await purgeExpiredTrash(1, new Date(Date.now() + 2 * 24 * 60 * 60 * 1000));
+    await importNotes(archive, { onConflict: 'rename' });
+
+    unsubscribe();
+    expect(events.map(event => event.type)).toEqual([
+      'note.updated', 'note.moved', 'group.moved', 'group.trashed', 'note.restored',
+      'note.trashed', 'note.deleted', 'note.trashed', 'note.deleted', 'note.created', 'note.created'
+    ]);
+    expect(events[0].data).toMatchObject({ title: "Plan", group: "Work", versionCount: 3 });
+    expect(events[1].data).toMatchObject({ title: "Roadmap", group: "Work", previousTitle: "Plan", previousGroup: "Work" });
+    expect(events[2].data).toEqual({ group: "Projects", previousGroup: "Work", movedCount: 1 });
+    expect(events[3].data).toEqual({ group: "Projects", trashedCount: 1, deletedDate: expect.any(String) });
+    expect(events[4].data).toMatchObject({ title: "Roadmap", group: "Projects", status: 'restored', etag: expect.any(String) });
+    expect(events[6].data).toEqual({ title: "Todo", group: "Home" });
+    expect(events[8].data).toEqual({ title: "Roadmap", group: "Projects", deletedDate: expect.any(String), expired: true });
+    expect(events.slice(9).map(event => event.data.title).sort()).toEqual(["Plan", "Todo"]);
+  });
+
+  test('should refuse to create an existing note or update a missing one, depending on the mode', async () => {
+    await createNotes([{ title: "Plan", group: "Work", content: "First" }]);
+
+    const created = await createNotes([{ title: "Plan", group: "Work", content: "Again" }, { title: "Todo", content: "todo" }], { mode: 'create' });
+    expect(created.processed).toEqual([expect.objectContaining({ title: "Todo", status: 'created' })]);
+    expect(created.skipped).toEqual([expect.objectContaining({ code: 'exists', reason: 'Note "Plan" already exists in group "Work".' })]);
+
+    const updated = await createNotes([{ title: "Missing", group: "Work", content: "New" }, { title: "Plan", group: "Work", content: "Second" }], { mode: 'update' });
+    expect(updated.processed).toEqual([expect.objectContaining({ title: "Plan", status: 'updated' })]);
+    expect(updated.skipped).toEqual([expect.objectContaining({ code: 'not_found', reason: 'Note with title "Missing" in group "Work" not found.' })]);
+    expect(await exists('notes', 'Work', 'Missing.json')).toBe(false);
+
+    expect((await getNoteVersions('Plan', 'Work')).versions).toHaveLength(2);
+  });
+
+  test('should refuse to overwrite a note file that cannot be parsed', async () => {
+    await writeFiles({ 'notes/Work/Plan.json': '{ "title": "Plan", "versions": [' });
+
+    for (const mode of ['upsert', 'update']) {
+      const result = await createNotes([{ title: "Plan", group: "Work", content: "New" }], { mode });
+      expect(result.processed).toEqual([]);
+      expect(result.skipped).toEqual([
+        { title: "Plan", group: "Work", code: 'corrupt', reason: `Note file "${path.join('Work', 'Plan.json')}" is corrupt and will not be overwritten.` }
+      ]);
+    }
+    expect(await storage.read(path.resolve(__dirname, 'notes', 'Work', 'Plan.json'))).toBe('{ "title": "Plan", "versions": [');
+  });
+});
+
+describe('renameGroup and trashGroup', () => {
+  beforeEach(async () => {
+    await writeFiles({
+      'notes/Work/Plan.json': note("Plan", "Work", "plan"),
+      'notes/Work/Q4/Goals.json': note("Goals", path.join("Work", "Q4"), "goals"),
+      'notes/Home/Todo.json': note("Todo", "Home", "todo"),
+    });
+  });
+
+  test('should move a group with its subgroups and rewrite the group of every note', async () => {
+    const result = await renameGroup("work", "Archive/2025");
+
+    expect(result).toEqual({
+      message: `Group "Work" moved to "${path.join('Archive', '2025')}" successfully. 2 note(s) updated. 0 skipped.`,
+      group: path.join('Archive', '2025'),
+      previousGroup: 'Work',
+      movedCount: 2,
+      skipped: []
+    });
+    expect(await exists('notes', 'Work')).toBe(false);
+    expect(await readFile('notes', 'Archive', '2025', 'Q4', 'Goals.json')).toMatchObject({
+      group: path.join('Archive', '2025', 'Q4'),
+      relativePath: path.join('Archive', '2025', 'Q4', 'Goals.json')
+    });
+    expect((await getAllNotes()).map(entry => entry.group).sort()).toEqual([path.join('Archive', '2025'), path.join('Archive', '2025', 'Q4'), 'Home']);
+  });
+
+  test('should refuse to move a group into itself or onto an existing group', async () => {
+    await expect(renameGroup("work", "Work")).rejects.toThrow('Group "Work" cannot be moved into itself.'); // Nothing to rename
+    await expect(renameGroup("Work", "Work/Q4/Old")).rejects.toThrow('Group "Work" cannot be moved into itself.');
+    await expect(renameGroup("Work", "home")).rejects.toThrow('Group "Home" already exists.');
+    await expect(renameGroup("Work", "Trash/Work")).rejects.toThrow('not allowed');
+    await expect(renameGroup("Missing", "Other")).rejects.toThrow('Group "Missing" not found.');
+    expect(await exists('notes', 'Work', 'Q4', 'Goals.json')).toBe(true);
+  });
+
+  test('should rename a group whose new name differs only in case', async () => {
+    const result = await renameGroup("Work", "WORK");
+
+    expect(result).toMatchObject({ group: 'WORK', previousGroup: 'Work', movedCount: 2, skipped: [] });
+    expect((await storage.list(path.resolve(__dirname, 'notes'))).map(entry => entry.name).sort()).toEqual(['Home', 'WORK']);
+    expect(await readFile('notes', 'WORK', 'Plan.json')).toMatchObject({ group: 'WORK', relativePath: path.join('WORK', 'Plan.json') });
+
+    // A subgroup keeps the casing of its parents
+    expect(await renameGroup("work/q4", "work/q4")).toMatchObject({ group: path.join('WORK', 'q4'), previousGroup: path.join('WORK', 'Q4') });
+  });
+
+  test('should report the notes whose file could not be updated', async () => {
+    await writeFiles({ 'notes/Work/Broken.json': '{ not json' });
+
+    const result = await renameGroup("Work", "Done");
+
+    expect(result.movedCount).toBe(3);
+    expect(result.message).toBe('Group "Work" moved to "Done" successfully. 2 note(s) updated. 1 skipped.');
+    expect(result.skipped).toEqual([{ file: path.join('Done', 'Broken.json'), reason: expect.stringContaining('Failed to update note file') }]);
+    expect(await storage.read(path.resolve(__dirname, 'notes', 'Done', 'Broken.json'))).toBe('{ not json');
+  });
+
+  test('should move a group to the trash with its subgroups, recording where its notes came from', async () => {
+    const result = await trashGroup("work");
+
+    expect(result).toEqual({ message: 'Group "Work" moved to trash successfully. 2 note(s) trashed.', trashedCount: 2 });
+    expect(await exists('notes', 'Work')).toBe(false);
+    expect(await readFile('trash', 'Work', 'Q4', 'Goals.json')).toMatchObject({
+      title: "Goals", originalGroup: path.join('Work', 'Q4'), deletedDate: expect.any(String)
+    });
+    expect((await getAllNotes(null, true)).map(entry => entry.title).sort()).toEqual(['Goals', 'Plan']);
+    await expect(trashGroup("Work")).rejects.toThrow('Group "Work" not found.');
+    await expect(trashGroup("Trash")).rejects.toThrow('not allowed');
+  });
+});
+
+describe('version retention', () => {
+  const lines = (changes = {}) => Array.from({ length: 10 }, (_, i) => changes[i] || `line ${i}`).join('\n');
+  const noteFile = path.resolve(__dirname, 'notes', 'Work', 'Plan.json');
+
+  beforeEach(() => {
+    process.env.VERSIONS_KEEP_LAST = '2';
+  });
+
+  afterEach(() => {
+    delete process.env.VERSIONS_KEEP_LAST;
+  });
+
+  test('should trim old versions and store the older ones as deltas, reading them back in full', async () => {
+    await createNotes([{ title: "Plan", group: "Work", content: lines() }]);
+    await createNotes([{ title: "Plan", group: "Work", content: lines({ 4: 'changed' }) }], { mode: 'update' });
+    await createNotes([{ title: "Plan", group: "Work", content: lines({ 4: 'changed', 7: 'also changed' }) }], { mode: 'update' });
+
+    const stored = await readFile(noteFile);
+    expect(stored.versions).toHaveLength(2);
+    expect(stored.versions[0].content).toBe(lines({ 4: 'changed', 7: 'also changed' }));
+    expect(stored.versions[1]).toEqual({ delta: expect.any(Array), createdDate: expect.any(String) });
+
+    expect((await getNoteVersion('Plan', 'Work', { index: 1 })).content).toBe(lines({ 4: 'changed' }));
+    expect((await getNoteVersions('Plan', 'Work')).versions).toHaveLength(2);
+  });
+
+  test('should only report what compaction would change in a dry run', async () => {
+    const versions = [3, 2, 1, 0].map(day => ({ content: lines({ 0: `day ${day}` }), createdDate: `2023-01-0${day + 1}T10:00:00Z` }));
+    await writeFiles({ 'notes/Work/Plan.json': { title: "Plan", group: "Work", createdDate: "2023-01-01T10:00:00Z", versions } });
+    const before = await storage.read(noteFile);
+
+    const dryRun = await compactNotes({ dryRun: true });
+    expect(dryRun).toMatchObject({ dryRun: true, scanned: 1, compacted: 1, versionsRemoved: 2 });
+    expect(dryRun.sizeAfter).toBeLessThan(dryRun.sizeBefore);
+    expect(await storage.read(noteFile)).toBe(before);
+
+    expect(await compactNotes()).toMatchObject({ dryRun: false, compacted: 1, versionsRemoved: 2, sizeAfter: dryRun.sizeAfter });
+    expect((await getNoteVersion('Plan', 'Work', { index: 1 })).content).toBe(lines({ 0: 'day 2' }));
+    expect(await compactNotes({ dryRun: true })).toMatchObject({ compacted: 0 });
+  });
+});
+
+describe('restoreFromTrash', () => {
+  beforeEach(async () => {
+    await writeFiles({
+      'notes/Work/Plan.json': note("Plan", "Work", "live"),
+      'trash/Work/Plan.json': note("Plan", "Work", "trashed", { deletedDate: "2023-02-01T10:00:00Z", originalGroup: "Work" }),
+      'trash/Work/Ideas.json': note("Ideas", "Work", "ideas", { deletedDate: "2023-02-01T10:00:00Z", originalGroup: "Work" }),
+    });
+  });
+
+  test('should leave a note in the trash when a live note has its title (fail)', async () => {
+    const result = await restoreFromTrash([{ group: "work" }]);
+
+    expect(result.message).toBe('1 note(s) restored successfully. 1 skipped.');
+    expect(result.restored).toEqual([{ title: "Ideas", group: "Work", status: 'restored' }]);
+    expect(result.skipped).toEqual([{ title: "Plan", group: "Work", reason: 'Note "Plan" already exists in group "Work".' }]);
+    expect(await exists('trash', 'Work', 'Plan.json')).toBe(true);
+    expect((await readFile('notes', 'Work', 'Plan.json')).versions[0].content).toBe("live");
+
+    const ideas = await readFile('notes', 'Work', 'Ideas.json');
+    expect(ideas).toMatchObject({ title: "Ideas", group: "Work", versions: [{ content: "ideas" }] });
+    expect(ideas).not.toHaveProperty('deletedDate');
+    expect(ideas).not.toHaveProperty('originalGroup');
+  });
+
+  test('should restore under a new title (rename)', async () => {
+    const result = await restoreFromTrash([{ title: "Plan", group: "Work" }], 'rename');
+
+    expect(result.restored).toEqual([{ title: "Plan (restored)", group: "Work", status: 'renamed' }]);
+    expect(await readFile('notes', 'Work', 'Plan (restored).json')).toMatchObject({
+      title: "Plan (restored)", relativePath: path.join('Work', 'Plan (restored).json'), versions: [{ content: "trashed" }]
+    });
+    expect((await readFile('notes', 'Work', 'Plan.json')).versions[0].content).toBe("live");
+    expect(await exists('trash', 'Work', 'Plan.json')).toBe(false);
+  });
+
+  test('should pick another title if the new one is taken while restoring (rename)', async () => {
+    // Another request writes "Plan (restored)" right after the restore found the title free
+    const takenFile = path.resolve(__dirname, 'notes', 'Work', 'Plan (restored).json');
+    const storageExists = storage.exists;
+    let taken = false;
+    jest.spyOn(storage, 'exists').mockImplementation(async (target) => {
+      const found = await storageExists(target);
+      if (target === takenFile && !taken) {
+        taken = true;
+        await writeFiles({ 'notes/Work/Plan (restored).json': note("Plan (restored)", "Work", "other") });
+      }
+      return found;
+    });
+
+    const result = await restoreFromTrash([{ title: "Plan", group: "Work" }], 'rename');
+
+    expect(result.restored).toEqual([{ title: "Plan (restored 2)", group: "Work", status: 'renamed' }]);
+    expect((await readFile('notes', 'Work', 'Plan (restored).json')).versions[0].content).toBe("other");
+    expect((await readFile('notes', 'Work', 'Plan (restored 2).json')).versions[0].content).toBe("trashed");
+  });
+
+  test('should add the trashed content as the newest version of the live note (overwrite)', async () => {
+    const result = await restoreFromTrash([{ title: "Plan", group: "Work" }], 'overwrite');
+
+    expect(result.restored).toEqual([{ title: "Plan", group: "Work", status: 'overwritten' }]);
+    expect((await readFile('notes', 'Work', 'Plan.json')).versions.map(version => version.content)).toEqual(["trashed", "live"]);
+    expect(await exists('trash', 'Work', 'Plan.json')).toBe(false);
+    expect(await exists('trash', 'Work', 'Ideas.json')).toBe(true);
+  });
+
+  test('should skip targets that are not in the trash', async () => {
+    const result = await restoreFromTrash([{ title: "Missing", group: "Work" }, { group: "Nowhere" }, {}]);
+
+    expect(result.restored).toEqual([]);
+    expect(result.skipped).toEqual([
+      { title: "Missing", group: "Work", reason: 'Note with title "Missing" in group "Work" not found in trash.' },
+      { group: "Nowhere", reason: 'Group "Nowhere" not found in trash.' },
+      { title: undefined, group: undefined, reason: 'Invalid restore target: either title or group is required.' }
+    ]);
+  });
+});
+
+describe('moveNote', () => {
+  beforeEach(async () => {
+    await writeFiles({
+      'notes/Work/Plan.json': note("Plan", "Work", "plan"),
+      'notes/Home/Todo.json': note("Todo", "Home", "todo"),
+    });
+  });
+
+  test('should move a note to another group, creating it, and keep its history', async () => {
+    const result = await moveNote("Plan", "work", { newGroup: "Archive/2023" });
+
+    expect(result).toMatchObject({ title: "Plan", group: path.join('Archive', '2023'), previousTitle: "Plan", previousGroup: "Work", etag: expect.any(String) });
+    expect(await exists('notes', 'Work', 'Plan.json')).toBe(false);
+    expect(await readFile('notes', 'Archive', '2023', 'Plan.json')).toMatchObject({
+      group: path.join('Archive', '2023'), relativePath: path.join('Archive', '2023', 'Plan.json'), versions: [{ content: "plan" }]
+    });
+  });
+
+  test('should rename a note in its group, refusing titles that are taken', async () => {
+    expect(await moveNote("Plan", "Work", { newTitle: "Roadmap" })).toMatchObject({ title: "Roadmap", group: "Work", previousTitle: "Plan" });
+    expect(await exists('notes', 'Work', 'Roadmap.json')).toBe(true);
+    expect(await exists('notes', 'Work', 'Plan.json')).toBe(false);
+
+    await expect(moveNote("Todo", "Home", { newTitle: "Roadmap", newGroup: "Work" })).rejects.toThrow('A note with title "Roadmap" already exists in group "Work".');
+    await expect(moveNote("Todo", "Home", { newGroup: "Trash" })).rejects.toThrow('not allowed');
+    await expect(moveNote("Missing", "Home", { newTitle: "Other" })).rejects.toThrow('not found');
+    expect(await moveNote("Todo", "Home", { newGroup: "home" })).toMatchObject({ message: 'Note "Todo" is already in group "Home".' });
+  });
+
+  test('should only move a note whose ETag matches If-Match', async () => {
+    const { etag } = await moveNote("Plan", "Work", { newTitle: "Plan" }); // Already there: only reports the ETag
+
+    await expect(moveNote("Plan", "Work", { newTitle: "Roadmap", ifMatch: '"stale"' })).rejects.toThrow('Precondition failed: note "Plan" has changed since it was read.');
+    expect(await exists('notes', 'Work', 'Plan.json')).toBe(true);
+
+    expect(await moveNote("Plan", "Work", { newTitle: "Roadmap", ifMatch: etag })).toMatchObject({ title: "Roadmap" });
+    expect(await moveNote("Todo", "Home", { newGroup: "Work", ifMatch: '*' })).toMatchObject({ group: "Work" });
+  });
+});
+
+describe('exportNotes and importNotes', () => {
+  const exportArchive = async (options) => {
+    const files = [];
+    await exportNotes(options, async (name, data) => files.push({ name, data: Buffer.from(data) }));
+    return files;
+  };
+
+  beforeEach(async () => {
+    await writeFiles({
+      'notes/Work/Plan.json': note("Plan", "Work", ["Second", "First"]),
+      'notes/Home/Todo.json': note("Todo", "Home", "todo"),
+      'trash/Old.json': note("Old", "", "old", { deletedDate: "2023-02-01T10:00:00Z", originalGroup: "" }),
+    });
+  });
+
+  test('should export a manifest and the selected notes, with or without their history', async () => {
+    const files = await exportArchive({ groups: ["Work"], includeVersions: false });
+
+    expect(files.map(file => file.name)).toEqual(['manifest.json', 'notes/Work/Plan.json']);
+    expect(JSON.parse(files[0].data)).toMatchObject({ groups: ["Work"], includeTrash: false, includeVersions: false });
+    expect(JSON.parse(files[1].data).versions).toEqual([{ content: "Second", createdDate: "2023-01-02T10:00:00Z" }]);
+
+    expect((await exportArchive({ includeTrash: true })).map(file => file.name).sort())
+      .toEqual(['manifest.json', 'notes/Home/Todo.json', 'notes/Work/Plan.json', 'trash/Old.json']);
+  });
+
+  test('should import an archive into an empty notebook, trash included', async () => {
+    const files = await exportArchive({ includeTrash: true });
+    storage = useStorage(createMemoryStorage(__dirname));
+
+    const result = await importNotes(files);
+
+    expect(result.message).toBe('3 note(s) created, 0 updated, 0 renamed, 0 skipped.');
+    expect(result.processed).toContainEqual(expect.objectContaining({ title: "Old", group: "", area: 'trash', status: 'created' }));
+    expect((await getNoteVersions('Plan', 'Work')).versions).toHaveLength(2);
+    expect(await readFile('trash', 'Old.json')).toMatchObject({ deletedDate: "2023-02-01T10:00:00Z" });
+  });
+
+  test('should skip, add a version to or rename notes that already exist', async () => {
+    const files = await exportArchive({ groups: ["Work"] });
+    const changed = files.map(file => file.name === 'notes/Work/Plan.json'
+      ? { ...file, data: Buffer.from(JSON.stringify(note("Plan", "Work", ["Third", "Second", "First"]))) }
+      : file);
+
+    expect((await importNotes(changed)).skipped).toEqual([{ entry: 'notes/Work/Plan.json', reason: 'Note "Plan" already exists in group "Work".' }]);
+    expect((await importNotes(files, { onConflict: 'new-version' })).skipped).toEqual([
+      { entry: 'notes/Work/Plan.json', reason: 'Note "Plan" in group "Work" is unchanged.' }
+    ]);
+
+    expect((await importNotes(changed, { onConflict: 'new-version' })).processed).toEqual([expect.objectContaining({ title: "Plan", status: 'updated' })]);
+    expect((await readFile('notes', 'Work', 'Plan.json')).versions[0].content).toBe("Third");
+    expect((await getNoteVersions('Plan', 'Work')).versions).toHaveLength(3);
+
+    expect((await importNotes(files, { onConflict: 'rename' })).processed).toEqual([expect.objectContaining({ title: "Plan (imported)", status: 'renamed' })]);
+    expect((await getNoteVersions('Plan (imported)', 'Work')).versions).toHaveLength(2);
+  });
+
+  test('should only report the outcome of a dry run', async () => {
+    const files = await exportArchive({ includeTrash: true });
+    files.push({ name: 'notes/readme.txt', data: Buffer.from('hello') });
+
+    const result = await importNotes(files, { onConflict: 'rename', dryRun: true });
+
+    expect(result.message).toBe('Dry run: 0 note(s) created, 0 updated, 3 renamed, 1 skipped.');
+    expect(result.skipped).toEqual([{ entry: 'notes/readme.txt', reason: 'Not a note file.' }]);
+    expect(await exists('notes', 'Work', 'Plan (imported).json')).toBe(false);
+  });
+
+  test('should refuse archives without a manifest from an export', async () => {
+    await expect(importNotes([{ name: 'notes/Plan.json', data: Buffer.from('{}') }])).rejects.toThrow('Invalid archive');
+    await expect(importNotes([{ name: 'manifest.json', data: Buffer.from('{"format":"zip"}') }])).rejects.toThrow('Invalid archive');
+  });
+});
+
+describe('purgeExpiredTrash', () => {
+  const now = new Date("2023-03-01T12:00:00Z");
+
+  beforeEach(async () => {
+    await writeFiles({
+      'trash/Work/Old.json': note("Old", "Work", "old", { deletedDate: "2023-01-15T12:00:00Z" }),
+      'trash/Work/Recent.json': note("Recent", "Work", "recent", { deletedDate: "2023-02-20T12:00:00Z" }),
+      'trash/Home/Undated.json': note("Undated", "Home", "undated"),
+      'trash/Home/Broken.json': '{ not json',
+    });
+  });
+
+  test('should permanently delete notes trashed longer ago than the retention period', async () => {
+    const result = await purgeExpiredTrash(30, now);
+
+    expect(result.purged).toEqual([{ title: "Old", group: "Work", deletedDate: "2023-01-15T12:00:00Z" }]);
+    expect(await exists(trashFile('Work', 'Old.json'))).toBe(false);
+    expect(await exists(trashFile('Work', 'Recent.json'))).toBe(true);
+    expect(await storage.read(trashFile('Home', 'Broken.json'))).toBe('{ not json'); // Never deleted without a date
+  });
+
+  test('should date undated notes so their retention period starts now', async () => {
+    const result = await purgeExpiredTrash(1, now);
+
+    expect(result.dated).toBe(1);
+    expect(result.purged.map(entry => entry.title).sort()).toEqual(["Old", "Recent"]);
+    expect(await readFile(trashFile('Home', 'Undated.json'))).toMatchObject({ deletedDate: now.toISOString(), originalGroup: "Home" });
+
+    const later = new Date(now.getTime() + 2 * 24 * 60 * 60 * 1000);
+    expect(await purgeExpiredTrash(1, later)).toEqual({ purged: [{ title: "Undated", group: "Home", deletedDate: now.toISOString() }], dated: 0 });
+    expect(await exists(trashFile('Work'))).toBe(false); // Emptied groups are pruned
+  });
+
+  test('should do nothing without a trash', async () => {
+    await storage.remove(trashFile(), { recursive: true });
+
+    expect(await purgeExpiredTrash(30, now)).toEqual({ purged: [], dated: 0 });
+  });
+});
+
+describe('deleteFromTrash', () => {
+  beforeEach(async () => {
+    const trashed = { deletedDate: "2023-02-01T10:00:00Z" };
+    await writeFiles({
+      'trash/Work/Plan.json': note("Plan", "Work", "old plan", trashed),
+      'trash/Work/Untitled.json': note(undefined, "Work", "draft", trashed),
+      'trash/Work/Renamed.json': note("Original Title", "Work", "draft", trashed),
+      'trash/Home/Todo.json': note("Todo", "Home", "keep", trashed),
+    });
+  });
+
+  test('should delete the given notes and whole groups', async () => {
+    const result = await deleteFromTrash([{ title: "Plan", group: "work" }, { group: "Home" }]);
+
+    expect(result.deleted).toEqual([
+      { title: "Plan", group: "Work", file: 'Work/Plan.json' },
+      { title: "Todo", group: "Home", file: 'Home/Todo.json' }
+    ]);
+    expect(result.skipped).toEqual([]);
+    expect(await exists(trashFile('Work', 'Plan.json'))).toBe(false);
+    expect(await exists(trashFile('Home'))).toBe(false); // Emptied groups are pruned
+    expect(await exists(trashFile('Work', 'Renamed.json'))).toBe(true);
+  });
+
+  test('should delete exactly the files of the notes matching the filters', async () => {
+    // One note has no title and another a title that differs from its file name; neither may widen the selection
+    const result = await deleteFromTrash([], { filters: { content: "draft" } });
+
+    expect(result.deleted.map(item => item.file).sort()).toEqual(['Work/Renamed.json', 'Work/Untitled.json']);
+    expect(await exists(trashFile('Work', 'Plan.json'))).toBe(true);
+    expect(await exists(trashFile('Home', 'Todo.json'))).toBe(true);
+  });
+
+  test('should only report what a dry run would delete', async () => {
+    const result = await deleteFromTrash([{ group: "Work" }], { dryRun: true });
+
+    expect(result.dryRun).toBe(true);
+    expect(result.deleted).toHaveLength(3);
+    expect(result.message).toBe('Dry run: 3 note(s) would be permanently deleted. 0 skipped.');
+    expect(await exists(trashFile('Work', 'Plan.json'))).toBe(true);
+  });
+
+  test('should skip targets that are not in the trash', async () => {
+    const result = await deleteFromTrash([{ title: "Missing", group: "Work" }, { group: "Nowhere" }, {}]);
+
+    expect(result.deleted).toEqual([]);
+    expect(result.skipped).toEqual([
+      { title: "Missing", group: "Work", reason: 'Note with title "Missing" in group "Work" not found in trash.' },
+      { group: "Nowhere", reason: 'Group "Nowhere" not found in trash.' },
+      { title: undefined, group: undefined, reason: 'Invalid restore target: either title or group is required.' }
+    ]);
+  });
+
+  test('should skip a note that disappears before it is deleted', async () => {
+    const remove = storage.remove;
+    jest.spyOn(storage, 'remove').mockImplementation(async (target, options) => {
+      if (target === trashFile('Work', 'Plan.json')) {
+        throw Object.assign(new Error('ENOENT: gone'), { code: 'ENOENT' });
+      }
+      return remove(target, options);
+    });
+
+    const result = await deleteFromTrash([{ title: "Plan", group: "Work" }]);
+
+    expect(result.deleted).toEqual([]);
+    expect(result.skipped).toEqual([{ title: "Plan", group: "Work", reason: 'Note with title "Plan" in group "Work" not found in trash.' }]);
+  });
+
+  test('should match nothing when there is no trash', async () => {
+    await storage.remove(trashFile(), { recursive: true });
+
+    expect(await deleteFromTrash([], { filters: { content: "draft" } })).toMatchObject({ deleted: [], skipped: [] });
+  });
+});
@@ -0,0 +1,160 @@
+// Helpers for reading note listing options from the query string and sorting/paging the results
+
+const SORT_FIELDS = ['title', 'createdDate', 'modifiedDate', 'group'];
+const LIST_FILTERS = ['groups', 'titles', 'tags'];
+const VALUE_FILTERS = ['createdBefore', 'createdAfter', 'modifiedBefore', 'modifiedAfter', 'title', 'content', 'filter', 'tagMatch'];
+const MAX_LIMIT = 1000;
+
+function invalidQuery(message) {
+    return new TypeError(`Invalid query parameter: ${message}`);
+}
+
+// Query values can be repeated (?groups=a&groups=b), which the query parser turns into an array
+function toList(value) {
+    return (Array.isArray(value) ? value : [value]).filter(item => typeof item === 'string' && item !== '');
+}
+
+function parseNonNegativeInteger(value, name) {
+    if (value === undefined || value === '') return undefined;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+        throw invalidQuery(`${name} must be a non-negative integer.`);
+    }
+    return parsed;
+}
+
+/**
+ * Reads filters, sorting and paging options for GET /notes from the query string.
+ * @param {object} query - The parsed query string (req.query).
+ * @returns {{ filters: object, viewTrash?: boolean, sort?: string, order: 'asc' | 'desc', limit?: number, offset?: number, cursor?: string }}
+ */
+function parseNotesQuery(query = {}) {
+    const filters = {};
+    for (const name of LIST_FILTERS) {
+        if (query[name] !== undefined) filters[name] = toList(query[name]);
+    }
+    for (const name of VALUE_FILTERS) {
+        if (typeof query[name] === 'string' && query[name] !== '') filters[name] = query[name];
+    }
+    if (filters.tagMatch && !['any', 'all'].includes(filters.tagMatch)) {
+        throw invalidQuery('tagMatch must be any or all.');
+    }
+    // Metadata filters are written as metadata.<key>=<value>
+    for (const [name, value] of Object.entries(query)) {
+        if (name.startsWith('metadata.') && name.length > 'metadata.'.length && typeof value === 'string') {
+            filters.metadata = { ...filters.metadata, [name.slice('metadata.'.length)]: value };
+        }
+    }
+
+    let viewTrash;
+    if (query.deleted !== undefined) {
+        if (!['true', 'false'].includes(query.deleted)) throw invalidQuery('deleted must be true or false.');
+        viewTrash = query.deleted === 'true';
+    }
+
+    // "sort=-title" is shorthand for "sort=title&order=desc"
+    let sort = typeof query.sort === 'string' && query.sort !== '' ? query.sort : undefined;
+    let order = query.order || 'asc';
+    if (sort && sort.startsWith('-')) {
+        sort = sort.slice(1);
+        order = 'desc';
+    }
+    if (sort && !SORT_FIELDS.includes(sort)) {
+        throw invalidQuery(`sort must be one of ${SORT_FIELDS.join(', ')}.`);
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        throw invalidQuery('order must be asc or desc.');
+    }
+
+    const limit = parseNonNegativeInteger(query.limit, 'limit');
+    if (limit !== undefined && (limit < 1 || limit > MAX_LIMIT)) {
+        throw invalidQuery(`limit must be between 1 and ${MAX_LIMIT}.`);
+    }
+    const offset = parseNonNegativeInteger(query.offset, 'offset');
+    const cursor = typeof query.cursor === 'string' && query.cursor !== '' ? query.cursor : undefined;
+    if (cursor && offset !== undefined) {
+        throw invalidQuery('use either offset or cursor, not both.');
+    }
+
+    return { filters, viewTrash, sort, order, limit, offset, cursor };
+}
+
+function sortValue(note, sort) {
+    const value = note[sort];
+    if (sort === 'createdDate' || sort === 'modifiedDate') {
+        const time = new Date(value).getTime();
+        return isNaN(time) ? -Infinity : time; // Notes without a valid date sort first
+    }
+    return (value || '').toLowerCase();
+}
+
+// Orders by the sort field, then by relativePath so the order is total and cursors stay stable
+function compareNotes(a, b, sort, order) {
+    let result = 0;
+    if (sort) {
+        const valueA = sortValue(a, sort);
+        const valueB = sortValue(b, sort);
+        result = valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+    }
+    if (result === 0) {
+        result = (a.relativePath || '').localeCompare(b.relativePath || '');
+    }
+    return order === 'desc' ? -result : result;
+}
+
+function encodeCursor(note, sort, order) {
+    return Buffer.from(JSON.stringify({ sort: sort || null, order, value: sort ? sortValue(note, sort) : null, relativePath: note.relativePath }))
+        .toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw invalidQuery('cursor is malformed.');
+    }
+    if (!decoded || decoded.sort !== (sort || null) || decoded.order !== order) {
+        throw invalidQuery('cursor does not match the requested sort order.');
+    }
+    // Rebuild a stand-in note with the same sort position
+    const note = { relativePath: decoded.relativePath };
+    if (sort) {
+        note[sort] = (sort === 'createdDate' || sort === 'modifiedDate')
+            ? (decoded.value === null ? undefined : new Date(decoded.value).toISOString())
+            : decoded.value;
+    }
+    return note;
+}
+
+/**
+ * Sorts notes and cuts out the requested page.
+ * Without a sort field or paging options, the notes are returned untouched.
+ * @param {object[]} notes - The (already filtered) notes.
+ * @param {{ sort?: string, order?: 'asc' | 'desc', limit?: number, offset?: number, cursor?: string }} options - From parseNotesQuery.
+ * @returns {{ notes: object[], total: number, nextCursor: string | null }} - The page, the total before paging, and a cursor for the next page.
+ */
+function sortAndPaginate(notes, { sort, order = 'asc', limit, offset, cursor } = {}) {
+    const total = notes.length;
+    const paging = limit !== undefined || offset !== undefined || cursor !== undefined;
+    if (!sort && !paging) {
+        return { notes, total, nextCursor: null };
+    }
+
+    const sorted = [...notes].sort((a, b) => compareNotes(a, b, sort, order));
+
+    let start = offset || 0;
+    if (cursor) {
+        const after = decodeCursor(cursor, sort, order);
+        start = sorted.findIndex(note => compareNotes(note, after, sort, order) > 0);
+        if (start === -1) start = sorted.length;
+    }
+
+    const end = limit !== undefined ? start + limit : sorted.length;
+    const page = sorted.slice(start, end);
+    const nextCursor = end < sorted.length && page.length > 0 ? encodeCursor(page[page.length - 1], sort, order) : null;
+
+    return { notes: page, total, nextCursor };
+}
+
+module.exports = { invalidQuery, parseNotesQuery, sortAndPaginate };
@@ -0,0 +1,58 @@
+const { parseNotesQuery, sortAndPaginate } = require('./query');
+
+describe('parseNotesQuery', () => {
+  test('should read filters, sorting and paging from the query string', () => {
+    expect(parseNotesQuery({ groups: ['Work', 'Home'], titles: 'plan', createdAfter: '2024-01-01', deleted: 'true', sort: '-modifiedDate', limit: '10' }))
+      .toEqual({
+        filters: { groups: ['Work', 'Home'], titles: ['plan'], createdAfter: '2024-01-01' },
+        viewTrash: true,
+        sort: 'modifiedDate',
+        order: 'desc',
+        limit: 10,
+        offset: undefined,
+        cursor: undefined,
+      });
+  });
+
+  test('should reject invalid options', () => {
+    expect(() => parseNotesQuery({ sort: 'size' })).toThrow('Invalid query parameter');
+    expect(() => parseNotesQuery({ order: 'up' })).toThrow('Invalid query parameter');
+    expect(() => parseNotesQuery({ limit: '0' })).toThrow('Invalid query parameter');
+    expect(() => parseNotesQuery({ offset: '-1' })).toThrow('Invalid query parameter');
+    expect(() => parseNotesQuery({ offset: '2', cursor: 'abc' })).toThrow('Invalid query parameter');
+  });
+});
+
+describe('sortAndPaginate', () => {
+  const notes = [
+    { title: 'Beta', group: 'Work', createdDate: '2024-01-02T00:00:00Z', relativePath: 'Work/Beta.json' },
+    { title: 'alpha', group: 'Home', createdDate: '2024-01-03T00:00:00Z', relativePath: 'Home/alpha.json' },
+    { title: 'Gamma', group: 'Work', createdDate: '2024-01-01T00:00:00Z', relativePath: 'Work/Gamma.json' },
+  ];
+
+  test('should leave notes untouched without sorting or paging', () => {
+    expect(sortAndPaginate(notes, {})).toEqual({ notes, total: 3, nextCursor: null });
+  });
+
+  test('should sort case-insensitively by title and by date', () => {
+    expect(sortAndPaginate(notes, { sort: 'title' }).notes.map(n => n.title)).toEqual(['alpha', 'Beta', 'Gamma']);
+    expect(sortAndPaginate(notes, { sort: 'createdDate', order: 'desc' }).notes.map(n => n.title)).toEqual(['alpha', 'Beta', 'Gamma']);
+  });
+
+  test('should page with offset and with cursors', () => {
+    const byOffset = sortAndPaginate(notes, { sort: 'title', limit: 2, offset: 1 });
+    expect(byOffset.notes.map(n => n.title)).toEqual(['Beta', 'Gamma']);
+    expect(byOffset.total).toBe(3);
+
+    const firstPage = sortAndPaginate(notes, { sort: 'group', limit: 2 });
+    expect(firstPage.notes.map(n => n.title)).toEqual(['alpha', 'Beta']);
+    const secondPage = sortAndPaginate(notes, { sort: 'group', limit: 2, cursor: firstPage.nextCursor });
+    expect(secondPage.notes.map(n => n.title)).toEqual(['Gamma']);
+    expect(secondPage.nextCursor).toBeNull();
+  });
+
+  test('should reject a cursor from a different sort order', () => {
+    const { nextCursor } = sortAndPaginate(notes, { sort: 'title', limit: 1 });
+    expect(() => sortAndPaginate(notes, { sort: 'group', limit: 1, cursor: nextCursor })).toThrow('cursor does not match');
+  });
+});
@@ -0,0 +1,188 @@
+// Renders note content for reading: Markdown source, sanitised HTML or plain text.
+// Content is HTML-escaped before any Markdown is applied, so raw HTML in a note is shown as text, never executed.
+
+const FORMATS = ['json', 'markdown', 'html', 'text'];
+
+const CONTENT_TYPES = {
+    markdown: 'text/markdown; charset=utf-8',
+    html: 'text/html; charset=utf-8',
+    text: 'text/plain; charset=utf-8',
+};
+
+const SAFE_URL_PATTERN = /^(https?:\/\/|mailto:|\/|#|\.{0,2}\/)/i;
+
+/**
+ * Escapes the characters that are significant in HTML text and attribute values.
+ * @param {string} text - The raw text.
+ * @returns {string} - The escaped text.
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Links are only kept for web, mail and relative targets; anything else (javascript:, data:, ...) is dropped
+function renderLink(label, url) {
+    if (!SAFE_URL_PATTERN.test(url)) return renderEmphasis(escapeHtml(label));
+    return `<a href="${escapeHtml(url)}">${renderEmphasis(escapeHtml(label))}</a>`;
+}
+
+// Applies emphasis to already-escaped text
+function renderEmphasis(escaped) {
+    return escaped
+        .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(\S(?:.*?\S)?)__/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*(\S(?:.*?\S)?)\*/g, '$1<em>$2</em>')
+        .replace(/(^|\W)_(\S(?:.*?\S)?)_(?=\W|$)/g, '$1<em>$2</em>')
+        .replace(/~~(\S(?:.*?\S)?)~~/g, '<del>$1</del>');
+}
+
+/**
+ * Renders a single line of Markdown (code spans, links, emphasis) to HTML.
+ * @param {string} text - The Markdown text.
+ * @returns {string} - Sanitised HTML.
+ */
+function renderInline(text) {
+    // Code spans and links are taken out first so their contents aren't treated as emphasis
+    return String(text).split(/(`[^`]+`|\[[^\]]+\]\([^)\s]+\))/).map(part => {
+        let match;
+        if (/^`[^`]+`$/.test(part)) return `<code>${escapeHtml(part.slice(1, -1))}</code>`;
+        if ((match = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/))) return renderLink(match[1], match[2]);
+        return renderEmphasis(escapeHtml(part));
+    }).join('');
+}
+
+/**
+ * Renders Markdown to sanitised HTML. Supports headings, paragraphs, fenced code blocks,
+ * block quotes, ordered and unordered lists, horizontal rules, code spans, emphasis and links.
+ * @param {string} markdown - The Markdown source.
+ * @returns {string} - The HTML fragment.
+ */
+function renderMarkdown(markdown) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let paragraph = [];
+    let list = null; // { tag: 'ul' | 'ol', items: [] }
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            html.push(`<p>${paragraph.map(renderInline).join('<br>\n')}</p>`);
+            paragraph = [];
+        }
+    };
+    const flushList = () => {
+        if (list) {
+            html.push(`<${list.tag}>\n${list.items.map(item => `<li>${renderInline(item)}</li>`).join('\n')}\n</${list.tag}>`);
+            list = null;
+        }
+    };
+    const flush = () => { flushParagraph(); flushList(); };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        let match;
+
+        if ((match = line.match(/^\s*(```|~~~)\s*([\w+-]*)\s*$/))) {
+            flush();
+            const fence = match[1];
+            const code = [];
+            for (i++; i < lines.length && lines[i].trim() !== fence; i++) {
+                code.push(lines[i]);
+            }
+            const languageClass = match[2] ? ` class="language-${escapeHtml(match[2])}"` : '';
+            html.push(`<pre><code${languageClass}>${escapeHtml(code.join('\n'))}</code></pre>`);
+        } else if (line.trim() === '') {
+            flush();
+        } else if ((match = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+            flush();
+            const level = match[1].length;
+            html.push(`<h${level}>${renderInline(match[2])}</h${level}>`);
+        } else if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flush();
+            html.push('<hr>');
+        } else if ((match = line.match(/^\s{0,3}>\s?(.*)$/))) {
+            flush();
+            const quoted = [match[1]];
+            while (i + 1 < lines.length && (match = lines[i + 1].match(/^\s{0,3}>\s?(.*)$/))) {
+                quoted.push(match[1]);
+                i++;
+            }
+            html.push(`<blockquote>\n${renderMarkdown(quoted.join('\n'))}\n</blockquote>`);
+        } else if ((match = line.match(/^\s{0,3}(?:([-*+])|(\d+)[.)])\s+(.*)$/))) {
+            flushParagraph();
+            const tag = match[1] ? 'ul' : 'ol';
+            if (list && list.tag !== tag) flushList();
+            if (!list) list = { tag, items: [] };
+            list.items.push(match[3]);
+        } else if (list && /^\s+\S/.test(line)) {
+            // Indented continuation of the previous list item
+            list.items[list.items.length - 1] += ` ${line.trim()}`;
+        } else {
+            flushList();
+            paragraph.push(line.trim());
+        }
+    }
+    flush();
+
+    return html.join('\n');
+}
+
+// Formats an ISO date for display, e.g. "2026-01-02 10:00:00 UTC"
+function formatDate(isoDate) {
+    const date = new Date(isoDate);
+    return isoDate && !isNaN(date) ? date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC') : 'unknown';
+}
+
+/**
+ * Renders a note (as returned by getNote) in the requested format.
+ * @param {{ title: string, content?: string, createdDate?: string, modifiedDate?: string }} note - The note.
+ * @param {'markdown' | 'html' | 'text'} format - The output format.
+ * @returns {{ contentType: string, body: string }} - The rendered document and its Content-Type.
+ */
+function renderNote(note, format) {
+    const content = note.content || '';
+    const created = formatDate(note.createdDate);
+    const modified = formatDate(note.modifiedDate);
+
+    switch (format) {
+        case 'markdown':
+            return { contentType: CONTENT_TYPES.markdown, body: content };
+        case 'text':
+            return {
+                contentType: CONTENT_TYPES.text,
+                body: `${note.title}\n${'='.repeat(note.title.length)}\nCreated: ${created}\nModified: ${modified}\n\n${content}\n`,
+            };
+        case 'html': {
+            const title = escapeHtml(note.title);
+            const body = [
+                '<!DOCTYPE html>',
+                '<html>',
+                '<head>',
+                '<meta charset="utf-8">',
+                `<title>${title}</title>`,
+                '</head>',
+                '<body>',
+                '<article>',
+                '<header>',
+                `<h1>${title}</h1>`,
+                `<p>Created <time datetime="${escapeHtml(note.createdDate || '')}">${created}</time>` +
+                    ` &middot; Modified <time datetime="${escapeHtml(note.modifiedDate || '')}">${modified}</time></p>`,
+                '</header>',
+                renderMarkdown(content),
+                '</article>',
+                '</body>',
+                '</html>',
+                '',
+            ].join('\n');
+            return { contentType: CONTENT_TYPES.html, body };
+        }
+        default:
+            throw new TypeError(`Unsupported format "${format}".`);
+    }
+}
+
+module.exports = { FORMATS, escapeHtml, renderInline, renderMarkdown, renderNote };
@@ -0,0 +1,59 @@
+const { escapeHtml, renderInline, renderMarkdown, renderNote } = require('./render');
+
+describe('renderMarkdown', () => {
+  test('should render block elements', () => {
+    const html = renderMarkdown("# Title\n\nFirst line\nsecond line\n\n- one\n- two\n\n1. first\n\n> quoted\n\n```js\nconst a = 1;\n```\n\n---");
+    expect(html).toBe([
+      '<h1>Title</h1>',
+      '<p>First line<br>\nsecond line</p>',
+      '<ul>\n<li>one</li>\n<li>two</li>\n</ul>',
+      '<ol>\n<li>first</li>\n</ol>',
+      '<blockquote>\n<p>quoted</p>\n</blockquote>',
+      '<pre><code class="language-js">const a = 1;</code></pre>',
+      '<hr>',
+    ].join('\n'));
+  });
+
+  test('should escape raw HTML instead of passing it through', () => {
+    expect(renderMarkdown('<script>alert("x")</script>')).toBe('<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</p>');
+    expect(renderMarkdown('```\n<b>**not bold**</b>\n```')).toBe('<pre><code>&lt;b&gt;**not bold**&lt;/b&gt;</code></pre>');
+  });
+});
+
+describe('renderInline', () => {
+  test('should render emphasis, code spans and links', () => {
+    expect(renderInline('**bold**, *italic*, `a < b` and [docs](https://example.com/a_b?x=1&y=2)'))
+      .toBe('<strong>bold</strong>, <em>italic</em>, <code>a &lt; b</code> and <a href="https://example.com/a_b?x=1&amp;y=2">docs</a>');
+  });
+
+  test('should drop links with unsafe schemes', () => {
+    expect(renderInline('[click](javascript:void) [pic](data:text/html,x)')).toBe('click pic');
+  });
+});
+
+describe('renderNote', () => {
+  const note = { title: 'Plan <v2>', content: '# Goals\n\nShip it', createdDate: '2026-01-01T10:00:00.000Z', modifiedDate: '2026-01-02T11:30:00.000Z' };
+
+  test('should return the Markdown source as is', () => {
+    expect(renderNote(note, 'markdown')).toEqual({ contentType: 'text/markdown; charset=utf-8', body: note.content });
+  });
+
+  test('should add a title header and dates to plain text', () => {
+    const { contentType, body } = renderNote(note, 'text');
+    expect(contentType).toBe('text/plain; charset=utf-8');
+    expect(body).toBe('Plan <v2>\n=========\nCreated: 2026-01-01 10:00:00 UTC\nModified: 2026-01-02 11:30:00 UTC\n\n# Goals\n\nShip it\n');
+  });
+
+  test('should render an HTML page with an escaped title and the dates', () => {
+    const { contentType, body } = renderNote(note, 'html');
+    expect(contentType).toBe('text/html; charset=utf-8');
+    expect(body).toContain(`<title>${escapeHtml(note.title)}</title>`);
+    expect(body).toContain('<h1>Plan &lt;v2&gt;</h1>');
+    expect(body).toContain('<time datetime="2026-01-02T11:30:00.000Z">2026-01-02 11:30:00 UTC</time>');
+    expect(body).toContain('<h1>Goals</h1>\n<p>Ship it</p>');
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => renderNote(note, 'pdf')).toThrow('Unsupported format "pdf".');
+  });
+});
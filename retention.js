@@ -0,0 +1,52 @@
+// Trash retention: how long trashed notes are kept before the purge job deletes them for good
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the retention period from a setting such as TRASH_RETENTION_DAYS.
+ * @param {string | undefined} value - The configured number of days.
+ * @returns {number | null} - The retention period in days, or null to keep trashed notes forever (unset or 0).
+ * @throws {TypeError} - If the value is not a non-negative number.
+ */
+function parseRetentionDays(value) {
+    if (value === undefined || value.trim() === '') return null;
+    const days = Number(value);
+    if (!Number.isFinite(days) || days < 0) {
+        throw new TypeError(`Invalid trash retention period: ${value}. Use a number of days, or 0 to keep trashed notes forever.`);
+    }
+    return days === 0 ? null : days;
+}
+
+// When a note trashed at deletedDate expires, or null if it never does
+function expiryTime(deletedDate, retentionDays) {
+    const deletedTime = deletedDate ? new Date(deletedDate).getTime() : NaN;
+    if (!retentionDays || isNaN(deletedTime)) return null;
+    return deletedTime + retentionDays * DAY_MS;
+}
+
+/**
+ * Works out how many days a trashed note has left before it is purged.
+ * @param {string | undefined} deletedDate - When the note was trashed (ISO string).
+ * @param {number | null} retentionDays - The retention period.
+ * @param {Date} [now] - The current time.
+ * @returns {number | null} - Whole days left (rounded up, 0 once expired), or null if the note is never purged.
+ */
+function daysLeft(deletedDate, retentionDays, now = new Date()) {
+    const expiry = expiryTime(deletedDate, retentionDays);
+    if (expiry === null) return null;
+    return Math.max(0, Math.ceil((expiry - now.getTime()) / DAY_MS));
+}
+
+/**
+ * Checks whether a trashed note has outlived the retention period.
+ * @param {string | undefined} deletedDate - When the note was trashed (ISO string).
+ * @param {number | null} retentionDays - The retention period.
+ * @param {Date} [now] - The current time.
+ * @returns {boolean}
+ */
+function isExpired(deletedDate, retentionDays, now = new Date()) {
+    const expiry = expiryTime(deletedDate, retentionDays);
+    return expiry !== null && expiry <= now.getTime();
+}
+
+module.exports = { parseRetentionDays, daysLeft, isExpired };
@@ -0,0 +1,38 @@
+const { parseRetentionDays, daysLeft, isExpired } = require('./retention');
+
+describe('parseRetentionDays', () => {
+  test('should read a number of days, treating unset and 0 as keep forever', () => {
+    expect(parseRetentionDays('30')).toBe(30);
+    expect(parseRetentionDays('0.5')).toBe(0.5);
+    expect(parseRetentionDays(undefined)).toBeNull();
+    expect(parseRetentionDays('')).toBeNull();
+    expect(parseRetentionDays('0')).toBeNull();
+  });
+
+  test('should reject values that are not a non-negative number', () => {
+    expect(() => parseRetentionDays('-1')).toThrow('Invalid trash retention period: -1.');
+    expect(() => parseRetentionDays('a week')).toThrow(TypeError);
+  });
+});
+
+describe('daysLeft and isExpired', () => {
+  const now = new Date('2026-03-10T12:00:00.000Z');
+
+  test('should count whole days left, rounding up', () => {
+    expect(daysLeft('2026-03-10T12:00:00.000Z', 30, now)).toBe(30);
+    expect(daysLeft('2026-03-01T00:00:00.000Z', 30, now)).toBe(21);
+    expect(daysLeft('2026-01-01T00:00:00.000Z', 30, now)).toBe(0);
+  });
+
+  test('should only expire notes past the retention period', () => {
+    expect(isExpired('2026-02-08T12:00:00.000Z', 30, now)).toBe(true);
+    expect(isExpired('2026-02-08T12:00:01.000Z', 30, now)).toBe(false);
+  });
+
+  test('should never expire notes without a retention period or deletion date', () => {
+    expect(daysLeft('2026-01-01T00:00:00.000Z', null, now)).toBeNull();
+    expect(daysLeft(undefined, 30, now)).toBeNull();
+    expect(isExpired(undefined, 30, now)).toBe(false);
+    expect(isExpired('2020-01-01T00:00:00.000Z', null, now)).toBe(false);
+  });
+});
@@ -0,0 +1,359 @@
+const storage = require('./storage');
+
+// Bump when the persisted layout changes so old index files get rebuilt instead of misread
+const INDEX_FORMAT_VERSION = 1;
+const FIELD_WEIGHTS = { title: 2, content: 1 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SNIPPET_LENGTH = 200;
+const SAVE_DELAY_MS = 1000;
+
+// Letters, digits and combining marks, so accented words stay in one token until folding
+const TOKEN_PATTERN = /[\p{L}\p{N}\p{M}]+/gu;
+
+let index = null; // null until loadSearchIndex() runs, so updates before startup are ignored
+let indexFilePath = null;
+let saveTimer = null;
+
+// Term maps have no prototype, so words like "constructor" can't collide with Object.prototype
+function createTermMap(entries = {}) {
+    return Object.assign(Object.create(null), entries);
+}
+
+function createEmptyIndex() {
+    return {
+        version: INDEX_FORMAT_VERSION,
+        docs: { notes: {}, trash: {} },
+        terms: { notes: createTermMap(), trash: createTermMap() }
+    };
+}
+
+// Areas other than 'notes' and 'trash' (e.g. users' notes) are added the first time they are used
+function ensureArea(area) {
+    if (!index.docs[area]) {
+        index.docs[area] = {};
+        index.terms[area] = createTermMap();
+    }
+}
+
+/**
+ * Folds a string for matching: strips accents and lowercases.
+ * @param {string} text - The text to fold.
+ * @returns {string} - The folded text.
+ */
+function foldText(text) {
+    return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Splits text into folded tokens, keeping each token's offsets in the original text.
+ * @param {string} text - The text to tokenize.
+ * @returns {{ term: string, start: number, end: number }[]} - The tokens in order.
+ */
+function tokenize(text) {
+    const tokens = [];
+    for (const match of (text || '').matchAll(TOKEN_PATTERN)) {
+        const term = foldText(match[0]);
+        if (term) {
+            tokens.push({ term, start: match.index, end: match.index + match[0].length });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parses a search query into clauses. Supports plain terms, "quoted phrases" and prefix* queries.
+ * All clauses must match for a note to be returned.
+ * @param {string} query - The raw query string.
+ * @returns {{ type: 'term' | 'prefix' | 'phrase', terms: string[] }[]} - The parsed clauses.
+ */
+function parseSearchQuery(query) {
+    const clauses = [];
+    const pattern = /"([^"]*)"?|(\S+)/g;
+
+    for (const match of (query || '').matchAll(pattern)) {
+        if (match[1] !== undefined) {
+            const terms = tokenize(match[1]).map(token => token.term);
+            if (terms.length === 1) clauses.push({ type: 'term', terms });
+            else if (terms.length > 1) clauses.push({ type: 'phrase', terms });
+            continue;
+        }
+
+        const word = match[2];
+        const terms = tokenize(word).map(token => token.term);
+        if (terms.length === 0) continue;
+        if (word.endsWith('*') && terms.length === 1) {
+            clauses.push({ type: 'prefix', terms });
+        } else if (terms.length > 1) {
+            // Words like "e-mail" tokenize into several terms and are matched as a phrase
+            clauses.push({ type: 'phrase', terms });
+        } else {
+            clauses.push({ type: 'term', terms });
+        }
+    }
+
+    if (clauses.length === 0) {
+        throw new TypeError('Invalid search query: it must contain at least one word.');
+    }
+    return clauses;
+}
+
+// Adds or removes the postings of one document in the given area
+function updatePostings(area, relativePath, doc, add) {
+    const terms = index.terms[area];
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+        tokenize(doc[field]).forEach(({ term }, position) => {
+            if (add) {
+                const postings = terms[term] || (terms[term] = {});
+                const entry = postings[relativePath] || (postings[relativePath] = {});
+                (entry[field] || (entry[field] = [])).push(position);
+            } else if (terms[term]) {
+                delete terms[term][relativePath];
+                if (Object.keys(terms[term]).length === 0) delete terms[term];
+            }
+        });
+    }
+}
+
+/**
+ * Adds a note to the index, replacing any previous entry at the same path.
+ * @param {string} area - 'notes' or 'trash', or a user's notes or trash (see spaces.areaKey).
+ * @param {string} relativePath - The note's path relative to its area.
+ * @param {{ title: string, group: string, content: string, modifiedDate?: string }} note - The note's latest data.
+ */
+function indexNote(area, relativePath, note) {
+    if (!index) return;
+    ensureArea(area);
+    removeNote(area, relativePath, false);
+
+    const doc = {
+        title: note.title || '',
+        group: note.group || '',
+        content: note.content || '',
+        modifiedDate: note.modifiedDate,
+        indexedAt: Date.now()
+    };
+    doc.lengths = { title: tokenize(doc.title).length, content: tokenize(doc.content).length };
+    index.docs[area][relativePath] = doc;
+    updatePostings(area, relativePath, doc, true);
+    scheduleSave();
+}
+
+/**
+ * Removes a note from the index.
+ * @param {string} area - 'notes' or 'trash', or a user's notes or trash (see spaces.areaKey).
+ * @param {string} relativePath - The note's path relative to its area.
+ */
+function removeNote(area, relativePath, save = true) {
+    if (!index || !index.docs[area]) return;
+    const doc = index.docs[area][relativePath];
+    if (!doc) return;
+    updatePostings(area, relativePath, doc, false);
+    delete index.docs[area][relativePath];
+    if (save) scheduleSave();
+}
+
+/**
+ * Moves an indexed note to a new path and/or area (e.g. when it is trashed).
+ */
+function moveNote(fromArea, fromRelativePath, toArea, toRelativePath, changes = {}) {
+    if (!index || !index.docs[fromArea]) return;
+    const doc = index.docs[fromArea][fromRelativePath];
+    if (!doc) return;
+    removeNote(fromArea, fromRelativePath, false);
+    indexNote(toArea, toRelativePath, { ...doc, ...changes });
+}
+
+/**
+ * Removes every note of an area from the index (e.g. when the trash is emptied).
+ */
+function clearArea(area) {
+    if (!index) return;
+    index.docs[area] = {};
+    index.terms[area] = createTermMap();
+    scheduleSave();
+}
+
+/**
+ * Returns the indexed paths of an area with the time each was indexed, for reconciling with the disk.
+ * @returns {Map<string, number>} - Relative path to indexedAt (ms).
+ */
+function getIndexedNotes(area) {
+    if (!index || !index.docs[area]) return new Map();
+    return new Map(Object.entries(index.docs[area]).map(([relativePath, doc]) => [relativePath, doc.indexedAt]));
+}
+
+// Per document and field, how often a clause matches
+function matchClause(area, clause) {
+    const terms = index.terms[area];
+    const matches = new Map(); // relativePath -> { title: tf, content: tf }
+
+    const addCounts = (relativePath, field, count) => {
+        if (count === 0) return;
+        const counts = matches.get(relativePath) || {};
+        counts[field] = (counts[field] || 0) + count;
+        matches.set(relativePath, counts);
+    };
+
+    if (clause.type === 'term' || clause.type === 'prefix') {
+        const matchingTerms = clause.type === 'term'
+            ? [clause.terms[0]]
+            : Object.keys(terms).filter(term => term.startsWith(clause.terms[0]));
+        for (const term of matchingTerms) {
+            for (const [relativePath, fields] of Object.entries(terms[term] || {})) {
+                for (const [field, positions] of Object.entries(fields)) {
+                    addCounts(relativePath, field, positions.length);
+                }
+            }
+        }
+        return matches;
+    }
+
+    // Phrase: every term must appear at consecutive positions in the same field
+    const [first, ...rest] = clause.terms;
+    for (const [relativePath, fields] of Object.entries(terms[first] || {})) {
+        for (const [field, positions] of Object.entries(fields)) {
+            const count = positions.filter(start => rest.every((term, offset) =>
+                terms[term]?.[relativePath]?.[field]?.includes(start + offset + 1)
+            )).length;
+            addCounts(relativePath, field, count);
+        }
+    }
+    return matches;
+}
+
+// Wraps matching tokens of text in <mark> tags, optionally cutting a snippet around the first match
+function highlight(text, clauses, maxLength = null) {
+    const exactTerms = new Set(clauses.filter(c => c.type !== 'prefix').flatMap(c => c.terms));
+    const prefixes = clauses.filter(c => c.type === 'prefix').map(c => c.terms[0]);
+    const isMatch = (term) => exactTerms.has(term) || prefixes.some(prefix => term.startsWith(prefix));
+
+    const matchedTokens = tokenize(text).filter(token => isMatch(token.term));
+    let start = 0;
+    let end = text.length;
+    if (maxLength && text.length > maxLength) {
+        const anchor = matchedTokens.length > 0 ? matchedTokens[0].start : 0;
+        start = Math.max(0, anchor - Math.floor(maxLength / 4));
+        end = Math.min(text.length, start + maxLength);
+    }
+
+    let output = '';
+    let cursor = start;
+    for (const token of matchedTokens) {
+        if (token.start < start || token.end > end) continue;
+        output += text.slice(cursor, token.start) + '<mark>' + text.slice(token.start, token.end) + '</mark>';
+        cursor = token.end;
+    }
+    output += text.slice(cursor, end);
+
+    return (start > 0 ? '…' : '') + output.trim() + (end < text.length ? '…' : '');
+}
+
+/**
+ * Runs a ranked full-text search (BM25 over title and content).
+ * @param {string} query - The search query (terms, "phrases", prefix*).
+ * @param {{ area?: string, limit?: number, offset?: number }} [options] - Where to search and which page to return.
+ * @returns {{ total: number, results: object[] }} - Matching notes, best first, with highlighted title and content snippet.
+ */
+function searchNotes(query, { area = 'notes', limit = 20, offset = 0 } = {}) {
+    if (!index) {
+        throw new Error('Search index is not loaded.');
+    }
+    const clauses = parseSearchQuery(query);
+    ensureArea(area);
+    const docs = index.docs[area];
+    const docCount = Object.keys(docs).length;
+
+    // Average field lengths for BM25 length normalisation
+    const averageLengths = {};
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+        const total = Object.values(docs).reduce((sum, doc) => sum + doc.lengths[field], 0);
+        averageLengths[field] = docCount > 0 ? (total / docCount) || 1 : 1;
+    }
+
+    let scores = null;
+    for (const clause of clauses) {
+        const matches = matchClause(area, clause);
+        const idf = Math.log(1 + (docCount - matches.size + 0.5) / (matches.size + 0.5));
+        const clauseScores = new Map();
+
+        for (const [relativePath, counts] of matches) {
+            // All clauses must match: skip documents that missed an earlier clause
+            if (scores && !scores.has(relativePath)) continue;
+            let score = scores ? scores.get(relativePath) : 0;
+            for (const [field, tf] of Object.entries(counts)) {
+                const lengthRatio = docs[relativePath].lengths[field] / averageLengths[field];
+                score += FIELD_WEIGHTS[field] * idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+            }
+            clauseScores.set(relativePath, score);
+        }
+        scores = clauseScores;
+    }
+
+    const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    const results = ranked.slice(offset, offset + limit).map(([relativePath, score]) => {
+        const doc = docs[relativePath];
+        return {
+            title: doc.title,
+            group: doc.group,
+            relativePath,
+            modifiedDate: doc.modifiedDate,
+            score: Math.round(score * 1000) / 1000,
+            highlights: {
+                title: highlight(doc.title, clauses),
+                content: highlight(doc.content, clauses, SNIPPET_LENGTH)
+            }
+        };
+    });
+
+    return { total: ranked.length, results };
+}
+
+// Persists the index shortly after the last change instead of on every write
+function scheduleSave() {
+    if (!indexFilePath || saveTimer) return;
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        saveSearchIndex().catch(error => console.error('Error saving search index:', error));
+    }, SAVE_DELAY_MS);
+    saveTimer.unref?.();
+}
+
+async function saveSearchIndex() {
+    if (!index || !indexFilePath) return;
+    await storage.write(indexFilePath, JSON.stringify(index));
+}
+
+/**
+ * Loads the persisted index from storage, starting empty if it is missing, corrupt or in an old format.
+ * The caller is expected to reconcile it with the notes on disk afterwards.
+ * @param {string | null} filePath - Where the index is persisted, or null to keep it in memory only.
+ */
+async function loadSearchIndex(filePath) {
+    indexFilePath = filePath;
+    if (!filePath) {
+        index = createEmptyIndex();
+        return;
+    }
+    try {
+        const persisted = JSON.parse(await storage.read(filePath));
+        if (persisted.version !== INDEX_FORMAT_VERSION) {
+            throw new Error(`Unsupported search index version ${persisted.version}`);
+        }
+        for (const area of Object.keys(persisted.docs)) {
+            persisted.terms[area] = createTermMap(persisted.terms[area]);
+        }
+        index = persisted;
+        console.log(`Loaded search index from ${filePath}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`Could not load search index from ${filePath}, rebuilding: ${error.message}`);
+        }
+        index = createEmptyIndex();
+    }
+}
+
+module.exports = {
+    foldText, tokenize, parseSearchQuery, loadSearchIndex, saveSearchIndex,
+    indexNote, removeNote, moveNote, clearArea, getIndexedNotes, searchNotes
+};
@@ -0,0 +1,59 @@
+const { foldText, tokenize, parseSearchQuery, loadSearchIndex, indexNote, removeNote, moveNote, searchNotes } = require('./search');
+
+describe('tokenize and parseSearchQuery', () => {
+  test('should fold case and accents', () => {
+    expect(foldText('Café CRÈME')).toBe('cafe creme');
+    expect(tokenize('Crème brûlée!')).toEqual([
+      { term: 'creme', start: 0, end: 5 },
+      { term: 'brulee', start: 6, end: 12 },
+    ]);
+  });
+
+  test('should parse terms, phrases and prefixes', () => {
+    expect(parseSearchQuery('budget "next quarter" plan* e-mail')).toEqual([
+      { type: 'term', terms: ['budget'] },
+      { type: 'phrase', terms: ['next', 'quarter'] },
+      { type: 'prefix', terms: ['plan'] },
+      { type: 'phrase', terms: ['e', 'mail'] },
+    ]);
+  });
+
+  test('should reject queries without words', () => {
+    expect(() => parseSearchQuery(' "" ?! ')).toThrow('Invalid search query');
+  });
+});
+
+describe('searchNotes', () => {
+  beforeEach(async () => {
+    await loadSearchIndex(null); // In-memory index, nothing persisted
+    indexNote('notes', 'Work/Budget.json', { title: 'Budget', group: 'Work', content: 'Quarterly budget for the café' });
+    indexNote('notes', 'Work/Meeting.json', { title: 'Meeting', group: 'Work', content: 'We talked about the budget, then lunch' });
+    indexNote('notes', 'Shopping.json', { title: 'Shopping', group: '', content: 'Coffee, bread and cafe au lait' });
+  });
+
+  test('should rank title matches above content matches', () => {
+    const { total, results } = searchNotes('budget');
+    expect(total).toBe(2);
+    expect(results.map(r => r.title)).toEqual(['Budget', 'Meeting']);
+    expect(results[0].highlights.title).toBe('<mark>Budget</mark>');
+  });
+
+  test('should match accents, phrases and prefixes', () => {
+    expect(searchNotes('CAFE').results.map(r => r.title).sort()).toEqual(['Budget', 'Shopping']);
+    expect(searchNotes('"quarterly budget"').results.map(r => r.title)).toEqual(['Budget']);
+    expect(searchNotes('"budget quarterly"').total).toBe(0);
+    expect(searchNotes('lun*').results.map(r => r.title)).toEqual(['Meeting']);
+  });
+
+  test('should require every clause to match', () => {
+    expect(searchNotes('budget lunch').results.map(r => r.title)).toEqual(['Meeting']);
+  });
+
+  test('should follow removals and moves to the trash', () => {
+    removeNote('notes', 'Shopping.json');
+    moveNote('notes', 'Work/Meeting.json', 'trash', 'Work/Meeting.json');
+    expect(searchNotes('budget').results.map(r => r.title)).toEqual(['Budget']);
+    expect(searchNotes('budget', { area: 'trash' }).results.map(r => r.title)).toEqual(['Meeting']);
+    expect(searchNotes('coffee').total).toBe(0);
+  });
+});
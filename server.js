@@ -2,51 +2,222 @@ require('dotenv').config();
 
 const express = require('express');
 const app = express();
-const { getAllNotes, createNotes, deleteNote, emptyTrash, deleteEmptyGroup } = require('./model'); // Import deleteEmptyGroup
-const { getStats } = require('./stats'); // Import getStats
+const { getAllNotes, getTags, createNotes, deleteNote, moveNote, emptyTrash, deleteFromTrash, deleteEmptyGroup, renameGroup, trashGroup, restoreFromTrash,
+    getNote, getNoteVersions, getNoteVersion, revertNote, diffNoteVersions, compactNotes, exportNotes, importNotes, purgeExpiredTrash, initSearchIndex,
+    initNoteCatalog, openSpace, getSharedNotes, getHistory, restoreHistory } = require('./model');
+const { searchNotes } = require('./search');
+const { parseNotesQuery, sortAndPaginate } = require('./query');
+const { getStats, parseStatsQuery } = require('./stats'); // Import getStats
+const { ifNoneMatchMatches } = require('./etag');
+const { FORMATS, renderNote } = require('./render');
+const { createTarWriter, parseArchive } = require('./archive');
+const zlib = require('zlib');
+const { parseRetentionDays, daysLeft } = require('./retention');
+const { versionPolicyFromEnv } = require('./history');
+const { authenticate, requireAdmin } = require('./auth');
+const { issueKey, revokeKey, listKeys } = require('./keys');
+const { areaDir, areaKey, currentUser, forEachSpace, runInSpace } = require('./spaces');
+const { createShare, listShares, revokeShare, openShare } = require('./shares');
+const { parseDate } = require('./util');
+const { storageFromEnv, useStorage } = require('./storage');
+const { describeEvent, subscribe, parseEventTypes } = require('./changes');
+const { createWebhook, listWebhooks, deleteWebhook, startWebhookDelivery } = require('./webhooks');
+const { gitHistoryFromEnv, initGitHistory, isGitHistoryEnabled } = require('./git');
 
 const PORT = process.env.PORT || 3000; // Provide a default port
+const TRASH_RETENTION_DAYS = parseRetentionDays(process.env.TRASH_RETENTION_DAYS); // null keeps trashed notes forever
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000; // How often expired trash is purged
+const VERSION_POLICY = versionPolicyFromEnv(process.env); // Validated here so a bad setting stops the server at startup; null keeps every version
+const STORAGE = useStorage(storageFromEnv(process.env)); // STORAGE_BACKEND and DATA_DIR: where notes, trash and user spaces live
+const GIT_HISTORY = gitHistoryFromEnv(process.env, STORAGE); // Whether every change is committed to a Git repository in the data folder
 
+// Route to read a shared note or group; the share token is all it needs, so it comes before authentication
+app.get('/shared/:token', async (req, res) => {
+    const includeVersions = parseBooleanQuery(req.query.versions, false);
+    if (includeVersions === null) {
+        return res.status(400).json({ message: 'Invalid input: versions must be true or false.' });
+    }
+
+    try {
+        const share = await openShare(req.params.token);
+        if (!share) {
+            return res.status(404).json({ message: 'Share link not found. It may have been revoked or have expired.' });
+        }
+        if (includeVersions && !share.includeVersions) {
+            return res.status(403).json({ message: 'This share link does not include version history.' });
+        }
+
+        const notes = await runInSpace(share.user, async () => {
+            await openSpace();
+            return getSharedNotes(share, { includeVersions });
+        });
+        if (share.type === 'note' && notes.length === 0) {
+            return res.status(404).json({ message: 'The shared note no longer exists.' });
+        }
+        res.set('X-Robots-Tag', 'noindex'); // Share links are unlisted; keep them out of search engines
+        res.status(200).json({ type: share.type, title: share.title, group: share.group, expiresDate: share.expiresDate, notes });
+    } catch (error) {
+        console.error('Error reading share:', error);
+        res.status(500).json({ message: 'Error reading shared notes' });
+    }
+});
+
+app.use(authenticate); // Checks the API key (if keys are set up) and runs each request in its user's notes space
 app.use(express.json()); // Middleware to parse JSON bodies
 
 // Route to get all notes
 app.get('/notes', async (req, res) => {
     // Extract filters and the deleted flag from request body
-    const { deleted: viewTrash, ...filters } = req.body || {}; // Default viewTrash to undefined/false
-    const useFilters = filters && Object.keys(filters).length > 0 ? filters : null;
+    const { deleted: bodyViewTrash, ...bodyFilters } = req.body || {}; // Default viewTrash to undefined/false
+    let viewTrash = bodyViewTrash === true;
 
     try {
+        // The same filters can come from the query string, which wins over the body
+        const { filters: queryFilters, viewTrash: queryViewTrash, ...listOptions } = parseNotesQuery(req.query);
+        if (queryViewTrash !== undefined) viewTrash = queryViewTrash;
+        const filters = { ...bodyFilters, ...queryFilters };
+        const useFilters = Object.keys(filters).length > 0 ? filters : null;
+
         // Pass filters and viewTrash flag to getAllNotes
-        const notesData = await getAllNotes(useFilters, viewTrash === true); // Pass boolean flag
-        res.json(notesData); // Send the array of notes (potentially filtered)
+        const notesData = await getAllNotes(useFilters, viewTrash); // Pass boolean flag
+        const { notes, total, nextCursor } = sortAndPaginate(notesData, listOptions);
+
+        res.set('X-Total-Count', String(total));
+        if (nextCursor) res.set('X-Next-Cursor', nextCursor);
+        // Trashed notes also show how many days they have left before the purge job deletes them
+        const listedNotes = viewTrash ? notes.map(note => ({ ...note, daysLeft: daysLeft(note.deletedDate, TRASH_RETENTION_DAYS) })) : notes;
+        res.json(listedNotes); // Send the array of notes (potentially filtered, sorted and paged)
     } catch (error) {
         console.error('Error reading notes/trash directory or applying filters:', error);
         // Handle specific errors like directory not found
         if (error.code === 'ENOENT') {
-            const dirName = viewTrash === true ? 'trash' : 'notes';
+            const dirName = viewTrash ? 'trash' : 'notes';
             return res.status(404).json({ message: `Directory '${dirName}' not found.` });
         }
         // Handle potential date parsing errors during filtering
         if (error instanceof TypeError && error.message.includes('Invalid date')) {
              return res.status(400).json({ message: 'Invalid date format provided in filters. Use ISO 8601 or YYYY-MM-DD.' });
         }
+        if (error instanceof TypeError && error.message.includes('Invalid query parameter')) {
+            return res.status(400).json({ message: error.message });
+        }
+        // Filter expression errors point at the offending token
+        if (error instanceof SyntaxError && error.message.includes('Invalid filter')) {
+            return res.status(400).json({ message: error.message, position: error.position, token: error.token });
+        }
         res.status(500).json({ message: 'Error retrieving notes' });
     }
 });
 
-// Route to create new notes
+// Reads the If-Match header, or undefined when the request has none
+function getIfMatch(req) {
+    const header = req.get('If-Match');
+    return header && header.trim() !== '' ? header : undefined;
+}
+
+// Answers a failed If-Match with the note's current state (and its ETag) so the client can merge
+function sendPreconditionFailed(res, message, current) {
+    if (current) res.set('ETag', current.etag);
+    return res.status(412).json({ message, current });
+}
+
+// Media types a single note can be returned as, mapped to their ?format= name
+const NOTE_MEDIA_TYPES = {
+    'application/json': 'json',
+    'text/markdown': 'markdown',
+    'text/html': 'html',
+    'text/plain': 'text',
+};
+
+// Route to get a single note with its ETag, as JSON or rendered (see NOTE_MEDIA_TYPES);
+// answers If-None-Match with 304 when the client's copy is current
+app.get('/note', async (req, res) => {
+    const { title, group } = req.query;
+
+    if (!title || typeof title !== 'string' || title.trim() === '') {
+        return res.status(400).json({ message: 'Invalid input: title is required.' });
+    }
+    if (req.query.format !== undefined && !FORMATS.includes(req.query.format)) {
+        return res.status(400).json({ message: `Invalid input: format must be one of ${FORMATS.join(', ')}.` });
+    }
+
+    // ?format= wins over the Accept header; a plain browser request gets the HTML page
+    const format = req.query.format || NOTE_MEDIA_TYPES[req.accepts(Object.keys(NOTE_MEDIA_TYPES))];
+    if (!format) {
+        return res.status(406).json({ message: `Not acceptable: supported types are ${Object.keys(NOTE_MEDIA_TYPES).join(', ')}.` });
+    }
+
+    try {
+        const note = await getNote(title, group);
+        res.vary('Accept');
+        res.set('ETag', note.etag);
+        const ifNoneMatch = req.get('If-None-Match');
+        if (ifNoneMatch && ifNoneMatchMatches(ifNoneMatch, note.etag)) {
+            return res.status(304).end();
+        }
+        if (format === 'json') {
+            return res.status(200).json(note);
+        }
+        const { contentType, body } = renderNote(note, format);
+        if (format === 'html') {
+            // The page has no scripts or external resources, so forbid them in case anything slips through
+            res.set('Content-Security-Policy', "default-src 'none'");
+        }
+        res.status(200).type(contentType).send(body);
+    } catch (error) {
+        console.error('Error retrieving note:', error);
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error retrieving note' });
+    }
+});
+
+// Tags must be a list of strings and metadata a plain object when given
+function hasInvalidAttributes(note) {
+    return (note.tags !== undefined && (!Array.isArray(note.tags) || note.tags.some(tag => typeof tag !== 'string'))) ||
+        (note.metadata !== undefined && (note.metadata === null || typeof note.metadata !== 'object' || Array.isArray(note.metadata)));
+}
+
+// Route to create new notes; existing titles are skipped unless ?upsert=true adds a new version to them instead
 app.post('/notes', async (req, res) => {
     const notes = req.body;
+    const ifMatch = getIfMatch(req);
+    const { upsert = 'false' } = req.query;
 
     // Basic validation: check if it's an array and if each item has a title
     if (!Array.isArray(notes) || notes.some(note => !note || typeof note.title !== 'string' || note.title.trim() === '')) {
         return res.status(400).json({ message: 'Invalid input: Expected an array of notes, each with a non-empty title.' });
     }
+    if (notes.some(hasInvalidAttributes)) {
+        return res.status(400).json({ message: 'Invalid input: tags must be an array of strings and metadata an object.' });
+    }
+    if (!['true', 'false'].includes(upsert)) {
+        return res.status(400).json({ message: 'Invalid input: upsert must be true or false.' });
+    }
+    // If-Match names the version of one note, so it can only guard a single-note update
+    if (ifMatch !== undefined && notes.length !== 1) {
+        return res.status(400).json({ message: 'Invalid input: If-Match can only be used when updating a single note.' });
+    }
+    // The precondition only comes from the header
+    const items = notes.map(({ ifMatch: bodyIfMatch, ...fields }) => (ifMatch !== undefined ? { ...fields, ifMatch } : fields));
 
     try {
         // Call the function from model.js to handle creation
-        await createNotes(notes);
-        res.status(201).json({ message: `${notes.length} note(s) created successfully.` });
+        const result = await createNotes(items, { mode: upsert === 'true' ? 'upsert' : 'create' });
+        const failedPrecondition = result.skipped.find(item => item.code === 'precondition_failed');
+        if (failedPrecondition) {
+            return sendPreconditionFailed(res, failedPrecondition.reason, failedPrecondition.current);
+        }
+        if (notes.length === 1 && result.processed.length === 1) {
+            res.set('ETag', result.processed[0].etag);
+        }
+        if (result.processed.length === 0 && result.skipped.some(item => item.code === 'exists')) {
+            // Nothing was saved because the titles are taken
+            return res.status(409).json(result);
+        }
+        const anyCreated = result.processed.some(item => item.status === 'created');
+        res.status(anyCreated ? 201 : 200).json(result);
 
     } catch (error) {
         console.error('Error creating notes:', error);
@@ -54,9 +225,46 @@ app.post('/notes', async (req, res) => {
     }
 });
 
-// Route to delete a note (move to trash) or delete an empty group
+// Route to update or replace one existing note: its content becomes a new version
+app.put('/notes', async (req, res) => {
+    const note = req.body;
+
+    if (!note || typeof note !== 'object' || Array.isArray(note) || typeof note.title !== 'string' || note.title.trim() === '') {
+        return res.status(400).json({ message: 'Invalid input: Expected a single note object with a non-empty title.' });
+    }
+    if (hasInvalidAttributes(note)) {
+        return res.status(400).json({ message: 'Invalid input: tags must be an array of strings and metadata an object.' });
+    }
+
+    try {
+        const { ifMatch: bodyIfMatch, ...fields } = note; // The precondition only comes from the header
+        const result = await createNotes([{ ...fields, ifMatch: getIfMatch(req) }], { mode: 'update' });
+        const [skipped] = result.skipped;
+        if (skipped) {
+            if (skipped.code === 'precondition_failed') {
+                return sendPreconditionFailed(res, skipped.reason, skipped.current);
+            }
+            if (skipped.code === 'not_found') {
+                return res.status(404).json({ message: skipped.reason });
+            }
+            if (skipped.code === 'invalid') {
+                return res.status(400).json({ message: skipped.reason });
+            }
+            return res.status(500).json({ message: skipped.reason });
+        }
+
+        const [updated] = result.processed;
+        res.set('ETag', updated.etag);
+        res.status(200).json({ message: `Note "${updated.title}" updated successfully.`, ...updated });
+    } catch (error) {
+        console.error('Error updating note:', error);
+        res.status(500).json({ message: 'Error updating note' });
+    }
+});
+
+// Route to delete a note (move to trash), delete an empty group, or trash a whole group with recursive: true
 app.delete('/notes', async (req, res) => {
-    const { title, group } = req.body;
+    const { title, group, recursive } = req.body;
 
     // Basic validation
     if ((!title || typeof title !== 'string' || title.trim() === '') && (!group || typeof group !== 'string' || group.trim() === '')) {
@@ -66,8 +274,12 @@ app.delete('/notes', async (req, res) => {
     try {
         if (title) {
             // Delete a specific note
-            const result = await deleteNote(title, group);
+            const result = await deleteNote(title, group, { ifMatch: getIfMatch(req) });
             res.status(200).json(result); // Send success message from model
+        } else if (group && recursive === true) {
+            // Move the group with everything in it to the trash
+            const result = await trashGroup(group);
+            res.status(200).json(result);
         } else if (group) {
             // Delete an empty group
             const result = await deleteEmptyGroup(group);
@@ -79,7 +291,10 @@ app.delete('/notes', async (req, res) => {
         if (error.message.includes('not found')) {
             return res.status(404).json({ message: error.message });
         }
-        if (error.message.includes('is not empty')) {
+        if (error.message.includes('Precondition failed')) {
+            return sendPreconditionFailed(res, error.message, error.current);
+        }
+        if (error.message.includes('is not empty') || error.message.includes('not allowed')) {
             return res.status(400).json({ message: error.message });
         }
         // Generic server error
@@ -87,6 +302,71 @@ app.delete('/notes', async (req, res) => {
     }
 });
 
+// Renames a note and/or moves it to another group, keeping its history
+async function handleMoveNote(req, res) {
+    const { title, group, newTitle, newGroup } = req.body || {};
+
+    if (!title || typeof title !== 'string' || title.trim() === '') {
+        return res.status(400).json({ message: 'Invalid input: title is required.' });
+    }
+    const isValidNewTitle = newTitle === undefined || (typeof newTitle === 'string' && newTitle.trim() !== '');
+    const isValidNewGroup = newGroup === undefined || typeof newGroup === 'string';
+    if (!isValidNewTitle || !isValidNewGroup || (newTitle === undefined && newGroup === undefined)) {
+        return res.status(400).json({ message: 'Invalid input: Provide a non-empty newTitle and/or a newGroup (use "" for the root).' });
+    }
+
+    try {
+        const result = await moveNote(title, group, { newTitle, newGroup, ifMatch: getIfMatch(req) });
+        res.set('ETag', result.etag);
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Error moving note:', error);
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message });
+        }
+        if (error.message.includes('already exists')) {
+            return res.status(409).json({ message: error.message });
+        }
+        if (error.message.includes('Precondition failed')) {
+            return sendPreconditionFailed(res, error.message, error.current);
+        }
+        if (error.message.includes('not allowed') || error.message.includes('Invalid')) {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error moving note' });
+    }
+}
+
+// Routes to rename or move a note (PATCH /notes is an alias)
+app.post('/notes/move', handleMoveNote);
+app.patch('/notes', handleMoveNote);
+
+// Route to rename a group or move it under another parent, with all its notes and subgroups
+app.post('/groups/move', async (req, res) => {
+    const { group, newGroup } = req.body || {};
+
+    if (!group || typeof group !== 'string' || group.trim() === '' || !newGroup || typeof newGroup !== 'string' || newGroup.trim() === '') {
+        return res.status(400).json({ message: 'Invalid input: group and newGroup are required.' });
+    }
+
+    try {
+        const result = await renameGroup(group, newGroup);
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Error moving group:', error);
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message });
+        }
+        if (error.message.includes('already exists')) {
+            return res.status(409).json({ message: error.message });
+        }
+        if (error.message.includes('not allowed') || error.message.includes('into itself') || error.message.includes('Invalid')) {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error moving group' });
+    }
+});
+
 // Route to empty the trash
 app.delete('/emptyTrash', async (req, res) => {
     try {
@@ -103,10 +383,331 @@ app.delete('/emptyTrash', async (req, res) => {
     }
 });
 
-// Route to get statistics
+// Route to permanently delete selected trashed notes or groups (or those matching filters); dryRun previews it
+app.delete('/trash', async (req, res) => {
+    const { title, group, notes, filters, dryRun = false } = req.body || {};
+
+    // Same targets as a restore: an explicit list, a single note, or a whole trashed group
+    let targets = [];
+    if (Array.isArray(notes)) {
+        targets = notes;
+    } else if (title || group) {
+        targets = [{ title, group }];
+    }
+
+    const isValidTarget = (target) => target && (
+        (typeof target.title === 'string' && target.title.trim() !== '') ||
+        (typeof target.group === 'string' && target.group.trim() !== '')
+    );
+    const hasFilters = filters && typeof filters === 'object' && !Array.isArray(filters) && Object.keys(filters).length > 0;
+    if (filters !== undefined && !hasFilters) {
+        // An empty filter would match the whole trash; DELETE /emptyTrash is there for that
+        return res.status(400).json({ message: 'Invalid input: filters must be an object with at least one filter.' });
+    }
+    if ((targets.length === 0 && !hasFilters) || !targets.every(isValidTarget)) {
+        return res.status(400).json({ message: 'Invalid input: Provide a title, a group, a non-empty array of notes or filters to delete.' });
+    }
+    if (typeof dryRun !== 'boolean') {
+        return res.status(400).json({ message: 'Invalid input: dryRun must be true or false.' });
+    }
+
+    try {
+        const result = await deleteFromTrash(targets, { filters: hasFilters ? filters : null, dryRun });
+        if (result.deleted.length === 0 && result.skipped.length > 0 && result.skipped.every(item => item.reason.includes('not found'))) {
+            return res.status(404).json(result);
+        }
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Error deleting notes from trash:', error);
+        if (error instanceof TypeError && error.message.includes('Invalid date')) {
+            return res.status(400).json({ message: 'Invalid date format provided in filters. Use ISO 8601 or YYYY-MM-DD.' });
+        }
+        if (error instanceof SyntaxError && error.message.includes('Invalid filter')) {
+            return res.status(400).json({ message: error.message, position: error.position, token: error.token });
+        }
+        res.status(500).json({ message: 'Error deleting notes from trash' });
+    }
+});
+
+// Route to restore notes or whole groups from the trash
+app.post('/trash/restore', async (req, res) => {
+    const { title, group, notes, onConflict = 'fail' } = req.body || {};
+
+    // Build the list of restore targets: an explicit list, a single note, or a whole trashed group
+    let targets;
+    if (Array.isArray(notes)) {
+        targets = notes;
+    } else if (title || group) {
+        targets = [{ title, group }];
+    }
+
+    const isValidTarget = (target) => target && (
+        (typeof target.title === 'string' && target.title.trim() !== '') ||
+        (typeof target.group === 'string' && target.group.trim() !== '')
+    );
+    if (!targets || targets.length === 0 || !targets.every(isValidTarget)) {
+        return res.status(400).json({ message: 'Invalid input: Provide a title, a group, or a non-empty array of notes to restore.' });
+    }
+    if (!['fail', 'rename', 'overwrite'].includes(onConflict)) {
+        return res.status(400).json({ message: 'Invalid input: onConflict must be one of "fail", "rename" or "overwrite".' });
+    }
+
+    try {
+        const result = await restoreFromTrash(targets, onConflict);
+        if (result.restored.length === 0 && result.skipped.length > 0) {
+            // Nothing was restored: report the most relevant reason
+            if (result.skipped.some(item => item.reason.includes('already exists'))) {
+                return res.status(409).json(result);
+            }
+            if (result.skipped.every(item => item.reason.includes('not found'))) {
+                return res.status(404).json(result);
+            }
+        }
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Error restoring from trash:', error);
+        res.status(500).json({ message: 'Error restoring notes from trash' });
+    }
+});
+
+// Builds a version selector from an index or timestamp, or returns null when neither is usable
+function parseVersionSelector({ index, timestamp }) {
+    if (index !== undefined && index !== '') {
+        const parsedIndex = Number(index);
+        return Number.isInteger(parsedIndex) && parsedIndex >= 0 ? { index: parsedIndex } : null;
+    }
+    if (typeof timestamp === 'string' && timestamp.trim() !== '') {
+        return { timestamp };
+    }
+    return null;
+}
+
+// Sends the standard error responses shared by the version routes
+function handleVersionError(res, error, fallbackMessage) {
+    console.error(`${fallbackMessage}:`, error);
+    if (error.message.includes('not found')) {
+        return res.status(404).json({ message: error.message });
+    }
+    if (error.message.includes('Precondition failed')) {
+        return sendPreconditionFailed(res, error.message, error.current);
+    }
+    if (error instanceof TypeError && error.message.includes('Invalid date')) {
+        return res.status(400).json({ message: 'Invalid timestamp format. Use ISO 8601 or YYYY-MM-DD.' });
+    }
+    res.status(500).json({ message: fallbackMessage });
+}
+
+// Route to list a note's versions, or fetch one version by index or timestamp
+app.get('/notes/versions', async (req, res) => {
+    const { title, group, index, timestamp } = req.query;
+
+    if (!title || typeof title !== 'string' || title.trim() === '') {
+        return res.status(400).json({ message: 'Invalid input: title is required.' });
+    }
+
+    try {
+        if (index === undefined && timestamp === undefined) {
+            const versions = await getNoteVersions(title, group);
+            return res.status(200).json(versions);
+        }
+
+        const selector = parseVersionSelector({ index, timestamp });
+        if (!selector) {
+            return res.status(400).json({ message: 'Invalid input: index must be a non-negative integer or timestamp a date.' });
+        }
+        const version = await getNoteVersion(title, group, selector);
+        res.status(200).json(version);
+    } catch (error) {
+        handleVersionError(res, error, 'Error retrieving note versions');
+    }
+});
+
+// Route to revert a note to an older version (added as a new version on top)
+app.post('/notes/revert', async (req, res) => {
+    const { title, group, index, timestamp } = req.body || {};
+
+    if (!title || typeof title !== 'string' || title.trim() === '') {
+        return res.status(400).json({ message: 'Invalid input: title is required.' });
+    }
+    const selector = parseVersionSelector({ index, timestamp });
+    if (!selector) {
+        return res.status(400).json({ message: 'Invalid input: Either a version index or a timestamp is required.' });
+    }
+
+    try {
+        const result = await revertNote(title, group, selector, { ifMatch: getIfMatch(req) });
+        res.set('ETag', result.etag);
+        res.status(200).json(result);
+    } catch (error) {
+        handleVersionError(res, error, 'Error reverting note');
+    }
+});
+
+// Route to diff two versions of a note (by index, timestamp or "current"), as JSON hunks or unified text
+app.get('/notes/diff', async (req, res) => {
+    const { title, group, from = '1', to = 'current', format = 'json' } = req.query;
+
+    if (!title || typeof title !== 'string' || title.trim() === '') {
+        return res.status(400).json({ message: 'Invalid input: title is required.' });
+    }
+
+    // "current" means the latest version; plain integers are indexes, anything else a timestamp
+    const toSelector = (value) => {
+        if (value === 'current') return { index: 0 };
+        return /^\d+$/.test(value) ? parseVersionSelector({ index: value }) : parseVersionSelector({ timestamp: value });
+    };
+    const fromSelector = toSelector(from);
+    const toVersionSelector = toSelector(to);
+    if (!fromSelector || !toVersionSelector) {
+        return res.status(400).json({ message: 'Invalid input: from and to must be a version index, a timestamp or "current".' });
+    }
+
+    try {
+        const diff = await diffNoteVersions(title, group, fromSelector, toVersionSelector);
+        if (format === 'unified') {
+            return res.status(200).type('text/x-diff').send(diff.unified);
+        }
+        res.status(200).json(diff);
+    } catch (error) {
+        handleVersionError(res, error, 'Error computing note diff');
+    }
+});
+
+// Route to rewrite every note file with the current version retention policy and delta storage
+app.post('/notes/versions/compact', async (req, res) => {
+    const { dryRun = false } = req.body || {};
+
+    if (typeof dryRun !== 'boolean') {
+        return res.status(400).json({ message: 'Invalid input: dryRun must be a boolean.' });
+    }
+
+    try {
+        const result = await compactNotes({ dryRun });
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Error compacting version history:', error);
+        res.status(500).json({ message: 'Error compacting version history' });
+    }
+});
+
+// Route to run a ranked full-text search over note titles and latest content
+app.get('/search', (req, res) => {
+    const { q, deleted, limit = '20', offset = '0' } = req.query;
+
+    if (!q || typeof q !== 'string' || q.trim() === '') {
+        return res.status(400).json({ message: 'Invalid input: query parameter q is required.' });
+    }
+    const parsedLimit = Number(limit);
+    const parsedOffset = Number(offset);
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > 100 || !Number.isInteger(parsedOffset) || parsedOffset < 0) {
+        return res.status(400).json({ message: 'Invalid input: limit must be between 1 and 100 and offset a non-negative integer.' });
+    }
+
+    try {
+        const area = areaKey(deleted === 'true' ? 'trash' : 'notes');
+        const result = searchNotes(q, { area, limit: parsedLimit, offset: parsedOffset });
+        res.status(200).json({ query: q, ...result });
+    } catch (error) {
+        console.error('Error searching notes:', error);
+        if (error instanceof TypeError && error.message.includes('Invalid search query')) {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error searching notes' });
+    }
+});
+
+// Route to list every tag with the number of notes using it
+app.get('/tags', async (req, res) => {
+    try {
+        const tags = await getTags(req.query.deleted === 'true');
+        res.status(200).json(tags);
+    } catch (error) {
+        console.error('Error listing tags:', error);
+        res.status(500).json({ message: 'Error retrieving tags' });
+    }
+});
+
+// Reads an optional true/false query parameter, or returns null if it is neither
+function parseBooleanQuery(value, defaultValue) {
+    if (value === undefined) return defaultValue;
+    if (value === 'true' || value === 'false') return value === 'true';
+    return null;
+}
+
+// Route to download notes (optionally limited to groups, with trash and full history) as a tar or tar.gz archive
+app.get('/export', async (req, res) => {
+    const { format = 'tar.gz' } = req.query;
+    const groups = [].concat(req.query.groups || []).filter(group => typeof group === 'string' && group !== '');
+    const includeTrash = parseBooleanQuery(req.query.trash, false);
+    const includeVersions = parseBooleanQuery(req.query.versions, true);
+
+    if (!['tar', 'tar.gz'].includes(format)) {
+        return res.status(400).json({ message: 'Invalid input: format must be tar or tar.gz.' });
+    }
+    if (includeTrash === null || includeVersions === null) {
+        return res.status(400).json({ message: 'Invalid input: trash and versions must be true or false.' });
+    }
+
+    const fileName = `notes-export-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+    res.set('Content-Type', format === 'tar' ? 'application/x-tar' : 'application/gzip');
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    // Notes are streamed one by one rather than building the archive in memory
+    const output = format === 'tar' ? res : zlib.createGzip();
+    if (output !== res) output.pipe(res);
+    const tar = createTarWriter(output);
+
+    try {
+        await exportNotes({ groups, includeTrash, includeVersions }, (name, data, mtime) => tar.addFile(name, data, mtime));
+        await tar.finish();
+    } catch (error) {
+        console.error('Error exporting notes:', error);
+        if (!res.headersSent) {
+            res.removeHeader('Content-Disposition');
+            return res.status(500).json({ message: 'Error exporting notes' });
+        }
+        res.destroy(error); // Too late for an error response; cut the download short so it can't pass as complete
+    }
+});
+
+// Route to merge an exported archive (sent as the raw request body) into the notebook
+app.post('/import', express.raw({ type: () => true, limit: process.env.IMPORT_SIZE_LIMIT || '100mb' }), async (req, res) => {
+    const { onConflict = 'skip' } = req.query;
+    const dryRun = parseBooleanQuery(req.query.dryRun, false);
+
+    if (!['skip', 'new-version', 'rename'].includes(onConflict)) {
+        return res.status(400).json({ message: 'Invalid input: onConflict must be one of "skip", "new-version" or "rename".' });
+    }
+    if (dryRun === null) {
+        return res.status(400).json({ message: 'Invalid input: dryRun must be true or false.' });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ message: 'Invalid input: Expected a tar or tar.gz archive as the request body.' });
+    }
+
+    try {
+        const result = await importNotes(parseArchive(req.body), { onConflict, dryRun });
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Error importing notes:', error);
+        if (error.message.includes('Invalid archive')) {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error importing notes' });
+    }
+});
+
+// Route to get statistics, with a per-group breakdown, rankings and an activity histogram (interval, from, to, top)
 app.get('/stats', async (req, res) => {
+    let options;
+    try {
+        options = parseStatsQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+
     try {
-        const stats = await getStats();
+        const stats = await getStats(options);
         res.status(200).json(stats);
     } catch (error) {
         console.error('Error getting stats:', error);
@@ -114,7 +715,282 @@ app.get('/stats', async (req, res) => {
     }
 });
 
-// Start the server
-app.listen(PORT , () => // Use the PORT variable directly
-  console.log(`Server is running on http://localhost:${PORT}`)
-);
\ No newline at end of file
+// --- Change Events and Webhooks ---
+
+const EVENT_HEARTBEAT_MS = 25000; // Keeps idle event streams from being closed by proxies
+
+// Route to stream the caller's change events as Server-Sent Events; reconnecting clients get the events they missed
+app.get('/events', (req, res) => {
+    let types;
+    try {
+        types = parseEventTypes(req.query.types);
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+    const lastEventId = Number.parseInt(req.get('Last-Event-ID'), 10);
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Tells nginx not to hold events back
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const unsubscribe = subscribe({ user: currentUser(), types, since: Number.isNaN(lastEventId) ? null : lastEventId }, (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(describeEvent(event))}\n\n`);
+    });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// Route to register a webhook; the response is the only time its signing secret is shown
+app.post('/webhooks', async (req, res) => {
+    const { url, events = [], label = '' } = req.body || {};
+
+    if (typeof url !== 'string' || url.trim() === '') {
+        return res.status(400).json({ message: 'Invalid input: a url is required.' });
+    }
+    if (!Array.isArray(events) || events.some(type => typeof type !== 'string') || typeof label !== 'string') {
+        return res.status(400).json({ message: 'Invalid input: events must be an array of event types and label a string.' });
+    }
+
+    try {
+        res.status(201).json(await createWebhook({ url: url.trim(), events, label }));
+    } catch (error) {
+        console.error('Error registering webhook:', error);
+        if (error.message.includes('Invalid')) {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error registering webhook' });
+    }
+});
+
+// Route to list the caller's webhooks (never their secrets)
+app.get('/webhooks', async (req, res) => {
+    try {
+        res.status(200).json({ webhooks: await listWebhooks() });
+    } catch (error) {
+        console.error('Error listing webhooks:', error);
+        res.status(500).json({ message: 'Error listing webhooks' });
+    }
+});
+
+// Route to remove a webhook; it receives no further events
+app.delete('/webhooks/:id', async (req, res) => {
+    try {
+        const webhook = await deleteWebhook(req.params.id);
+        res.status(200).json({ message: `Webhook "${webhook.id}" removed.`, ...webhook });
+    } catch (error) {
+        console.error('Error removing webhook:', error);
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error removing webhook' });
+    }
+});
+
+// --- Git History ---
+
+// Sends the standard error responses shared by the history routes
+function handleHistoryError(res, error, fallbackMessage) {
+    console.error(`${fallbackMessage}:`, error);
+    if (error.message.includes('not found') || error.message.includes('not enabled')) {
+        return res.status(404).json({ message: error.message });
+    }
+    if (error.message.includes('Invalid')) {
+        return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: fallbackMessage });
+}
+
+// Route to list the recent Git history commits of the caller's notes and trash, with the files each one changed
+app.get('/history', async (req, res) => {
+    const { limit = '20' } = req.query;
+    const parsedLimit = Number(limit);
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+        return res.status(400).json({ message: 'Invalid input: limit must be between 1 and 100.' });
+    }
+
+    try {
+        res.status(200).json({ commits: await getHistory(parsedLimit) });
+    } catch (error) {
+        handleHistoryError(res, error, 'Error retrieving history');
+    }
+});
+
+// Route to put the caller's notes and trash back the way they were at a commit; the restore is committed itself
+app.post('/history/restore', async (req, res) => {
+    const { commit } = req.body || {};
+
+    if (typeof commit !== 'string' || commit.trim() === '') {
+        return res.status(400).json({ message: 'Invalid input: commit is required.' });
+    }
+
+    try {
+        res.status(200).json(await restoreHistory(commit.trim()));
+    } catch (error) {
+        handleHistoryError(res, error, 'Error restoring history');
+    }
+});
+
+// --- Share Links ---
+
+// Route to create a read-only share link for a note (title and group) or a group (group only)
+app.post('/shares', async (req, res) => {
+    const { title, group, includeVersions = false, expiresDate, label = '' } = req.body || {};
+
+    if ((title !== undefined && typeof title !== 'string') || (group !== undefined && typeof group !== 'string')) {
+        return res.status(400).json({ message: 'Invalid input: title and group must be strings.' });
+    }
+    if ((!title || title.trim() === '') && (!group || group.trim() === '')) {
+        return res.status(400).json({ message: 'Invalid input: a title (to share a note) or a group (to share a group) is required.' });
+    }
+    if (typeof includeVersions !== 'boolean' || typeof label !== 'string' || (expiresDate != null && typeof expiresDate !== 'string')) {
+        return res.status(400).json({ message: 'Invalid input: includeVersions must be a boolean, label a string and expiresDate a date string.' });
+    }
+
+    let expires = null;
+    try {
+        expires = parseDate(expiresDate);
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+    if (expires && expires <= new Date()) {
+        return res.status(400).json({ message: 'Invalid input: expiresDate must be in the future.' });
+    }
+
+    try {
+        const share = await createShare({ title, group, includeVersions, expiresDate: expires, label });
+        res.status(201).json({ ...share, url: `/shared/${share.token}` });
+    } catch (error) {
+        console.error('Error creating share:', error);
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message });
+        }
+        if (error.message.includes('Invalid') || error.message.includes('not allowed')) {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error creating share' });
+    }
+});
+
+// Route to list the caller's share links (never their tokens)
+app.get('/shares', async (req, res) => {
+    try {
+        res.status(200).json({ shares: await listShares() });
+    } catch (error) {
+        console.error('Error listing shares:', error);
+        res.status(500).json({ message: 'Error listing shares' });
+    }
+});
+
+// Route to revoke a share link; its token stops working straight away
+app.delete('/shares/:id', async (req, res) => {
+    try {
+        const share = await revokeShare(req.params.id);
+        res.status(200).json({ message: `Share "${share.id}" revoked.`, ...share });
+    } catch (error) {
+        console.error('Error revoking share:', error);
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error revoking share' });
+    }
+});
+
+// --- API Key Administration (admin keys only) ---
+
+// Route to list every API key, revoked ones included (never the keys themselves)
+app.get('/admin/keys', requireAdmin, async (req, res) => {
+    try {
+        res.status(200).json({ keys: await listKeys() });
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        res.status(500).json({ message: 'Error listing API keys' });
+    }
+});
+
+// Route to issue a new API key; the response is the only time the key is shown
+app.post('/admin/keys', requireAdmin, async (req, res) => {
+    const { user, admin = false, label = '' } = req.body || {};
+
+    if (typeof admin !== 'boolean' || typeof label !== 'string') {
+        return res.status(400).json({ message: 'Invalid input: admin must be a boolean and label a string.' });
+    }
+
+    try {
+        const issued = await issueKey({ user, admin, label });
+        res.status(201).json(issued);
+    } catch (error) {
+        console.error('Error issuing API key:', error);
+        if (error instanceof TypeError && error.message.includes('Invalid user')) {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error issuing API key' });
+    }
+});
+
+// Route to revoke an API key; requests with it are refused from then on
+app.delete('/admin/keys/:id', requireAdmin, async (req, res) => {
+    try {
+        const revoked = await revokeKey(req.params.id);
+        res.status(200).json({ message: `API key "${revoked.id}" of user "${revoked.user}" revoked.`, ...revoked });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error revoking API key' });
+    }
+});
+
+// Permanently deletes trashed notes older than the retention period, in every user's space; runs in the background
+let trashPurgeRunning = false;
+async function runTrashPurge() {
+    if (trashPurgeRunning) return; // A slow run must not overlap with the next one
+    trashPurgeRunning = true;
+    try {
+        await forEachSpace(async (user) => {
+            await openSpace();
+            const { purged, dated } = await purgeExpiredTrash(TRASH_RETENTION_DAYS);
+            if (purged.length > 0 || dated > 0) {
+                console.log(`Trash purge${user ? ` for user "${user}"` : ''}: ${purged.length} expired note(s) permanently deleted, ${dated} note(s) given a deletion date.`);
+            }
+        });
+    } catch (error) {
+        console.error('Error purging expired trash:', error);
+    } finally {
+        trashPurgeRunning = false;
+    }
+}
+
+// Start the server once the search index and note catalog are loaded and up to date.
+// A memory store starts out empty, so it first gets the notes directory a data folder is expected to have.
+(STORAGE.name === 'memory' ? STORAGE.makeDir(areaDir('notes')) : Promise.resolve())
+    .then(() => GIT_HISTORY && initGitHistory())
+    .catch(error => console.error('Error initialising Git history:', error))
+    .then(() => initSearchIndex())
+    .catch(error => console.error('Error initialising search index:', error))
+    .then(() => initNoteCatalog())
+    .catch(error => console.error('Error initialising note catalog:', error))
+    .finally(() => app.listen(PORT , () => { // Use the PORT variable directly
+        console.log(`Server is running on http://localhost:${PORT}`);
+        console.log(`Storing notes ${STORAGE.name === 'memory' ? 'in memory only' : 'in files'} below ${STORAGE.root}`);
+        startWebhookDelivery();
+        if (isGitHistoryEnabled()) {
+            console.log('Committing every change to the Git history in .notes-history/ of the data folder.');
+        }
+        if (TRASH_RETENTION_DAYS !== null) {
+            console.log(`Trashed notes are kept for ${TRASH_RETENTION_DAYS} day(s).`);
+            runTrashPurge();
+            setInterval(runTrashPurge, TRASH_PURGE_INTERVAL_MS).unref();
+        }
+        if (VERSION_POLICY !== null) {
+            console.log('Version retention:', JSON.stringify(VERSION_POLICY));
+        }
+    }));
\ No newline at end of file
@@ -0,0 +1,94 @@
+// Share links: revocable, optionally expiring tokens that give read-only access to one note or one group.
+// Tokens are stored hashed in SHARES_FILE (default .shares.json, see tokens.js); each share belongs to the space it was created in.
+
+const path = require('path');
+const { createTokenStore } = require('./tokens');
+const { currentUser } = require('./spaces');
+const { resolveShareTarget } = require('./model');
+
+const store = createTokenStore({
+    prefix: 'gns',
+    listName: 'shares',
+    filePath: () => path.resolve(__dirname, process.env.SHARES_FILE || '.shares.json')
+});
+
+// What a share looks like to its owner, including whether it still works
+function describeShare(record, now = new Date()) {
+    const { user, ...share } = store.describe(record);
+    let status = 'active';
+    if (share.revokedDate) status = 'revoked';
+    else if (share.expiresDate && new Date(share.expiresDate) <= now) status = 'expired';
+    return { ...share, status };
+}
+
+/**
+ * Creates a share link for a note or a group of the current space.
+ * @param {{ title?: string, group?: string, includeVersions?: boolean, expiresDate?: Date | null, label?: string }} options
+ *   - A note (title and group) or, without a title, a group and its subgroups; whether readers may see older versions;
+ *   when the link stops working (never without one); and a note on who it is for.
+ * @returns {Promise<object>} - The share, with its token (only ever returned here).
+ * @throws {Error} - If the note or group doesn't exist ("not found").
+ */
+async function createShare({ title, group, includeVersions = false, expiresDate = null, label = '' }) {
+    const target = await resolveShareTarget({ title, group });
+    const { id, token, hash } = store.mint();
+    const record = {
+        id,
+        user: currentUser(),
+        ...target,
+        includeVersions,
+        label,
+        createdDate: new Date().toISOString(),
+        expiresDate: expiresDate ? expiresDate.toISOString() : null,
+        revokedDate: null,
+        hash
+    };
+
+    await store.update(shares => shares.push(record));
+    console.log(`Shared ${target.type} "${target.title || target.group}" as ${id}${record.expiresDate ? ` until ${record.expiresDate}` : ''}.`);
+    return { token, ...describeShare(record) };
+}
+
+/**
+ * Lists the current space's shares, revoked and expired ones included, without their tokens.
+ * @returns {Promise<object[]>}
+ */
+async function listShares() {
+    const user = currentUser();
+    return (await store.load() || []).filter(record => record.user === user).map(record => describeShare(record));
+}
+
+/**
+ * Revokes one of the current space's shares. Revoking twice keeps the first date.
+ * @param {string} id - The share's id.
+ * @returns {Promise<object>} - The revoked share.
+ * @throws {Error} - If the current space has no share with that id.
+ */
+async function revokeShare(id) {
+    const user = currentUser();
+    const revoked = await store.update(shares => {
+        const index = shares.findIndex(share => share.id === id && share.user === user);
+        if (index === -1) {
+            throw new Error(`Share "${id}" not found.`);
+        }
+        shares[index] = { ...shares[index], revokedDate: shares[index].revokedDate || new Date().toISOString() };
+        return shares[index];
+    });
+    console.log(`Revoked share ${id}.`);
+    return describeShare(revoked);
+}
+
+/**
+ * Looks up the share a token opens.
+ * @param {string} token - The token from a share link.
+ * @param {Date} [now] - The current time.
+ * @returns {Promise<object | null>} - The share, including the user whose space it belongs to, or null if the token is
+ *   unknown, revoked or expired.
+ */
+async function openShare(token, now = new Date()) {
+    const record = await store.lookup(token);
+    if (!record || (record.expiresDate && new Date(record.expiresDate) <= now)) return null;
+    return { ...describeShare(record, now), user: record.user };
+}
+
+module.exports = { createShare, listShares, revokeShare, openShare };
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('./model', () => ({
+  resolveShareTarget: jest.fn(async ({ title, group }) => {
+    if (title === 'Missing') throw new Error(`Note with title "${title}" in group "${group || '.'}" not found.`);
+    return title ? { type: 'note', title, group: group || '' } : { type: 'group', group };
+  })
+}));
+
+const { createShare, listShares, revokeShare, openShare } = require('./shares');
+const { runInSpace } = require('./spaces');
+
+describe('share links', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geepnotes-shares-'));
+    process.env.SHARES_FILE = path.join(dir, 'shares.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {}); // Creating and revoking shares are logged
+  });
+
+  afterEach(() => {
+    delete process.env.SHARES_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  test('should open a share with its token until it is revoked', async () => {
+    const share = await createShare({ title: 'Plan', group: 'Work', label: 'client' });
+    expect(share.token).toMatch(/^gns_[0-9a-f]{12}_/);
+    expect(share).toMatchObject({ type: 'note', title: 'Plan', group: 'Work', includeVersions: false, status: 'active' });
+    expect(fs.readFileSync(process.env.SHARES_FILE, 'utf8')).not.toContain(share.token);
+
+    expect(await openShare(share.token)).toMatchObject({ id: share.id, type: 'note', user: null });
+    await revokeShare(share.id);
+    expect(await openShare(share.token)).toBeNull();
+    expect(await listShares()).toEqual([expect.objectContaining({ id: share.id, status: 'revoked' })]);
+  });
+
+  test('should stop opening a share once it has expired', async () => {
+    const share = await createShare({ group: 'Work', expiresDate: new Date('2026-03-10T12:00:00.000Z') });
+    expect(await openShare(share.token, new Date('2026-03-10T11:59:59.000Z'))).toMatchObject({ type: 'group', group: 'Work' });
+    expect(await openShare(share.token, new Date('2026-03-10T12:00:00.000Z'))).toBeNull();
+  });
+
+  test('should keep each space\'s shares to itself', async () => {
+    const share = await runInSpace('alice', () => createShare({ group: 'Work' }));
+    expect(await listShares()).toEqual([]);
+    await expect(revokeShare(share.id)).rejects.toThrow(`Share "${share.id}" not found.`);
+    expect(await runInSpace('alice', () => listShares())).toHaveLength(1);
+    expect(await openShare(share.token)).toMatchObject({ user: 'alice' });
+  });
+
+  test('should not create shares for notes that do not exist', async () => {
+    await expect(createShare({ title: 'Missing' })).rejects.toThrow('not found');
+    expect(fs.existsSync(process.env.SHARES_FILE)).toBe(false);
+  });
+});
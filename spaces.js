@@ -0,0 +1,83 @@
+// Note spaces: every user has their own notes and trash directories below users/<user>/ in the data folder.
+// The space of the current request is carried through async calls, so the model never needs it passed in.
+// Outside any user's space (authentication off, command line tools) the top-level notes and trash directories are used.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const path = require('path');
+const storage = require('./storage');
+
+const USER_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+const spaceStorage = new AsyncLocalStorage();
+
+/**
+ * Checks whether a user name can be used as a space, i.e. is safe as a directory name.
+ * @param {unknown} user - The user name.
+ * @returns {boolean}
+ */
+function isValidUser(user) {
+    return typeof user === 'string' && USER_ID_PATTERN.test(user);
+}
+
+/**
+ * Runs fn inside a user's space; everything it awaits sees that space.
+ * @param {string | null} user - The user, or null for the top-level space.
+ * @param {() => any} fn - The function to run.
+ * @returns {any} - What fn returns.
+ */
+function runInSpace(user, fn) {
+    return spaceStorage.run({ user }, fn);
+}
+
+// The user whose space is active, or null for the top-level space
+function currentUser() {
+    const store = spaceStorage.getStore();
+    return store ? store.user : null;
+}
+
+/**
+ * The directory of an area in the current space.
+ * @param {'notes' | 'trash'} area - The area.
+ * @returns {string} - An absolute path.
+ */
+function areaDir(area) {
+    const user = currentUser();
+    const root = storage.getStorage().root;
+    return user ? path.join(root, 'users', user, area) : path.join(root, area);
+}
+
+/**
+ * Identifies an area of the current space in the catalog and search index: its path relative to the data folder,
+ * so the top-level space keeps the plain names 'notes' and 'trash'.
+ * @param {'notes' | 'trash'} area - The area.
+ * @returns {string}
+ */
+function areaKey(area) {
+    return path.relative(storage.getStorage().root, areaDir(area));
+}
+
+/**
+ * Lists the users that have a space in storage.
+ * @returns {Promise<string[]>}
+ */
+async function listUserSpaces() {
+    try {
+        const entries = await storage.list(path.join(storage.getStorage().root, 'users'));
+        return entries.filter(entry => entry.isDirectory() && isValidUser(entry.name)).map(entry => entry.name).sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * Runs fn once in the top-level space and once in every user's space, one after another.
+ * @param {(user: string | null) => Promise<void>} fn - Called with the space's user (null for the top-level space).
+ */
+async function forEachSpace(fn) {
+    for (const user of [null, ...await listUserSpaces()]) {
+        await runInSpace(user, () => fn(user));
+    }
+}
+
+module.exports = { isValidUser, runInSpace, currentUser, areaDir, areaKey, listUserSpaces, forEachSpace };
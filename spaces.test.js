@@ -0,0 +1,27 @@
+const path = require('path');
+const { isValidUser, runInSpace, currentUser, areaDir, areaKey } = require('./spaces');
+
+describe('note spaces', () => {
+  test('should use the top-level notes and trash outside any user space', () => {
+    expect(currentUser()).toBeNull();
+    expect(areaDir('notes')).toBe(path.join(__dirname, 'notes'));
+    expect(areaKey('trash')).toBe('trash');
+  });
+
+  test('should give each user their own directories, also across awaits', async () => {
+    const dirs = await runInSpace('alice', async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      return { user: currentUser(), notes: areaDir('notes'), key: areaKey('trash') };
+    });
+    expect(dirs).toEqual({ user: 'alice', notes: path.join(__dirname, 'users', 'alice', 'notes'), key: path.join('users', 'alice', 'trash') });
+    expect(currentUser()).toBeNull();
+  });
+
+  test('should only accept user names that are safe as folder names', () => {
+    expect(isValidUser('alice_2')).toBe(true);
+    expect(isValidUser('..')).toBe(false);
+    expect(isValidUser('a/b')).toBe(false);
+    expect(isValidUser('')).toBe(false);
+    expect(isValidUser(42)).toBe(false);
+  });
+});
@@ -1,10 +1,202 @@
-const path = require('path');
 // Import findEmptyDirsRecursive
-const { getDirectorySize, countItemsRecursive, findEmptyDirsRecursive } = require('./util');
+const { getDirectorySize, countItemsRecursive, findEmptyDirsRecursive, parseDate } = require('./util');
+const catalog = require('./catalog');
+const { findJsonFiles } = require('./model');
+const { invalidQuery } = require('./query');
+const { areaDir, areaKey } = require('./spaces');
+const storage = require('./storage');
 
-async function getStats() {
-    const notesDir = path.join(__dirname, 'notes');
-    const trashDir = path.join(__dirname, 'trash');
+const INTERVALS = ['day', 'week', 'month'];
+const DEFAULT_PERIODS = { day: 30, week: 12, month: 12 }; // How far back the activity histogram goes without a from date
+const MAX_PERIODS = 1000;
+const DEFAULT_TOP = 5;
+const MAX_TOP = 100;
+
+// --- Activity Periods (UTC) ---
+
+// The start of the day, week (starting Monday) or month a date falls in
+function periodStart(date, interval) {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), interval === 'month' ? 1 : date.getUTCDate()));
+    if (interval === 'week') start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+    return start;
+}
+
+// The start of the period count periods after (or before, if negative) the one starting at start
+function shiftPeriod(start, interval, count) {
+    const shifted = new Date(start);
+    if (interval === 'month') {
+        shifted.setUTCMonth(shifted.getUTCMonth() + count);
+    } else {
+        shifted.setUTCDate(shifted.getUTCDate() + count * (interval === 'week' ? 7 : 1));
+    }
+    return shifted;
+}
+
+// "2026-10-18" for days and weeks (the Monday), "2026-10" for months
+function periodLabel(start, interval) {
+    return start.toISOString().slice(0, interval === 'month' ? 7 : 10);
+}
+
+/**
+ * Reads the activity histogram and ranking options for GET /stats from the query string.
+ * @param {object} [query] - The parsed query string (req.query): interval ("day", "week" or "month", default "day"),
+ *   from and to (dates, default the last 30 days, 12 weeks or 12 months up to today) and top (1-100, default 5).
+ * @param {Date} [now] - The current time.
+ * @returns {{ interval: string, from: Date, to: Date, top: number }} - from and to are the starts of their periods.
+ * @throws {TypeError} - If a value is invalid ("Invalid query parameter").
+ */
+function parseStatsQuery(query = {}, now = new Date()) {
+    const interval = query.interval === undefined || query.interval === '' ? 'day' : query.interval;
+    if (!INTERVALS.includes(interval)) {
+        throw invalidQuery(`interval must be one of ${INTERVALS.join(', ')}.`);
+    }
+
+    let from;
+    let to;
+    try {
+        to = periodStart(parseDate(query.to) || now, interval);
+        from = query.from ? periodStart(parseDate(query.from), interval) : shiftPeriod(to, interval, 1 - DEFAULT_PERIODS[interval]);
+    } catch (error) {
+        throw invalidQuery('from and to must be dates (ISO 8601 or YYYY-MM-DD).');
+    }
+    if (from > to) {
+        throw invalidQuery('from must not be after to.');
+    }
+    if (shiftPeriod(from, interval, MAX_PERIODS) <= to) {
+        throw invalidQuery(`from and to must be at most ${MAX_PERIODS} ${interval}s apart.`);
+    }
+
+    const top = query.top === undefined || query.top === '' ? DEFAULT_TOP : Number(query.top);
+    if (!Number.isInteger(top) || top < 1 || top > MAX_TOP) {
+        throw invalidQuery(`top must be between 1 and ${MAX_TOP}.`);
+    }
+    return { interval, from, to, top };
+}
+
+// --- Detailed Statistics ---
+
+// Words are runs of anything but whitespace; characters are counted as code points, so an emoji counts once
+function measureText(content) {
+    return { wordCount: (content.match(/\S+/g) || []).length, characterCount: [...content].length };
+}
+
+function isLater(date, otherDate) {
+    return new Date(date).getTime() > new Date(otherDate || 0).getTime();
+}
+
+/**
+ * Works out the per-group breakdown, text totals, rankings and activity histogram of a set of notes.
+ * @param {{ size: number, note: object, history: object | null }[]} entries - The notes, as the catalog keeps them
+ *   (see catalog.listNoteEntries): file size, the note as getAllNotes returns it and its history measures.
+ * @param {{ interval: string, from: Date, to: Date, top: number }} options - See parseStatsQuery.
+ * @returns {object} - wordCount, characterCount, groups, largestNotes, mostVersionedNotes and activity (see README).
+ */
+function summariseNotes(entries, { interval, from, to, top }) {
+    const totals = { wordCount: 0, characterCount: 0 };
+    const groups = new Map(); // group path -> totals of the group and all its subgroups
+    const periods = new Map(); // period label -> counts
+    for (let start = from; start <= to; start = shiftPeriod(start, interval, 1)) {
+        periods.set(periodLabel(start, interval), { period: periodLabel(start, interval), start: start.toISOString(), created: 0, modified: 0 });
+    }
+    const countIn = (date, field) => {
+        const parsed = new Date(date);
+        const period = isNaN(parsed.getTime()) ? null : periods.get(periodLabel(periodStart(parsed, interval), interval));
+        if (period) period[field]++;
+    };
+
+    const notes = entries.map(({ size, note, history }) => {
+        const versionDates = history ? history.versionDates : [];
+        const createdDate = note.createdDate || versionDates[versionDates.length - 1];
+        const measured = {
+            title: note.title,
+            group: note.group,
+            size,
+            ...measureText(note.content || ''),
+            versionCount: history ? history.versionCount : 0,
+            modifiedDate: note.modifiedDate
+        };
+        totals.wordCount += measured.wordCount;
+        totals.characterCount += measured.characterCount;
+
+        // Every version is an edit, except the one that created the note (unless retention has dropped it)
+        countIn(createdDate, 'created');
+        versionDates.forEach((date, index) => {
+            if (index !== versionDates.length - 1 || date !== createdDate) countIn(date, 'modified');
+        });
+
+        // A note counts towards its group and every group above it
+        const groupParts = note.group ? note.group.split(/[\\/]/) : [];
+        groupParts.forEach((part, index) => {
+            const group = groupParts.slice(0, index + 1).join('/');
+            const stats = groups.get(group) || { group, noteCount: 0, size: 0, versionCount: 0, lastModified: null };
+            stats.noteCount++;
+            stats.size += size;
+            stats.versionCount += measured.versionCount;
+            if (!stats.lastModified || isLater(measured.modifiedDate, stats.lastModified.modifiedDate)) {
+                stats.lastModified = { title: measured.title, group: note.group, modifiedDate: measured.modifiedDate };
+            }
+            groups.set(group, stats);
+        });
+        return measured;
+    });
+
+    const ranked = (field) => [...notes]
+        .sort((a, b) => b[field] - a[field] || a.group.localeCompare(b.group) || String(a.title).localeCompare(String(b.title)))
+        .slice(0, top);
+    const activityPeriods = [...periods.values()];
+    return {
+        ...totals,
+        groups: [...groups.values()].sort((a, b) => a.group.localeCompare(b.group)),
+        largestNotes: ranked('size').map(({ title, group, size, wordCount, characterCount }) => ({ title, group, size, wordCount, characterCount })),
+        mostVersionedNotes: ranked('versionCount').map(({ title, group, versionCount, modifiedDate }) => ({ title, group, versionCount, modifiedDate })),
+        activity: {
+            interval,
+            from: periodLabel(from, interval),
+            to: periodLabel(to, interval),
+            created: activityPeriods.reduce((total, period) => total + period.created, 0),
+            modified: activityPeriods.reduce((total, period) => total + period.modified, 0),
+            periods: activityPeriods
+        }
+    };
+}
+
+// Reads every note below notesDir the way the catalog would, for when the catalog isn't running
+async function readNoteEntries(notesDir) {
+    let files;
+    try {
+        files = await findJsonFiles(notesDir, notesDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const entries = [];
+    for (const { filePath, relativePath } of files) {
+        const entry = await catalog.readNoteEntry(filePath, relativePath); // null for unreadable notes
+        if (entry) entries.push({ relativePath, size: (await storage.stat(filePath)).size, ...entry });
+    }
+    return entries;
+}
+
+/**
+ * Computes the statistics reported by GET /stats for the current user's space (see spaces.js).
+ * @param {{ interval: string, from: Date, to: Date, top: number }} [options] - The activity histogram and rankings
+ *   (see parseStatsQuery); by default daily activity over the last 30 days and the top 5 notes.
+ * @returns {Promise<object>}
+ */
+async function getStats(options = parseStatsQuery()) {
+    const notesDir = areaDir('notes');
+    const trashDir = areaDir('trash');
+
+    // The catalog already knows every file, folder and size, so there is no need to walk the tree
+    if (catalog.isReady(areaKey('notes')) && catalog.isReady(areaKey('trash'))) {
+        let entries = [];
+        try {
+            entries = catalog.listNoteEntries(areaKey('notes'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return { ...catalog.getCatalogStats(areaKey('notes'), areaKey('trash')), ...summariseNotes(entries, options) };
+    }
 
     try {
         // Count notes (JSON files in 'notes', excluding 'trash' if it exists inside 'notes')
@@ -48,6 +240,13 @@ async function getStats() {
         // Get size of trash directory
         const trashSize = await getDirectorySize(trashDir); // Handles non-existent trash dir
 
+        // Split the notes' size into current content and version history
+        const entries = await readNoteEntries(notesDir);
+        const history = { contentSize: 0, historySize: 0, versionCount: 0 };
+        for (const entry of entries) {
+            Object.keys(history).forEach(field => { history[field] += entry.history[field]; });
+        }
+
         return {
             noteCount,
             groupCount,
@@ -55,6 +254,8 @@ async function getStats() {
             trashCount, // Add trash item count
             notesSize, // Size in bytes
             trashSize, // Size in bytes
+            ...history, // Bytes of the notes' latest versions and older versions as stored, and the versions kept
+            ...summariseNotes(entries, options) // Per group totals, text totals, rankings and activity
         };
     } catch (error) {
         console.error('Error calculating stats:', error);
@@ -63,4 +264,4 @@ async function getStats() {
     }
 }
 
-module.exports = { getStats };
+module.exports = { getStats, parseStatsQuery, summariseNotes };
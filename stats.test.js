@@ -0,0 +1,95 @@
+const { parseStatsQuery, summariseNotes } = require('./stats');
+
+const now = new Date('2026-10-18T12:00:00Z'); // A Sunday
+
+describe('parseStatsQuery', () => {
+  test('should default to daily activity over the last 30 days and the top 5 notes', () => {
+    expect(parseStatsQuery({}, now)).toEqual({
+      interval: 'day',
+      from: new Date('2026-09-19T00:00:00Z'),
+      to: new Date('2026-10-18T00:00:00Z'),
+      top: 5
+    });
+  });
+
+  test('should align from and to with the start of their weeks (Mondays) or months', () => {
+    expect(parseStatsQuery({ interval: 'week' }, now)).toMatchObject({
+      from: new Date('2026-07-27T00:00:00Z'),
+      to: new Date('2026-10-12T00:00:00Z')
+    });
+    expect(parseStatsQuery({ interval: 'month', from: '2026-01-15', to: '2026-03-31T23:00:00Z', top: '10' }, now)).toEqual({
+      interval: 'month',
+      from: new Date('2026-01-01T00:00:00Z'),
+      to: new Date('2026-03-01T00:00:00Z'),
+      top: 10
+    });
+  });
+
+  test('should reject invalid values', () => {
+    expect(() => parseStatsQuery({ interval: 'year' }, now)).toThrow('Invalid query parameter: interval');
+    expect(() => parseStatsQuery({ from: 'soon' }, now)).toThrow('Invalid query parameter: from and to must be dates');
+    expect(() => parseStatsQuery({ from: '2026-10-02', to: '2026-10-01' }, now)).toThrow('from must not be after to');
+    expect(() => parseStatsQuery({ from: '2020-01-01' }, now)).toThrow('at most 1000 days apart');
+    expect(() => parseStatsQuery({ top: '101' }, now)).toThrow('top must be between 1 and 100');
+    expect(() => parseStatsQuery({ top: '2.5' }, now)).toThrow(TypeError);
+  });
+});
+
+describe('summariseNotes', () => {
+  const entry = (title, group, size, content, versionDates) => ({
+    size,
+    note: { title, group, content, createdDate: versionDates[versionDates.length - 1], modifiedDate: versionDates[0] },
+    history: { versionCount: versionDates.length, versionDates }
+  });
+  const entries = [
+    entry('Plan', 'Work/Q4', 500, 'one two  three\nfour', ['2026-10-14T09:00:00Z', '2026-10-12T09:00:00Z', '2026-10-05T09:00:00Z']),
+    entry('Ideas', 'Work', 300, 'x 😀', ['2026-10-13T09:00:00Z']),
+    entry('Todo', '', 200, '', ['2026-09-01T09:00:00Z', '2026-08-01T09:00:00Z'])
+  ];
+
+  test('should total words and characters and break the notes down per group, subgroups included', () => {
+    const stats = summariseNotes(entries, parseStatsQuery({}, now));
+
+    expect(stats.wordCount).toBe(6);
+    expect(stats.characterCount).toBe(22); // The emoji counts as one character
+    expect(stats.groups).toEqual([
+      { group: 'Work', noteCount: 2, size: 800, versionCount: 4, lastModified: { title: 'Plan', group: 'Work/Q4', modifiedDate: '2026-10-14T09:00:00Z' } },
+      { group: 'Work/Q4', noteCount: 1, size: 500, versionCount: 3, lastModified: { title: 'Plan', group: 'Work/Q4', modifiedDate: '2026-10-14T09:00:00Z' } }
+    ]);
+  });
+
+  test('should rank the largest and most versioned notes', () => {
+    const stats = summariseNotes(entries, parseStatsQuery({ top: '2' }, now));
+
+    expect(stats.largestNotes).toEqual([
+      { title: 'Plan', group: 'Work/Q4', size: 500, wordCount: 4, characterCount: 19 },
+      { title: 'Ideas', group: 'Work', size: 300, wordCount: 2, characterCount: 3 }
+    ]);
+    expect(stats.mostVersionedNotes.map(note => [note.title, note.versionCount])).toEqual([['Plan', 3], ['Todo', 2]]);
+  });
+
+  test('should count creations and later versions per period, including empty periods', () => {
+    const { activity } = summariseNotes(entries, parseStatsQuery({ interval: 'week', from: '2026-09-28' }, now));
+
+    expect(activity).toMatchObject({ interval: 'week', from: '2026-09-28', to: '2026-10-12', created: 2, modified: 2 });
+    expect(activity.periods).toEqual([
+      { period: '2026-09-28', start: '2026-09-28T00:00:00.000Z', created: 0, modified: 0 },
+      { period: '2026-10-05', start: '2026-10-05T00:00:00.000Z', created: 1, modified: 0 },
+      { period: '2026-10-12', start: '2026-10-12T00:00:00.000Z', created: 1, modified: 2 }
+    ]);
+
+    const monthly = summariseNotes(entries, parseStatsQuery({ interval: 'month', from: '2026-08-01' }, now)).activity;
+    expect(monthly.periods.map(period => [period.period, period.created, period.modified])).toEqual([
+      ['2026-08', 1, 0],
+      ['2026-09', 0, 1],
+      ['2026-10', 2, 2]
+    ]);
+  });
+
+  test('should count every version as an edit once retention has dropped the first one', () => {
+    const trimmed = [{ ...entry('Log', '', 10, 'a', ['2026-10-17T09:00:00Z', '2026-10-16T09:00:00Z']), note: { title: 'Log', group: '', content: 'a', createdDate: '2026-01-01T00:00:00Z' } }];
+    const { activity } = summariseNotes(trimmed, parseStatsQuery({}, now));
+
+    expect(activity).toMatchObject({ created: 0, modified: 2 });
+  });
+});
@@ -0,0 +1,287 @@
+// Storage backends: where the notes, trash, user spaces and search index live.
+// "fs" (the default) keeps them as files below a root folder; "memory" keeps them in a tree of maps, for tests and
+// throwaway servers. Everything else reaches the data through the functions exported here, which use the backend
+// chosen with useStorage() (see storageFromEnv() for the STORAGE_BACKEND and DATA_DIR settings).
+//
+// Paths are absolute, as with fs. Failures carry the same codes fs uses (ENOENT, EEXIST, ENOTEMPTY, EISDIR, ENOTDIR),
+// so callers can check error.code whichever backend is active.
+
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+
+const BACKENDS = ['fs', 'memory'];
+
+function storageError(code, syscall, target) {
+    const error = new Error(`${code}: ${syscall} '${target}'`);
+    error.code = code;
+    error.syscall = syscall;
+    error.path = target;
+    return error;
+}
+
+/**
+ * Creates a backend that keeps the data as files below a folder, the layout geepNotes has always used.
+ * @param {string} root - The folder holding notes/, trash/ and users/.
+ * @returns {object} - The backend (see the functions exported below for what each operation does).
+ */
+function createFileStorage(root) {
+    root = path.resolve(root);
+
+    async function size(target) {
+        const stats = await fs.stat(target);
+        if (!stats.isDirectory()) return stats.size;
+        let total = 0;
+        for (const entry of await fs.readdir(target, { withFileTypes: true })) {
+            if (entry.isDirectory() || entry.isFile()) total += await size(path.join(target, entry.name));
+        }
+        return total;
+    }
+
+    return {
+        name: 'fs',
+        root,
+        list: (dir) => fs.readdir(dir, { withFileTypes: true }),
+        read: (file) => fs.readFile(file, 'utf8'),
+        // Writes to a temporary file first and renames it into place, so a crash never leaves half a file behind
+        async write(file, data) {
+            const tempPath = `${file}.${process.pid}.${Date.now()}.tmp`;
+            try {
+                await fs.writeFile(tempPath, data, 'utf8');
+                await fs.rename(tempPath, file);
+            } catch (error) {
+                await fs.rm(tempPath, { force: true });
+                throw error;
+            }
+        },
+        move: (from, to) => fs.rename(from, to),
+        async remove(target, { recursive = false, force = false } = {}) {
+            if (recursive) return fs.rm(target, { recursive: true, force });
+            try {
+                const stats = await fs.stat(target);
+                await (stats.isDirectory() ? fs.rmdir(target) : fs.unlink(target));
+            } catch (error) {
+                if (!(force && error.code === 'ENOENT')) throw error;
+            }
+        },
+        makeDir: (dir) => fs.mkdir(dir, { recursive: true }),
+        stat: (target) => fs.stat(target),
+        async exists(target) {
+            try {
+                await fs.access(target);
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+        },
+        size,
+        watch: (dir, listener) => fsSync.watch(dir, { recursive: true }, listener)
+    };
+}
+
+/**
+ * Creates a backend that keeps everything in memory: nothing survives a restart and nothing outside the process can
+ * change it. Paths work as for the file backend, but only below root.
+ * @param {string} [root] - The folder the paths pretend to live in (default: this project's folder).
+ * @returns {object} - The backend.
+ */
+function createMemoryStorage(root = __dirname) {
+    root = path.resolve(root);
+    let nextIno = 1; // Like inode numbers, so callers can tell whether two paths are the same entry
+    const createDir = () => ({ directory: true, children: new Map(), mtimeMs: Date.now(), ino: nextIno++ });
+    const top = createDir();
+
+    // The names leading from root to target, or null if target is outside root
+    function segments(target) {
+        const relativePath = path.relative(root, path.resolve(target));
+        if (relativePath === '') return [];
+        if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) return null;
+        return relativePath.split(path.sep);
+    }
+
+    function lookup(target) {
+        const names = segments(target);
+        if (!names) return null;
+        let node = top;
+        for (const name of names) {
+            node = node.directory ? node.children.get(name) : null;
+            if (!node) return null;
+        }
+        return node;
+    }
+
+    // The directory a new entry goes into, which has to exist already (as with fs)
+    function parentOf(target, syscall) {
+        const names = segments(target);
+        if (!names || names.length === 0) throw storageError('EPERM', syscall, target);
+        const parent = lookup(path.dirname(path.resolve(target)));
+        if (!parent) throw storageError('ENOENT', syscall, target);
+        if (!parent.directory) throw storageError('ENOTDIR', syscall, target);
+        return { parent, name: names[names.length - 1] };
+    }
+
+    function existing(target, syscall) {
+        const node = lookup(target);
+        if (!node) throw storageError('ENOENT', syscall, target);
+        return node;
+    }
+
+    function nodeSize(node) {
+        if (!node.directory) return Buffer.byteLength(node.data);
+        let total = 0;
+        node.children.forEach(child => { total += nodeSize(child); });
+        return total;
+    }
+
+    function describe(node) {
+        return {
+            size: node.directory ? 0 : Buffer.byteLength(node.data),
+            mtimeMs: node.mtimeMs,
+            mtime: new Date(node.mtimeMs),
+            ino: node.ino,
+            dev: 0,
+            isFile: () => !node.directory,
+            isDirectory: () => node.directory
+        };
+    }
+
+    return {
+        name: 'memory',
+        root,
+        async list(dir) {
+            const node = existing(dir, 'scandir');
+            if (!node.directory) throw storageError('ENOTDIR', 'scandir', dir);
+            return [...node.children.keys()].sort().map(name => {
+                const child = node.children.get(name);
+                return { name, isFile: () => !child.directory, isDirectory: () => child.directory };
+            });
+        },
+        async read(file) {
+            const node = existing(file, 'open');
+            if (node.directory) throw storageError('EISDIR', 'read', file);
+            return node.data;
+        },
+        async write(file, data) {
+            const { parent, name } = parentOf(file, 'open');
+            const current = parent.children.get(name);
+            if (current && current.directory) throw storageError('EISDIR', 'open', file);
+            parent.children.set(name, { directory: false, data: String(data), mtimeMs: Date.now(), ino: nextIno++ });
+        },
+        async move(from, to) {
+            const node = existing(from, 'rename');
+            const source = parentOf(from, 'rename');
+            const target = parentOf(to, 'rename');
+            const fromPath = path.resolve(from);
+            const toPath = path.resolve(to);
+            if (fromPath === toPath) return;
+            if (node.directory && toPath.startsWith(fromPath + path.sep)) throw storageError('EINVAL', 'rename', from);
+            const current = target.parent.children.get(target.name);
+            if (current && current.directory !== node.directory) {
+                throw storageError(current.directory ? 'EISDIR' : 'ENOTDIR', 'rename', to);
+            }
+            if (current && current.directory && current.children.size > 0) throw storageError('ENOTEMPTY', 'rename', to);
+            source.parent.children.delete(source.name);
+            target.parent.children.set(target.name, node);
+        },
+        async remove(target, { recursive = false, force = false } = {}) {
+            const node = lookup(target);
+            if (!node) {
+                if (force) return;
+                throw storageError('ENOENT', 'rm', target);
+            }
+            if (node.directory && node.children.size > 0 && !recursive) throw storageError('ENOTEMPTY', 'rmdir', target);
+            if (node === top) {
+                top.children.clear();
+                return;
+            }
+            const { parent, name } = parentOf(target, 'rm');
+            parent.children.delete(name);
+        },
+        async makeDir(dir) {
+            const names = segments(dir);
+            if (!names) throw storageError('EPERM', 'mkdir', dir);
+            let node = top;
+            for (const name of names) {
+                let child = node.children.get(name);
+                if (!child) {
+                    child = createDir();
+                    node.children.set(name, child);
+                } else if (!child.directory) {
+                    throw storageError('EEXIST', 'mkdir', dir);
+                }
+                node = child;
+            }
+        },
+        async stat(target) {
+            return describe(existing(target, 'stat'));
+        },
+        async exists(target) {
+            return lookup(target) !== null;
+        },
+        async size(target) {
+            return nodeSize(existing(target, 'stat'));
+        },
+        // Only this process changes the data, and it tells the catalog itself
+        watch: () => null
+    };
+}
+
+/**
+ * Picks the backend from settings.
+ * @param {object} env - Usually process.env: STORAGE_BACKEND ("fs" or "memory", default "fs") and DATA_DIR (the
+ *   folder holding the data, relative to this project's folder; default the project folder itself).
+ * @returns {object} - A new backend.
+ * @throws {TypeError} - If STORAGE_BACKEND names an unknown backend.
+ */
+function storageFromEnv(env) {
+    const backend = (env.STORAGE_BACKEND || 'fs').trim().toLowerCase();
+    if (!BACKENDS.includes(backend)) {
+        throw new TypeError(`Invalid STORAGE_BACKEND: ${env.STORAGE_BACKEND}. Use one of: ${BACKENDS.join(', ')}.`);
+    }
+    const root = path.resolve(__dirname, env.DATA_DIR || '.');
+    return backend === 'memory' ? createMemoryStorage(root) : createFileStorage(root);
+}
+
+let active = null;
+
+// The backend in use; the file backend in this project's folder unless useStorage() picked another one
+function getStorage() {
+    if (!active) active = createFileStorage(__dirname);
+    return active;
+}
+
+/**
+ * Switches every module to a backend. Call it before the catalog and search index are initialised.
+ * @param {object} storage - A backend from createFileStorage, createMemoryStorage or storageFromEnv.
+ * @returns {object} - The same backend.
+ */
+function useStorage(storage) {
+    active = storage;
+    return storage;
+}
+
+module.exports = {
+    createFileStorage, createMemoryStorage, storageFromEnv, getStorage, useStorage,
+    // Directory entries ({ name, isFile(), isDirectory() }) of a directory
+    list: (dir) => getStorage().list(dir),
+    // A file's text
+    read: (file) => getStorage().read(file),
+    // Replaces a file's text at once; its directory has to exist
+    write: (file, data) => getStorage().write(file, data),
+    // Renames a file or directory, replacing a file (or an empty directory) at the target
+    move: (from, to) => getStorage().move(from, to),
+    // Deletes a file or an empty directory; { recursive: true } deletes a directory with everything in it,
+    // { force: true } ignores a missing target
+    remove: (target, options) => getStorage().remove(target, options),
+    // Creates a directory and any missing parents
+    makeDir: (dir) => getStorage().makeDir(dir),
+    // { size, mtimeMs, mtime, ino, dev, isFile(), isDirectory() } of a file or directory
+    stat: (target) => getStorage().stat(target),
+    exists: (target) => getStorage().exists(target),
+    // Bytes of a file, or of every file below a directory
+    size: (target) => getStorage().size(target),
+    // Calls listener(eventType, relativePath) for changes below dir made outside this process; returns a watcher
+    // with close(), or null if the backend can't change behind the process's back
+    watch: (dir, listener) => getStorage().watch(dir, listener)
+};
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStorage, createMemoryStorage, storageFromEnv } = require('./storage');
+
+// Both backends must behave the same, so the model can't tell them apart
+describe.each([
+  ['fs', () => createFileStorage(fs.mkdtempSync(path.join(os.tmpdir(), 'geepnotes-storage-')))],
+  ['memory', () => createMemoryStorage(path.join(os.tmpdir(), 'geepnotes-memory'))],
+])('%s storage', (name, create) => {
+  let storage;
+  let at;
+
+  beforeEach(() => {
+    storage = create();
+    at = (...parts) => path.join(storage.root, ...parts);
+  });
+
+  afterEach(() => {
+    if (name === 'fs') fs.rmSync(storage.root, { recursive: true, force: true });
+  });
+
+  test('should write, read, list and stat files', async () => {
+    await storage.makeDir(at('notes', 'Work'));
+    await storage.write(at('notes', 'Work', 'Plan.json'), '{"title":"Plan"}');
+    await storage.write(at('notes', 'Work', 'Plan.json'), '{"title":"Plan 2"}');
+
+    expect(await storage.read(at('notes', 'Work', 'Plan.json'))).toBe('{"title":"Plan 2"}');
+    const entries = await storage.list(at('notes'));
+    expect(entries.map(entry => [entry.name, entry.isDirectory(), entry.isFile()])).toEqual([['Work', true, false]]);
+    expect((await storage.list(at('notes', 'Work'))).map(entry => entry.name)).toEqual(['Plan.json']); // No temporary files left
+    const stats = await storage.stat(at('notes', 'Work', 'Plan.json'));
+    expect(stats.isFile()).toBe(true);
+    expect(stats.size).toBe(18);
+    expect(await storage.exists(at('notes', 'Work'))).toBe(true);
+    expect(await storage.exists(at('notes', 'Home'))).toBe(false);
+  });
+
+  test('should fail with fs error codes', async () => {
+    await expect(storage.read(at('missing.json'))).rejects.toMatchObject({ code: 'ENOENT' });
+    await expect(storage.list(at('missing'))).rejects.toMatchObject({ code: 'ENOENT' });
+    await expect(storage.write(at('missing', 'note.json'), '{}')).rejects.toMatchObject({ code: 'ENOENT' });
+    await storage.makeDir(at('notes', 'Work'));
+    await storage.write(at('notes', 'Work', 'Plan.json'), '{}');
+    await expect(storage.remove(at('notes', 'Work'))).rejects.toMatchObject({ code: 'ENOTEMPTY' });
+    await expect(storage.remove(at('notes', 'Home'))).rejects.toMatchObject({ code: 'ENOENT' });
+    await expect(storage.remove(at('notes', 'Home'), { force: true })).resolves.toBeUndefined();
+  });
+
+  test('should move files and folders, replacing a file at the target', async () => {
+    await storage.makeDir(at('notes', 'Work'));
+    await storage.makeDir(at('trash'));
+    await storage.write(at('notes', 'Work', 'Plan.json'), 'new');
+    await storage.write(at('trash', 'Plan.json'), 'old');
+
+    await storage.move(at('notes', 'Work', 'Plan.json'), at('trash', 'Plan.json'));
+    expect(await storage.read(at('trash', 'Plan.json'))).toBe('new');
+    expect(await storage.exists(at('notes', 'Work', 'Plan.json'))).toBe(false);
+
+    const before = await storage.stat(at('trash', 'Plan.json'));
+    await storage.move(at('notes', 'Work'), at('notes', 'Archive'));
+    expect((await storage.list(at('notes'))).map(entry => entry.name)).toEqual(['Archive']);
+    const after = await storage.stat(at('trash', 'Plan.json'));
+    expect([after.ino, after.dev]).toEqual([before.ino, before.dev]); // Same entry, as moveNote checks
+    expect((await storage.stat(at('notes', 'Archive'))).ino).not.toBe(after.ino);
+  });
+
+  test('should delete empty folders, or whole trees when recursive, and add up sizes', async () => {
+    await storage.makeDir(at('trash', 'a', 'b'));
+    await storage.write(at('trash', 'one.json'), '12345');
+    await storage.write(at('trash', 'a', 'b', 'two.json'), '123');
+    expect(await storage.size(at('trash'))).toBe(8);
+    expect(await storage.size(at('trash', 'one.json'))).toBe(5);
+
+    await storage.remove(at('trash', 'one.json'));
+    await storage.remove(at('trash', 'a', 'b', 'two.json'));
+    await storage.remove(at('trash', 'a', 'b'));
+    expect((await storage.list(at('trash'))).map(entry => entry.name)).toEqual(['a']);
+    await storage.remove(at('trash'), { recursive: true, force: true });
+    expect(await storage.exists(at('trash'))).toBe(false);
+  });
+});
+
+describe('createMemoryStorage', () => {
+  test('should refuse paths outside its root and never watch', async () => {
+    const storage = createMemoryStorage(path.join(os.tmpdir(), 'geepnotes-memory'));
+    await expect(storage.makeDir(path.join(os.tmpdir(), 'elsewhere'))).rejects.toMatchObject({ code: 'EPERM' });
+    expect(storage.watch(storage.root, () => {})).toBeNull();
+  });
+});
+
+describe('storageFromEnv', () => {
+  test('should default to files in the project folder and resolve DATA_DIR against it', () => {
+    expect(storageFromEnv({})).toMatchObject({ name: 'fs', root: __dirname });
+    expect(storageFromEnv({ STORAGE_BACKEND: 'Memory', DATA_DIR: 'data' })).toMatchObject({ name: 'memory', root: path.join(__dirname, 'data') });
+  });
+
+  test('should reject unknown backends', () => {
+    expect(() => storageFromEnv({ STORAGE_BACKEND: 's3' })).toThrow('Invalid STORAGE_BACKEND: s3');
+  });
+});
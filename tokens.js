@@ -0,0 +1,94 @@
+// Secret tokens kept as hashes in a local JSON file: the store behind API keys (keys.js) and share links (shares.js).
+// Webhooks (webhooks.js) use it for their file and ids too, but keep their signing secrets in the clear.
+// A token looks like "<prefix>_<id>_<secret>"; the file keeps the id in the clear and a SHA-256 hash of the whole token.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { withLock } = require('./lock');
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Creates a store of token records.
+ * @param {{ prefix: string, listName: string, filePath: () => string }} options - The token prefix, the name of the
+ *   record list in the file (e.g. "keys" for { "keys": [...] }) and where the file lives (read on every call, so it
+ *   can come from a setting).
+ * @returns {{ load: Function, update: Function, mint: Function, lookup: Function, describe: Function }}
+ */
+function createTokenStore({ prefix, listName, filePath }) {
+    const pattern = new RegExp(`^${prefix}_([0-9a-f]{12})_([A-Za-z0-9_-]{32})$`);
+    let cache = null; // { path, mtimeMs, records }, so the file is only parsed again after it changed
+
+    // Reads the records, or null if there is no file yet; throws a SyntaxError if the file is corrupt
+    async function load() {
+        const storePath = filePath();
+        let stats;
+        try {
+            stats = await fs.stat(storePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        if (cache && cache.path === storePath && cache.mtimeMs === stats.mtimeMs) {
+            return cache.records;
+        }
+
+        const parsed = JSON.parse(await fs.readFile(storePath, 'utf8'));
+        if (!parsed || !Array.isArray(parsed[listName])) {
+            throw new SyntaxError(`Invalid token file ${storePath}: expected { "${listName}": [...] }.`);
+        }
+        cache = { path: storePath, mtimeMs: stats.mtimeMs, records: parsed[listName] };
+        return parsed[listName];
+    }
+
+    // Reads, changes and writes the records while holding the file's lock; change returns what the caller gets back
+    async function update(change) {
+        const storePath = filePath();
+        return withLock(storePath, async () => {
+            const records = [...(await load() || [])];
+            const result = change(records);
+
+            const tempPath = `${storePath}.${process.pid}.${Date.now()}.tmp`;
+            try {
+                await fs.writeFile(tempPath, JSON.stringify({ [listName]: records }, null, 2), { encoding: 'utf8', mode: 0o600 });
+                await fs.rename(tempPath, storePath);
+            } catch (error) {
+                await fs.rm(tempPath, { force: true });
+                throw error;
+            }
+            cache = null;
+            return result;
+        });
+    }
+
+    // Generates a new token; only its id and hash should be stored
+    function mint() {
+        const id = crypto.randomBytes(6).toString('hex');
+        const token = `${prefix}_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+        return { id, token, hash: hashToken(token) };
+    }
+
+    // Finds the unrevoked record a token belongs to, or null if it is unknown, revoked or malformed
+    async function lookup(token) {
+        const match = typeof token === 'string' ? token.match(pattern) : null;
+        if (!match) return null;
+        const record = (await load() || []).find(stored => stored.id === match[1]);
+        if (!record || record.revokedDate || typeof record.hash !== 'string') return null;
+
+        const expected = Buffer.from(record.hash, 'hex');
+        const actual = Buffer.from(hashToken(token), 'hex');
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+        return record;
+    }
+
+    // The record as shown to clients: everything but the hash
+    function describe({ hash, ...record }) {
+        return record;
+    }
+
+    return { load, update, mint, lookup, describe };
+}
+
+module.exports = { createTokenStore };
@@ -1,4 +1,4 @@
-const fs = require('fs').promises;
+const storage = require('./storage');
 const path = require('path');
 
 /**
@@ -7,23 +7,8 @@ const path = require('path');
  * @returns {Promise<number>} - The total size in bytes. Returns 0 if directory doesn't exist.
  */
 async function getDirectorySize(directoryPath) {
-    let totalSize = 0;
     try {
-        const entries = await fs.readdir(directoryPath, { withFileTypes: true });
-        for (const entry of entries) {
-            const fullPath = path.join(directoryPath, entry.name);
-            if (entry.isDirectory()) {
-                totalSize += await getDirectorySize(fullPath);
-            } else if (entry.isFile()) {
-                try {
-                    const stats = await fs.stat(fullPath);
-                    totalSize += stats.size;
-                } catch (statError) {
-                    // Ignore errors for individual files (e.g., permission denied)
-                    console.warn(`Could not get stats for file ${fullPath}: ${statError.message}`);
-                }
-            }
-        }
+        return await storage.size(directoryPath);
     } catch (error) {
         if (error.code === 'ENOENT') {
             return 0; // Directory doesn't exist, size is 0
@@ -31,7 +16,6 @@ async function getDirectorySize(directoryPath) {
         console.error(`Error reading directory ${directoryPath}:`, error);
         throw error; // Re-throw other errors
     }
-    return totalSize;
 }
 
 /**
@@ -46,7 +30,7 @@ async function getDirectorySize(directoryPath) {
 async function countItemsRecursive(dirPath, baseDir, type = 'file', filter = null, excludeTopLevelDirs = []) {
     let count = 0;
     try {
-        const entries = await fs.readdir(dirPath, { withFileTypes: true });
+        const entries = await storage.list(dirPath);
 
         for (const entry of entries) {
             const fullPath = path.join(dirPath, entry.name);
@@ -96,7 +80,7 @@ async function countItemsRecursive(dirPath, baseDir, type = 'file', filter = nul
 async function findEmptyDirsRecursive(dirPath, baseDir, excludeTopLevelDirs = []) {
     let emptyDirs = [];
     try {
-        const entries = await fs.readdir(dirPath, { withFileTypes: true });
+        const entries = await storage.list(dirPath);
         let hasContent = false; // Flag to check if directory has any files or non-empty subdirs
 
         for (const entry of entries) {
@@ -116,7 +100,7 @@ async function findEmptyDirsRecursive(dirPath, baseDir, excludeTopLevelDirs = []
                 if (!subEmptyDirs.includes(path.relative(baseDir, fullPath))) {
                      // Check if the subdirectory itself contains *any* entries before declaring parent non-empty
                      try {
-                         const subEntries = await fs.readdir(fullPath);
+                         const subEntries = await storage.list(fullPath);
                          if (subEntries.length > 0) {
                              hasContent = true; // Subdirectory has content, so parent is not empty
                          }
@@ -138,7 +122,7 @@ async function findEmptyDirsRecursive(dirPath, baseDir, excludeTopLevelDirs = []
         if (!hasContent && dirPath !== baseDir) { // Don't add the baseDir itself
              // Check again if the directory *actually* has entries, in case of errors above
              try {
-                 const finalCheckEntries = await fs.readdir(dirPath);
+                 const finalCheckEntries = await storage.list(dirPath);
                  if (finalCheckEntries.length === 0) {
                     emptyDirs.push(path.relative(baseDir, dirPath));
                  }
@@ -157,4 +141,23 @@ async function findEmptyDirsRecursive(dirPath, baseDir, excludeTopLevelDirs = []
     return emptyDirs;
 }
 
-module.exports = { getDirectorySize, countItemsRecursive, findEmptyDirsRecursive };
+/**
+ * Safely parses a date string (ISO 8601 or YYYY-MM-DD, which is taken as UTC midnight).
+ * @param {string} dateString - The date to parse.
+ * @returns {Date | null} - The parsed date, or null when no date was given.
+ * @throws {TypeError} - If the string is not a valid date.
+ */
+function parseDate(dateString) {
+    if (!dateString) return null;
+    // Check for YYYY-MM-DD format and append time for consistent parsing
+    if (/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+        dateString += 'T00:00:00.000Z'; // Assume UTC start of day
+    }
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) {
+        throw new TypeError(`Invalid date format: ${dateString}. Use ISO 8601 or YYYY-MM-DD.`);
+    }
+    return date;
+}
+
+module.exports = { parseDate, getDirectorySize, countItemsRecursive, findEmptyDirsRecursive };
@@ -0,0 +1,131 @@
+// Imports a folder tree of Markdown files with front matter as notes, and exports notes back out as such a tree.
+// Sub-folders map to groups. Run from the command line (--user works in that user's notes instead of the top-level ones):
+//   node vault.js import <folder> [--upsert] [--user <user>]
+//   node vault.js export <folder> [--group <group>]... [--user <user>]
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createNotes, getAllNotes } = require('./model');
+const { markdownToNote, noteToMarkdown } = require('./frontmatter');
+const { isValidUser, runInSpace } = require('./spaces');
+const { storageFromEnv, useStorage } = require('./storage');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+const IMPORT_BATCH_SIZE = 100; // Notes handed to createNotes at once, to keep the number of open files down
+
+// Recursively finds Markdown files, skipping hidden files and folders such as .obsidian or .trash
+async function findMarkdownFiles(dir) {
+    let files = [];
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files = files.concat(await findMarkdownFiles(fullPath));
+        } else if (entry.isFile() && MARKDOWN_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Imports every Markdown file below rootDir through createNotes. The file's folder (relative to rootDir) becomes its group;
+ * title, dates and tags come from the front matter, falling back to the file name and file times, and all
+ * other front matter keys become metadata.
+ * @param {string} rootDir - The folder to import.
+ * @param {{ upsert?: boolean }} [options] - With upsert, files whose note already exists are added as a new version
+ *   instead of being skipped.
+ * @returns {Promise<{ message: string, processed: object[], skipped: object[] }>}
+ */
+async function importMarkdownFolder(rootDir, { upsert = false } = {}) {
+    const files = await findMarkdownFiles(rootDir);
+    const notes = [];
+    const skippedNotes = [];
+
+    for (const filePath of files) {
+        const relativePath = path.relative(rootDir, filePath);
+        try {
+            const [text, stats] = await Promise.all([fs.readFile(filePath, 'utf8'), fs.stat(filePath)]);
+            const note = markdownToNote(text, {
+                title: path.basename(filePath, path.extname(filePath)),
+                // Not every file system records a birth time; it reads as the epoch there
+                createdDate: (stats.birthtimeMs > 0 ? stats.birthtime : stats.mtime).toISOString(),
+                modifiedDate: stats.mtime.toISOString()
+            });
+            note.group = path.dirname(relativePath).split(path.sep).filter(part => part !== '.').join('/');
+            notes.push(note);
+        } catch (error) {
+            console.error(`Failed to read Markdown file ${filePath}:`, error);
+            skippedNotes.push({ file: relativePath, reason: error instanceof SyntaxError ? error.message : `Failed to read file "${relativePath}".` });
+        }
+    }
+
+    const processedNotes = [];
+    for (let start = 0; start < notes.length; start += IMPORT_BATCH_SIZE) {
+        const result = await createNotes(notes.slice(start, start + IMPORT_BATCH_SIZE), { mode: upsert ? 'upsert' : 'create' });
+        processedNotes.push(...result.processed);
+        skippedNotes.push(...result.skipped);
+    }
+
+    const createdCount = processedNotes.filter(item => item.status === 'created').length;
+    return {
+        message: `${createdCount} note(s) created, ${processedNotes.length - createdCount} updated, ${skippedNotes.length} skipped.`,
+        processed: processedNotes,
+        skipped: skippedNotes
+    };
+}
+
+/**
+ * Writes every note (or the notes of the given groups and their subgroups) to targetDir as "<group>/<title>.md".
+ * Existing files with the same names are overwritten. Only the current version is written: the version history is not
+ * exported, so a note imported back has a single version.
+ * @param {string} targetDir - The folder to write to; created if needed.
+ * @param {{ groups?: string[] }} [options] - Groups to limit the export to.
+ * @returns {Promise<{ message: string, exported: number }>}
+ */
+async function exportMarkdownFolder(targetDir, { groups = [] } = {}) {
+    const wantedGroups = groups.map(group => group.split(/[\/\\]/).filter(Boolean).join(path.sep).toLowerCase());
+    const notes = (await getAllNotes()).filter(note => wantedGroups.length === 0 || wantedGroups.some(group =>
+        note.group.toLowerCase() === group || note.group.toLowerCase().startsWith(group + path.sep)));
+
+    for (const note of notes) {
+        const noteDir = path.join(targetDir, ...note.group.split(path.sep).filter(Boolean));
+        await fs.mkdir(noteDir, { recursive: true });
+        await fs.writeFile(path.join(noteDir, `${note.title}.md`), noteToMarkdown(note), 'utf8');
+    }
+
+    return { message: `${notes.length} note(s) exported to ${targetDir}.`, exported: notes.length };
+}
+
+async function main(args) {
+    const [command, folder, ...flags] = args;
+    const groups = flags.flatMap((flag, index) => (flag === '--group' && flags[index + 1] ? [flags[index + 1]] : []));
+    const userIndex = flags.indexOf('--user');
+    const user = userIndex === -1 ? null : flags[userIndex + 1];
+    if (user !== null && !isValidUser(user)) {
+        throw new TypeError(`Invalid user "${user}".`);
+    }
+
+    if (command === 'import' && folder) {
+        return runInSpace(user, () => importMarkdownFolder(path.resolve(folder), { upsert: flags.includes('--upsert') }));
+    }
+    if (command === 'export' && folder) {
+        return runInSpace(user, () => exportMarkdownFolder(path.resolve(folder), { groups }));
+    }
+    throw new TypeError('Usage: node vault.js import <folder> [--upsert] [--user <user>] | node vault.js export <folder> [--group <group>]... [--user <user>]');
+}
+
+if (require.main === module) {
+    require('dotenv').config(); // For DATA_DIR
+    useStorage(storageFromEnv({ ...process.env, STORAGE_BACKEND: 'fs' })); // Only the files in DATA_DIR outlive a process
+    main(process.argv.slice(2))
+        .then(result => console.log(JSON.stringify(result, null, 2)))
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { importMarkdownFolder, exportMarkdownFolder };
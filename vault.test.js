@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { importMarkdownFolder, exportMarkdownFolder } = require('./vault');
+const { createMemoryStorage, useStorage } = require('./storage');
+const { getAllNotes, getNoteVersions } = require('./model');
+
+describe('Markdown folders', () => {
+  let dir;
+  const write = (relativePath, content) => {
+    fs.mkdirSync(path.dirname(path.join(dir, relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(dir, relativePath), content);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geepnotes-vault-'));
+    useStorage(createMemoryStorage(path.join(dir, 'data')));
+    write('vault/Work/Plan.md', '---\ntitle: Q4 Plan\ncreated: 2023-01-05\ntags: [work, "#planning"]\nowner: alice\n---\n\n# Plan\n');
+    write('vault/todo.md', 'Buy milk\n');
+    write('vault/.obsidian/workspace.md', 'hidden');
+    write('vault/Work/notes.txt', 'not Markdown');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should import Markdown files with their front matter, folders becoming groups', async () => {
+    write('vault/Broken.md', '---\n: no key\n---\n');
+
+    const result = await importMarkdownFolder(path.join(dir, 'vault'));
+
+    expect(result.message).toBe('2 note(s) created, 0 updated, 1 skipped.');
+    expect(result.skipped).toEqual([{ file: 'Broken.md', reason: expect.any(String) }]);
+    const notes = (await getAllNotes()).sort((a, b) => a.title.localeCompare(b.title));
+    expect(notes).toEqual([
+      expect.objectContaining({ title: 'Q4 Plan', group: 'Work', content: '# Plan\n', createdDate: '2023-01-05T00:00:00.000Z', tags: ['work', 'planning'], metadata: { owner: 'alice' } }),
+      expect.objectContaining({ title: 'todo', group: '', content: 'Buy milk\n', tags: [], metadata: {} })
+    ]);
+  });
+
+  test('should skip notes that exist unless upsert adds them as a new version', async () => {
+    await importMarkdownFolder(path.join(dir, 'vault'));
+    write('vault/todo.md', 'Buy milk and eggs\n');
+
+    const skipped = await importMarkdownFolder(path.join(dir, 'vault'));
+    expect(skipped.message).toBe('0 note(s) created, 0 updated, 2 skipped.');
+
+    const upserted = await importMarkdownFolder(path.join(dir, 'vault'), { upsert: true });
+    expect(upserted.message).toBe('0 note(s) created, 2 updated, 0 skipped.');
+    expect((await getNoteVersions('todo', '')).versions).toHaveLength(2);
+  });
+
+  test('should export the current version of each note as Markdown that imports back the same', async () => {
+    await importMarkdownFolder(path.join(dir, 'vault'));
+    write('vault/todo.md', 'Buy milk and eggs\n');
+    await importMarkdownFolder(path.join(dir, 'vault'), { upsert: true });
+
+    expect(await exportMarkdownFolder(path.join(dir, 'work'), { groups: ['work'] })).toEqual({
+      message: `1 note(s) exported to ${path.join(dir, 'work')}.`, exported: 1
+    });
+    expect(fs.readdirSync(path.join(dir, 'work'))).toEqual(['Work']);
+
+    const exported = await exportMarkdownFolder(path.join(dir, 'out'));
+    expect(exported.exported).toBe(2);
+    expect(fs.readFileSync(path.join(dir, 'out', 'Work', 'Q4 Plan.md'), 'utf8')).toContain('owner: alice');
+
+    const before = await getAllNotes();
+    useStorage(createMemoryStorage(path.join(dir, 'copy'))); // An empty notebook to import the copy into
+    await importMarkdownFolder(path.join(dir, 'out'));
+    const fields = ({ title, group, content, createdDate, modifiedDate, tags, metadata }) => ({ title, group, content, createdDate, modifiedDate, tags, metadata });
+    expect((await getAllNotes()).map(fields).sort((a, b) => a.title.localeCompare(b.title)))
+      .toEqual(before.map(fields).sort((a, b) => a.title.localeCompare(b.title)));
+    expect((await getNoteVersions('todo', '')).versions).toHaveLength(1); // The history stays behind
+  });
+});
@@ -0,0 +1,225 @@
+// Webhooks: URLs that receive every change event (see changes.js) of the space they were registered in, as signed POSTs.
+// Registrations live in WEBHOOKS_FILE (default .webhooks.json). Unlike API keys, the signing secrets are kept in the
+// clear, since the server needs them to sign; the file is written readable by its owner only.
+// URLs pointing at this machine or a private network are refused unless WEBHOOKS_ALLOW_PRIVATE=true, so a webhook
+// can't be used to reach services that are only meant to be reachable from inside.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const path = require('path');
+const { createTokenStore } = require('./tokens');
+const { currentUser } = require('./spaces');
+const { EVENT_TYPES, changeEvents, describeEvent } = require('./changes');
+
+const store = createTokenStore({
+    prefix: 'gnw',
+    listName: 'webhooks',
+    filePath: () => path.resolve(__dirname, process.env.WEBHOOKS_FILE || '.webhooks.json')
+});
+
+const MAX_ATTEMPTS = 5; // One delivery and up to four retries
+const RETRY_DELAY_MS = 1000; // Doubled after every failed attempt: 1s, 2s, 4s, 8s
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Loopback, private, link-local and other non-public ranges (IPv4-mapped IPv6 addresses are checked as IPv4)
+const PRIVATE_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+    .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+    .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function allowPrivateAddresses() {
+    return (process.env.WEBHOOKS_ALLOW_PRIVATE || '').trim().toLowerCase() === 'true';
+}
+
+// A URL's hostname without the brackets of IPv6 addresses and the trailing dot of fully qualified names
+function bareHost(hostname) {
+    return hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+}
+
+function isPrivateAddress(address, family) {
+    return PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Whether a URL's host, as written, is this machine or a private network address
+function isPrivateHost(hostname) {
+    const host = bareHost(hostname);
+    if (host === 'localhost' || host.endsWith('.localhost')) return true;
+    const family = net.isIP(host);
+    return family !== 0 && isPrivateAddress(host, family);
+}
+
+// Why a delivery to url must not be made (its host resolves to a private address), or null if it may be.
+// Lookup errors are thrown, so they are retried like network errors.
+async function refuseDelivery(url, lookup) {
+    if (allowPrivateAddresses()) return null;
+    const { hostname } = new URL(url);
+    if (isPrivateHost(hostname)) {
+        return `${hostname} is a local or private network address.`;
+    }
+    const host = bareHost(hostname);
+    if (net.isIP(host) !== 0) return null;
+    // Every address counts: the request may go to any of them
+    const addresses = await lookup(host, { all: true });
+    const privateAddress = addresses.find(({ address, family }) => isPrivateAddress(address, family));
+    return privateAddress ? `${host} resolves to the local or private network address ${privateAddress.address}.` : null;
+}
+
+// A registration as shown to its owner: everything but the secret (and the unused hash)
+function describeWebhook(record) {
+    const { user, secret, ...webhook } = store.describe(record);
+    return webhook;
+}
+
+/**
+ * Signs a request body the way receivers should check it: HMAC-SHA256 of the raw body with the webhook's secret.
+ * @param {string} secret - The webhook's secret.
+ * @param {string} body - The exact request body.
+ * @returns {string} - The X-GeepNotes-Signature header value, "sha256=<hex>".
+ */
+function signPayload(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Registers a webhook for the current space.
+ * @param {{ url: string, events?: string[], label?: string }} options - Where to POST events, which event types
+ *   (every type if empty) and a note on what it is for.
+ * @returns {Promise<object>} - The webhook, with its signing secret (only ever returned here).
+ * @throws {TypeError} - If the URL is not http(s), points at a private address (see WEBHOOKS_ALLOW_PRIVATE) or an
+ *   event type is unknown.
+ */
+async function createWebhook({ url, events = [], label = '' }) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        throw new TypeError(`Invalid webhook URL "${url}": use an absolute http or https URL.`);
+    }
+    if (isPrivateHost(parsed.hostname) && !allowPrivateAddresses()) {
+        throw new TypeError(`Invalid webhook URL "${url}": local and private network addresses are not allowed. Set WEBHOOKS_ALLOW_PRIVATE=true to allow them.`);
+    }
+    const unknown = events.filter(type => !EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+        throw new TypeError(`Invalid event type(s): ${unknown.join(', ')}. Use: ${EVENT_TYPES.join(', ')}.`);
+    }
+
+    const { id, token } = store.mint(); // The token only serves as the secret here, so its hash isn't stored
+    const record = { id, user: currentUser(), url: parsed.href, events: [...new Set(events)], label, createdDate: new Date().toISOString(), secret: token };
+
+    await store.update(webhooks => webhooks.push(record));
+    console.log(`Registered webhook ${id} for ${record.url}.`);
+    return { ...describeWebhook(record), secret: token };
+}
+
+/**
+ * Lists the current space's webhooks, without their secrets.
+ * @returns {Promise<object[]>}
+ */
+async function listWebhooks() {
+    const user = currentUser();
+    return (await store.load() || []).filter(record => record.user === user).map(describeWebhook);
+}
+
+/**
+ * Removes one of the current space's webhooks; deliveries already under way still finish.
+ * @param {string} id - The webhook's id.
+ * @returns {Promise<object>} - The removed webhook.
+ * @throws {Error} - If the current space has no webhook with that id.
+ */
+async function deleteWebhook(id) {
+    const user = currentUser();
+    const removed = await store.update(webhooks => {
+        const index = webhooks.findIndex(webhook => webhook.id === id && webhook.user === user);
+        if (index === -1) {
+            throw new Error(`Webhook "${id}" not found.`);
+        }
+        return webhooks.splice(index, 1)[0];
+    });
+    console.log(`Removed webhook ${id}.`);
+    return describeWebhook(removed);
+}
+
+// Network errors, timeouts, 408, 429 and 5xx responses are worth another try; other responses (redirects too) are final
+function isRetryable(status) {
+    return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * POSTs one event to one webhook, retrying with exponential backoff until it is accepted (any 2xx response).
+ * Before every attempt the host is resolved, and nothing is sent if any of its addresses is private (unless
+ * WEBHOOKS_ALLOW_PRIVATE is set). Redirects are not followed: a 3xx response is a failed delivery.
+ * @param {object} webhook - The stored webhook, with url and secret.
+ * @param {object} event - The event (see changes.js).
+ * @param {{ fetch?: Function, lookup?: Function, retryDelayMs?: number, maxAttempts?: number }} [options] - For tests.
+ * @returns {Promise<{ delivered: boolean, attempts: number, status: number | null, error?: string }>}
+ */
+async function deliverEvent(webhook, event, {
+    fetch = globalThis.fetch, lookup = dns.promises.lookup, retryDelayMs = RETRY_DELAY_MS, maxAttempts = MAX_ATTEMPTS
+} = {}) {
+    const body = JSON.stringify(describeEvent(event));
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'geepnotes-webhooks',
+        'X-GeepNotes-Event': event.type,
+        'X-GeepNotes-Delivery': String(event.id),
+        'X-GeepNotes-Signature': signPayload(webhook.secret, body)
+    };
+
+    let status = null;
+    let lastError;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        try {
+            const refusal = await refuseDelivery(webhook.url, lookup);
+            if (refusal) {
+                return { delivered: false, attempts: attempt, status: null, error: refusal };
+            }
+            const response = await fetch(webhook.url, {
+                method: 'POST', headers, body, redirect: 'manual', signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+            });
+            status = response.status;
+            if (response.ok) return { delivered: true, attempts: attempt, status };
+            lastError = status >= 300 && status < 400 ? `HTTP ${status} (redirects are not followed)` : `HTTP ${status}`;
+        } catch (error) {
+            status = null;
+            lastError = error.message;
+        }
+        if (!isRetryable(status) || attempt === maxAttempts) {
+            return { delivered: false, attempts: attempt, status, error: lastError };
+        }
+        await new Promise(resolve => setTimeout(resolve, retryDelayMs * 2 ** (attempt - 1)));
+    }
+}
+
+// Sends an event to every webhook of its space that wants it; failures are logged, never thrown
+async function dispatchEvent(event) {
+    let webhooks;
+    try {
+        webhooks = (await store.load() || []).filter(webhook =>
+            webhook.user === event.user && (webhook.events.length === 0 || webhook.events.includes(event.type)));
+    } catch (error) {
+        console.error('Error reading webhooks:', error);
+        return;
+    }
+    await Promise.all(webhooks.map(async (webhook) => {
+        const result = await deliverEvent(webhook, event);
+        if (!result.delivered) {
+            console.warn(`Webhook ${webhook.id} did not accept event ${event.id} (${event.type}) after ${result.attempts} attempt(s): ${result.error}`);
+        }
+    }));
+}
+
+/**
+ * Starts posting change events to the registered webhooks. Called once by the server.
+ */
+function startWebhookDelivery() {
+    changeEvents.on('change', (event) => {
+        dispatchEvent(event);
+    });
+}
+
+module.exports = { signPayload, createWebhook, listWebhooks, deleteWebhook, deliverEvent, startWebhookDelivery };
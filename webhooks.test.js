@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { signPayload, createWebhook, listWebhooks, deleteWebhook, deliverEvent } = require('./webhooks');
+const { runInSpace } = require('./spaces');
+
+describe('webhooks', () => {
+  let dir;
+  const publicLookup = async () => [{ address: '203.0.113.7', family: 4 }];
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geepnotes-webhooks-'));
+    process.env.WEBHOOKS_FILE = path.join(dir, 'webhooks.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.WEBHOOKS_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  test('should register webhooks per space and only show the secret once', async () => {
+    const webhook = await createWebhook({ url: 'https://relay.example/hook', events: ['note.created'], label: 'slack' });
+    expect(webhook).toMatchObject({ url: 'https://relay.example/hook', events: ['note.created'], label: 'slack' });
+    expect(webhook.secret).toMatch(/^gnw_[0-9a-f]{12}_/);
+
+    expect(await listWebhooks()).toEqual([expect.not.objectContaining({ secret: expect.anything() })]);
+    expect(await runInSpace('alice', () => listWebhooks())).toEqual([]);
+    await expect(runInSpace('alice', () => deleteWebhook(webhook.id))).rejects.toThrow('not found');
+    await deleteWebhook(webhook.id);
+    expect(await listWebhooks()).toEqual([]);
+  });
+
+  test('should reject URLs that are not http(s) and unknown event types', async () => {
+    await expect(createWebhook({ url: 'ftp://relay.example/hook' })).rejects.toThrow('Invalid webhook URL');
+    await expect(createWebhook({ url: 'relay.example' })).rejects.toThrow('Invalid webhook URL');
+    await expect(createWebhook({ url: 'https://relay.example', events: ['note.copied'] })).rejects.toThrow('Invalid event type(s): note.copied');
+  });
+
+  test('should refuse local and private addresses unless WEBHOOKS_ALLOW_PRIVATE is true', async () => {
+    for (const url of ['http://localhost:8080/hook', 'http://api.localhost/', 'http://127.0.0.1/', 'http://0x7f.1/', 'http://10.1.2.3/',
+      'http://172.20.0.1/', 'http://192.168.1.10/', 'http://169.254.169.254/latest', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://[fd00::1]/']) {
+      await expect(createWebhook({ url })).rejects.toThrow('local and private network addresses are not allowed');
+    }
+    expect(await createWebhook({ url: 'https://203.0.113.7/hook' })).toMatchObject({ url: 'https://203.0.113.7/hook' });
+
+    process.env.WEBHOOKS_ALLOW_PRIVATE = 'true';
+    try {
+      expect(await createWebhook({ url: 'http://localhost:8080/hook' })).toMatchObject({ url: 'http://localhost:8080/hook' });
+    } finally {
+      delete process.env.WEBHOOKS_ALLOW_PRIVATE;
+    }
+  });
+
+  test('should sign the body and retry until the receiver accepts it', async () => {
+    const webhook = { url: 'https://relay.example/hook', secret: 'gnw_secret' };
+    const event = { id: 7, type: 'note.updated', user: null, date: '2026-10-18T12:00:00.000Z', data: { title: 'Plan', group: 'Work' } };
+    const responses = [new Error('connect ECONNREFUSED'), { ok: false, status: 503 }, { ok: true, status: 204 }];
+    const fetch = jest.fn(async () => {
+      const response = responses.shift();
+      if (response instanceof Error) throw response;
+      return response;
+    });
+
+    const result = await deliverEvent(webhook, event, { fetch, lookup: publicLookup, retryDelayMs: 0 });
+    expect(result).toEqual({ delivered: true, attempts: 3, status: 204 });
+
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe(webhook.url);
+    expect(request.redirect).toBe('manual');
+    expect(JSON.parse(request.body)).toEqual({ id: 7, type: 'note.updated', date: event.date, data: event.data });
+    expect(request.headers['X-GeepNotes-Event']).toBe('note.updated');
+    const expected = crypto.createHmac('sha256', 'gnw_secret').update(request.body).digest('hex');
+    expect(request.headers['X-GeepNotes-Signature']).toBe(`sha256=${expected}`);
+    expect(signPayload('gnw_secret', request.body)).toBe(`sha256=${expected}`);
+  });
+
+  test('should give up on responses that retrying won\'t fix, and after the last attempt', async () => {
+    const event = { id: 8, type: 'trash.emptied', user: null, date: '2026-10-18T12:00:00.000Z', data: { deletedCount: 1 } };
+    const gone = jest.fn(async () => ({ ok: false, status: 410 }));
+    expect(await deliverEvent({ url: 'https://a.example', secret: 's' }, event, { fetch: gone, lookup: publicLookup, retryDelayMs: 0 }))
+      .toEqual({ delivered: false, attempts: 1, status: 410, error: 'HTTP 410' });
+
+    const moved = jest.fn(async () => ({ ok: false, status: 302 }));
+    expect(await deliverEvent({ url: 'https://a.example', secret: 's' }, event, { fetch: moved, lookup: publicLookup, retryDelayMs: 0 }))
+      .toEqual({ delivered: false, attempts: 1, status: 302, error: 'HTTP 302 (redirects are not followed)' });
+
+    const down = jest.fn(async () => ({ ok: false, status: 500 }));
+    expect(await deliverEvent({ url: 'https://b.example', secret: 's' }, event, { fetch: down, lookup: publicLookup, retryDelayMs: 0, maxAttempts: 3 }))
+      .toMatchObject({ delivered: false, attempts: 3, status: 500 });
+    expect(down).toHaveBeenCalledTimes(3);
+  });
+
+  test('should not deliver to host names that resolve to a private address', async () => {
+    const event = { id: 9, type: 'note.created', user: null, date: '2026-10-18T12:00:00.000Z', data: { title: 'Plan', group: 'Work' } };
+    const webhook = { url: 'https://relay.example/hook', secret: 's' };
+    const fetch = jest.fn(async () => ({ ok: true, status: 204 }));
+    const lookup = jest.fn(async () => [{ address: '203.0.113.7', family: 4 }, { address: '::ffff:10.0.0.5', family: 6 }]);
+
+    expect(await deliverEvent(webhook, event, { fetch, lookup, retryDelayMs: 0 })).toEqual({
+      delivered: false, attempts: 1, status: null, error: 'relay.example resolves to the local or private network address ::ffff:10.0.0.5.'
+    });
+    expect(lookup).toHaveBeenCalledWith('relay.example', { all: true });
+    expect(await deliverEvent({ ...webhook, url: 'http://localhost:8080/hook' }, event, { fetch, lookup, retryDelayMs: 0 }))
+      .toMatchObject({ delivered: false, error: 'localhost is a local or private network address.' });
+    expect(fetch).not.toHaveBeenCalled();
+
+    process.env.WEBHOOKS_ALLOW_PRIVATE = 'true';
+    try {
+      expect(await deliverEvent(webhook, event, { fetch, lookup, retryDelayMs: 0 })).toMatchObject({ delivered: true });
+    } finally {
+      delete process.env.WEBHOOKS_ALLOW_PRIVATE;
+    }
+  });
+
+  test('should retry when the host name cannot be resolved', async () => {
+    const event = { id: 10, type: 'note.created', user: null, date: '2026-10-18T12:00:00.000Z', data: { title: 'Plan', group: 'Work' } };
+    const fetch = jest.fn(async () => ({ ok: true, status: 204 }));
+    const lookup = jest.fn()
+      .mockRejectedValueOnce(Object.assign(new Error('getaddrinfo EAI_AGAIN relay.example'), { code: 'EAI_AGAIN' }))
+      .mockResolvedValue([{ address: '203.0.113.7', family: 4 }]);
+
+    expect(await deliverEvent({ url: 'https://relay.example/hook', secret: 's' }, event, { fetch, lookup, retryDelayMs: 0 }))
+      .toEqual({ delivered: true, attempts: 2, status: 204 });
+  });
+});